@@ -0,0 +1,62 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TEMPLATE = fileURLToPath(new URL('./sw.template.js', import.meta.url));
+// Large, rarely changing files get their own cache so an app update doesn't
+// download them again
+const MODEL_DIRS = ['models/', 'wasm/'];
+
+function listFiles(dir, prefix = '') {
+  return readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith('.'))
+    .flatMap((entry) => (entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`]));
+}
+
+function hashOf(parts) {
+  const hash = createHash('sha256');
+  parts.forEach((part) => hash.update(part));
+  return hash.digest('hex').slice(0, 12);
+}
+
+// Emits dist/sw.js with the precache lists and cache versions baked in. The
+// model cache version is a hash of the model files themselves, so replacing a
+// model invalidates exactly that cache.
+export default function serviceWorkerPlugin() {
+  let publicDir;
+  return {
+    name: 'face-tracker-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(_options, bundle) {
+      const publicFiles = listFiles(publicDir).sort();
+      const isModel = (file) => MODEL_DIRS.some((dir) => file.startsWith(dir));
+      const modelFiles = publicFiles.filter(isModel);
+      const shellFiles = [...new Set([
+        './',
+        'index.html',
+        ...Object.keys(bundle).filter((file) => !file.endsWith('.map')),
+        ...publicFiles.filter((file) => !isModel(file)),
+      ])].sort();
+      const template = readFileSync(TEMPLATE, 'utf8');
+
+      const config = {
+        shellVersion: hashOf([template, ...shellFiles, ...publicFiles.filter((f) => !isModel(f)).map((f) => readFileSync(path.join(publicDir, f)))]),
+        modelVersion: hashOf(modelFiles.flatMap((f) => [f, readFileSync(path.join(publicDir, f))])),
+        shellFiles,
+        modelFiles,
+      };
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: template.replace('self.__SW_CONFIG__', JSON.stringify(config, null, 2)),
+      });
+    },
+  };
+}
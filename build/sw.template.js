@@ -0,0 +1,53 @@
+// Service worker template; build/serviceWorkerPlugin.js fills in the config.
+// Everything is precached on install. A new version waits until the page
+// asks it to take over (the "update available" prompt) so a running session
+// is never swapped out from under the user.
+const CONFIG = self.__SW_CONFIG__;
+const PREFIX = 'face-tracker-';
+const SHELL_CACHE = `${PREFIX}shell-${CONFIG.shellVersion}`;
+const MODEL_CACHE = `${PREFIX}models-${CONFIG.modelVersion}`;
+
+const scoped = (file) => new URL(file, self.registration.scope).href;
+
+async function precache(cacheName, files) {
+  const cache = await caches.open(cacheName);
+  // Files already cached under this version (an unchanged model set) are kept
+  const missing = [];
+  for (const file of files) {
+    if (!(await cache.match(scoped(file)))) missing.push(scoped(file));
+  }
+  await cache.addAll(missing);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(Promise.all([
+    precache(SHELL_CACHE, CONFIG.shellFiles),
+    precache(MODEL_CACHE, CONFIG.modelFiles),
+  ]));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, MODEL_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name.startsWith(PREFIX) && !keep.includes(name)).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skipWaiting') self.skipWaiting();
+});
+
+// Pages try the network first so a fresh deploy is noticed, falling back to
+// the cached shell offline; everything else is served from the cache first
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(async () => (await caches.match(scoped('index.html'))) ?? Response.error()));
+    return;
+  }
+  event.respondWith((async () => (await caches.match(request, { ignoreSearch: true })) ?? fetch(request))());
+});
@@ -0,0 +1,179 @@
+// Classroom relay: participants send derived samples (state, smoothed emotion
+// percentages, whether a face is present) and every dashboard in the same room
+// receives them. Video never reaches this process, and anything outside the
+// sample fields below is dropped on arrival.
+//
+//   npm run relay                      # ws://0.0.0.0:8787
+//   RELAY_PORT=9000 npm run relay
+//
+// Pages served over https can only reach a wss:// relay, so put this behind a
+// TLS-terminating proxy for anything other than localhost testing.
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.RELAY_PORT) || 8787;
+const HOST = process.env.RELAY_HOST || '0.0.0.0';
+const HEARTBEAT_MS = 15000;
+// Participants that have been gone this long are forgotten
+const FORGET_MS = 30 * 60 * 1000;
+const MAX_SAMPLES_PER_MESSAGE = 1000;
+const MAX_TEXT = 64;
+
+function getRoom(rooms, code) {
+  if (!rooms.has(code)) rooms.set(code, { participants: new Map(), dashboards: new Set() });
+  return rooms.get(code);
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.slice(0, MAX_TEXT) : '';
+}
+
+function sanitizeSample(sample) {
+  if (!sample || !Number.isFinite(sample.seq) || !Number.isFinite(sample.t)) return null;
+  const emotions = {};
+  Object.entries(sample.emotions ?? {}).slice(0, 16).forEach(([key, value]) => {
+    if (Number.isFinite(value)) emotions[text(key)] = value;
+  });
+  return {
+    seq: sample.seq,
+    t: sample.t,
+    state: text(sample.state),
+    confidence: Number.isFinite(sample.confidence) ? sample.confidence : 0,
+    facePresent: sample.facePresent === true,
+    emotions,
+  };
+}
+
+function publicParticipant(p) {
+  return { id: p.id, name: p.name, connected: p.connected, latest: p.latest, lastSeen: p.lastSeen };
+}
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function broadcast(room, message) {
+  room.dashboards.forEach((socket) => send(socket, message));
+}
+
+function handleHello(rooms, socket, msg) {
+  const code = text(msg.room).trim();
+  if (!code || (msg.role !== 'participant' && msg.role !== 'dashboard')) {
+    send(socket, { type: 'error', message: 'hello needs a room and a role' });
+    socket.close();
+    return;
+  }
+  const room = getRoom(rooms, code);
+  socket.room = room;
+  socket.role = msg.role;
+  if (msg.role === 'dashboard') {
+    room.dashboards.add(socket);
+    send(socket, { type: 'snapshot', participants: [...room.participants.values()].map(publicParticipant) });
+    return;
+  }
+
+  const id = text(msg.id);
+  if (!id) {
+    send(socket, { type: 'error', message: 'participants need an id' });
+    socket.close();
+    return;
+  }
+  const epoch = text(msg.epoch);
+  const participant = room.participants.get(id) ?? { id, epoch, lastSeq: -1, latest: null };
+  // A reloaded page numbers its samples from 0 again under a new epoch
+  if (participant.epoch !== epoch) participant.lastSeq = -1;
+  // A reconnect can land before the old socket's close event
+  if (participant.socket && participant.socket !== socket) participant.socket.close();
+  Object.assign(participant, { name: text(msg.name) || id, epoch, connected: true, socket, lastSeen: Date.now() });
+  room.participants.set(id, participant);
+  socket.participant = participant;
+  // Tells the client which buffered samples it can skip resending
+  send(socket, { type: 'ack', seq: participant.lastSeq });
+  broadcast(room, { type: 'participant', participant: publicParticipant(participant) });
+}
+
+function handleSamples(socket, msg) {
+  const participant = socket.participant;
+  if (!participant || !Array.isArray(msg.samples)) return;
+  // Resent samples from offline buffering are only relayed once
+  const fresh = msg.samples.slice(0, MAX_SAMPLES_PER_MESSAGE)
+    .map(sanitizeSample)
+    .filter((s) => s && s.seq > participant.lastSeq)
+    .sort((a, b) => a.seq - b.seq);
+  if (!fresh.length) return;
+  participant.lastSeq = fresh[fresh.length - 1].seq;
+  participant.lastSeen = Date.now();
+  const newest = fresh.reduce((a, b) => (b.t >= a.t ? b : a));
+  if (!participant.latest || newest.t >= participant.latest.t) participant.latest = newest;
+  send(socket, { type: 'ack', seq: participant.lastSeq });
+  broadcast(socket.room, { type: 'samples', id: participant.id, name: participant.name, samples: fresh });
+}
+
+function handleClose(socket) {
+  const { room, participant } = socket;
+  if (!room) return;
+  room.dashboards.delete(socket);
+  if (participant && participant.socket === socket) {
+    participant.connected = false;
+    participant.socket = null;
+    participant.lastSeen = Date.now();
+    broadcast(room, { type: 'participant', participant: publicParticipant(participant) });
+  }
+}
+
+// Starts a relay; `port` 0 picks a free one (see server.address())
+export function createRelay({ port = PORT, host = HOST } = {}) {
+  const rooms = new Map();
+  const server = new WebSocketServer({ port, host, maxPayload: 1024 * 1024 });
+
+  server.on('connection', (socket) => {
+    socket.alive = true;
+    socket.on('pong', () => {
+      socket.alive = true;
+    });
+    socket.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      // Valid JSON that isn't a message (null, numbers, arrays) is ignored too
+      if (!msg || typeof msg !== 'object' || typeof msg.type !== 'string') return;
+      if (msg.type === 'hello' && !socket.room) handleHello(rooms, socket, msg);
+      else if (msg.type === 'samples' && socket.role === 'participant') handleSamples(socket, msg);
+    });
+    socket.on('close', () => handleClose(socket));
+    socket.on('error', (err) => console.warn('Socket error:', err.message));
+  });
+
+  // Drops sockets that stopped answering (phone asleep, wifi gone) and forgets
+  // participants and rooms nobody has used for a while
+  const heartbeat = setInterval(() => {
+    server.clients.forEach((socket) => {
+      if (!socket.alive) {
+        socket.terminate();
+        return;
+      }
+      socket.alive = false;
+      socket.ping();
+    });
+    const now = Date.now();
+    rooms.forEach((room, code) => {
+      room.participants.forEach((p, id) => {
+        if (!p.connected && now - p.lastSeen > FORGET_MS) {
+          room.participants.delete(id);
+          broadcast(room, { type: 'left', id });
+        }
+      });
+      if (!room.participants.size && !room.dashboards.size) rooms.delete(code);
+    });
+  }, HEARTBEAT_MS);
+
+  server.on('close', () => clearInterval(heartbeat));
+  return server;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  createRelay().on('listening', () => console.log(`Classroom relay listening on ws://${HOST}:${PORT}`));
+}
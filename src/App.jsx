@@ -1,288 +1,855 @@
-import React, { useEffect, useRef, useState } from 'react';
-import * as faceapi from '@vladmandic/face-api';
-
-const EMOTIONS = [
-  { key: 'angry', label: 'Angry', emoji: '😠' },
-  { key: 'disgusted', label: 'Disgusted', emoji: '🤢' },
-  { key: 'fearful', label: 'Fearful', emoji: '😨' },
-  { key: 'happy', label: 'Happy', emoji: '😃' },
-  { key: 'neutral', label: 'Neutral', emoji: '😐' },
-  { key: 'sad', label: 'Sad', emoji: '😢' },
-  { key: 'surprised', label: 'Surprised', emoji: '😮' },
-];
-
-// Emotion state definitions (excluding neutral from calculations)
-const EMOTION_STATES = [
-  {
-    name: 'Highly Engaged',
-    targetPercentages: {
-      happy: 35,
-      surprised: 20,
-      fearful: 0,
-      angry: 0,
-      disgusted: 0,
-      sad: 0
-    }
-  },
-  {
-    name: 'Constructively Struggling',
-    targetPercentages: {
-      happy: 15,
-      surprised: 10,
-      fearful: 10,
-      angry: 10,
-      disgusted: 0,
-      sad: 10
-    }
-  },
-  {
-    name: 'Confused / Overloaded',
-    targetPercentages: {
-      happy: 5,
-      surprised: 15,
-      fearful: 15,
-      angry: 10,
-      disgusted: 5,
-      sad: 10
-    }
-  },
-  {
-    name: 'Disengaged / Distracted',
-    targetPercentages: {
-      happy: 5,
-      surprised: 5,
-      fearful: 5,
-      angry: 5,
-      disgusted: 5,
-      sad: 20
-    }
-  },
-  {
-    name: 'Actively Resistant',
-    targetPercentages: {
-      happy: 0,
-      surprised: 5,
-      fearful: 5,
-      angry: 40,
-      disgusted: 25,
-      sad: 10
-    }
-  }
-];
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import RoomSession from './engine/RoomSession.js';
+import { EMOTIONS, EMOTION_COLORS, emptyEmotionMap, overallEmotion, formatDuration } from './engine/emotions.js';
+import { loadProfiles, saveProfiles, DEFAULT_PROFILE } from './engine/profiles.js';
+import { DISTANCE_METRICS } from './engine/StateClassifier.js';
+import { SessionRecorder, recordingToJson, recordingToCsv, parseRecording } from './engine/recording.js';
+import ReplayPlayer from './engine/ReplayPlayer.js';
+import SessionTimeline from './engine/SessionTimeline.js';
+import AlertEngine, { loadAlertRules, saveAlertRules, validateRule } from './engine/alerts.js';
+import { CalibrationRun, loadCalibrationSettings, saveCalibrationSettings } from './engine/calibration.js';
+import { loadFilterConfig, saveFilterConfig, normalizeFilterConfig, timeConstantForFactor } from './engine/filters.js';
+import { assessFrame, QualityMonitor, loadQualitySettings, saveQualitySettings } from './engine/frameQuality.js';
+import { EnrolmentRun, createIdentity, nextPseudonym, loadIdentityStore, saveIdentityStore, wipeIdentityStore } from './engine/identity.js';
+import { createDetector } from './detection/detectors.js';
+import AdaptiveController from './detection/AdaptiveController.js';
+import { loadDetectorConfig, saveDetectorConfig, normalizeDetectorConfig } from './detection/settings.js';
+import { runBenchmark } from './detection/benchmark.js';
+import {
+  classifyCameraError,
+  listCameras,
+  openCamera,
+  openCameraWithFallback,
+  stopStream,
+  isMirrored,
+  loadCameraSettings,
+  saveCameraSettings,
+} from './media/camera.js';
+import FrameSampler from './media/frameSampler.js';
+import { analyzeVideo, analyzeImages } from './detection/offlineAnalysis.js';
+import { runEvaluation } from './detection/evaluate.js';
+import { createSessionId, saveSession, loadSession, requestPersistence, deleteSessionsBefore, deleteAllSessions } from './storage/sessionStore.js';
+import { loadPrivacySettings, savePrivacySettings, retentionCutoff } from './privacy/settings.js';
+import { enableAnalytics, disableAnalytics, trackEvent } from './privacy/analytics.js';
+import RelayClient from './classroom/RelayClient.js';
+import { streamRoom } from './classroom/participant.js';
+import { loadClassroomSettings, saveClassroomSettings } from './classroom/settings.js';
+import { registerServiceWorker } from './pwa/serviceWorker.js';
+import TimelineChart from './components/TimelineChart.jsx';
+import ProfileEditor from './components/ProfileEditor.jsx';
+import FaceBadges from './components/FaceBadges.jsx';
+import LandmarkOverlay from './components/LandmarkOverlay.jsx';
+import ReplayControls from './components/ReplayControls.jsx';
+import SessionBrowser from './components/SessionBrowser.jsx';
+import PerformanceOverlay from './components/PerformanceOverlay.jsx';
+import DetectorSettings from './components/DetectorSettings.jsx';
+import AnalysisPanel from './components/AnalysisPanel.jsx';
+import EvaluationPanel from './components/EvaluationPanel.jsx';
+import SummaryReport from './components/SummaryReport.jsx';
+import AlertRulesEditor from './components/AlertRulesEditor.jsx';
+import Toasts from './components/Toasts.jsx';
+import { runAlertActions } from './components/alertActions.js';
+import CameraSettings from './components/CameraSettings.jsx';
+import StartupError from './components/StartupError.jsx';
+import ConsentScreen from './components/ConsentScreen.jsx';
+import PrivacySettings from './components/PrivacySettings.jsx';
+import PixelatedPreview from './components/PixelatedPreview.jsx';
+import ClassroomPanel from './components/ClassroomPanel.jsx';
+import TeacherDashboard from './components/TeacherDashboard.jsx';
+import CalibrationPanel from './components/CalibrationPanel.jsx';
+import CalibrationOverlay from './components/CalibrationOverlay.jsx';
+import EnrolmentPanel from './components/EnrolmentPanel.jsx';
+import QualityPrompt from './components/QualityPrompt.jsx';
+import FilterSettings from './components/FilterSettings.jsx';
+import { downloadText, safeFilename } from './components/download.js';
 
-// No-op: previously used for chart point images; retained for potential future use
+const footerButtonStyle = { padding: '6px 10px', borderRadius: 8, background: '#4b5563', color: 'white', boxShadow: '0 1px 4px rgba(0,0,0,0.2)', cursor: 'pointer', border: 'none', fontSize: 9 };
+
+// Detector overrides from an embedder are layered over the saved settings
+function initialDetectorConfig(overrides) {
+  const saved = loadDetectorConfig();
+  if (!overrides) return saved;
+  return normalizeDetectorConfig({ ...saved, ...overrides, options: { ...saved.options, ...overrides.options } });
+}
 
-export default function App() {
+// Props are all optional and let the <emotion-tracker> element (src/lib)
+// configure an embedded copy: model/wasm paths, detector config overrides, a
+// fixed state profile, smoothing, and whether the phone frame is drawn.
+// Embedded copies aren't `standalone`, so they leave service workers to the
+// host page. The ref exposes start/pause/reset and the live RoomSession.
+const App = forwardRef(function App({
+  modelUrl,
+  wasmUrl,
+  detectorConfig: detectorOverrides = null,
+  profile = null,
+  smoothingFactor = null,
+  chrome = true,
+  standalone = true,
+}, ref) {
   const videoRef = useRef(null);
+  const cameraRef = useRef(null);
+  const detectorRef = useRef(null);
+  // The detector being created (or created), shared by every caller so only
+  // one is ever loaded per mount
+  const detectorPromiseRef = useRef(null);
   const runningRef = useRef(true);
-  
+  // Detector/backend choice; the ref lets the running loop see updates
+  const [detectorConfig, setDetectorConfig] = useState(() => initialDetectorConfig(detectorOverrides));
+  const detectorConfigRef = useRef(detectorConfig);
+  const [showDetectorSettings, setShowDetectorSettings] = useState(false);
+  // Camera choice and the live stream; startup failures get their own UI state
+  const streamRef = useRef(null);
+  const [cameraSettings, setCameraSettings] = useState(() => loadCameraSettings());
+  const cameraSettingsRef = useRef(cameraSettings);
+  const [cameras, setCameras] = useState([]);
+  const [activeTrackSettings, setActiveTrackSettings] = useState(null);
+  const [mirrored, setMirrored] = useState(true);
+  const [showCameraSettings, setShowCameraSettings] = useState(false);
+  const [startupError, setStartupError] = useState(null);
+  // Frame-quality checks: poor frames become gaps, and the issue a prompt
+  const [qualitySettings, setQualitySettings] = useState(() => loadQualitySettings());
+  const qualitySettingsRef = useRef(qualitySettings);
+  const [qualityIssue, setQualityIssue] = useState(null);
+  const frameSamplerRef = useRef(null);
+  const qualityMonitorRef = useRef(null);
+  if (!qualityMonitorRef.current) {
+    frameSamplerRef.current = new FrameSampler();
+    qualityMonitorRef.current = new QualityMonitor();
+  }
+  const qualityMonitor = qualityMonitorRef.current;
+  // Consent gates the camera; nothing calls getUserMedia until it is given
+  const [privacy, setPrivacy] = useState(() => loadPrivacySettings());
+  const privacyRef = useRef(privacy);
+  const [showPrivacy, setShowPrivacy] = useState(false);
+  // Classroom mode: this device's link to the relay as a participant (null
+  // when not joined) and the teacher dashboard
+  const [classroom, setClassroom] = useState(() => loadClassroomSettings());
+  const [showClassroom, setShowClassroom] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [classroomLink, setClassroomLink] = useState(null);
+  const classroomRef = useRef(null);
+  const loopActiveRef = useRef(false);
+  const controllerRef = useRef(null);
+  if (!controllerRef.current) {
+    controllerRef.current = new AdaptiveController({
+      targetFps: 1000 / 300,
+      initialInputSize: detectorConfig.options.inputSize ?? 160,
+      adaptInputSize: detectorConfig.options.inputSize !== undefined,
+      busyBudget: 0.3,
+    });
+  }
+  const controller = controllerRef.current;
+  const [perfStats, setPerfStats] = useState(null);
+  const [showPerf, setShowPerf] = useState(false);
+  const [showLandmarks, setShowLandmarks] = useState(false);
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [showEvaluation, setShowEvaluation] = useState(false);
+  // Recording shown in the printable summary report, if any
+  const [reportRecording, setReportRecording] = useState(null);
+  const timeWindowMs = 15000; // Rolling history kept by each session
+  const [profileStore, setProfileStore] = useState(() => loadProfiles());
+  const [showProfiles, setShowProfiles] = useState(false);
+  const activeProfile = profile ?? profileStore.profiles.find((p) => p.id === profileStore.activeId) ?? DEFAULT_PROFILE;
+  // Signal filter for every session; an embedder's `smoothingFactor` becomes
+  // the equivalent EMA instead of the saved choice
+  const [filterConfig, setFilterConfig] = useState(() => (smoothingFactor !== null
+    ? normalizeFilterConfig({ type: 'ema', timeConstantMs: timeConstantForFactor(smoothingFactor) })
+    : loadFilterConfig()));
+  const [showFilters, setShowFilters] = useState(false);
+  const roomRef = useRef(null);
+  if (!roomRef.current) {
+    roomRef.current = new RoomSession({ filter: filterConfig, historyWindowMs: timeWindowMs, states: activeProfile.states });
+  }
+  const room = roomRef.current;
+
+  // Full-session recorder for export, and the replay player when reviewing one
+  const recorderRef = useRef(null);
+  if (!recorderRef.current) {
+    recorderRef.current = new SessionRecorder({ states: activeProfile.states, filter: filterConfig, metric: room.aggregate.classifier.metric });
+    recorderRef.current.attach(room);
+  }
+  const recorder = recorderRef.current;
+  // Whole-session chart data for the live room; replays get their own
+  const timelineRef = useRef(null);
+  if (!timelineRef.current) {
+    timelineRef.current = new SessionTimeline();
+    timelineRef.current.attach(room);
+  }
+  const timeline = timelineRef.current;
+  const [replayTimeline, setReplayTimeline] = useState(null);
+
+  // Alert rules watch the live room only
+  const [alertRules, setAlertRules] = useState(() => loadAlertRules());
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [toasts, setToasts] = useState([]);
+  const alertEngineRef = useRef(null);
+  if (!alertEngineRef.current) {
+    alertEngineRef.current = new AlertEngine();
+    alertEngineRef.current.attach(room);
+  }
+  const alertEngine = alertEngineRef.current;
+  const [replay, setReplay] = useState(null);
+  const replayInputRef = useRef(null);
+
+  // Named sessions autosaved to IndexedDB
+  const [activeSession, setActiveSession] = useState(null);
+  const [showSessions, setShowSessions] = useState(false);
+  const [sessionsRefreshKey, setSessionsRefreshKey] = useState(0);
+  const [storageError, setStorageError] = useState('');
+
+  // The displayed room is the live one unless a recording is being replayed;
+  // its aggregate session drives the room-level badges, timeline and banner
+  const viewRoom = replay ? replay.room : room;
+  const session = viewRoom.aggregate;
+
   // Face-API model states
   const [status, setStatus] = useState('Loading models…');
+  const [online, setOnline] = useState(() => navigator.onLine);
+  // Set to a function that activates a downloaded app update
+  const [applyUpdate, setApplyUpdate] = useState(null);
   const [dominant, setDominant] = useState(null);
   const [isRunning, setIsRunning] = useState(true);
-  const [emotionCounts, setEmotionCounts] = useState(() =>
-    Object.fromEntries(EMOTIONS.map((e) => [e.key, 0]))
-  );
-  const [emotionDurationsMs, setEmotionDurationsMs] = useState(() =>
-    Object.fromEntries(EMOTIONS.map((e) => [e.key, 0]))
-  );
-  const lastTickRef = useRef(null);
-  
-  // Emotion history for timeline graph
-  const [emotionHistory, setEmotionHistory] = useState([]);
-  const timeWindowMs = 15000; // Show 15 seconds of data
-  
+  const [emotionCounts, setEmotionCounts] = useState(emptyEmotionMap);
+  const [emotionDurationsMs, setEmotionDurationsMs] = useState(emptyEmotionMap);
+
   // State detection with smoothing
-  const [currentState, setCurrentState] = useState('Actively Resistant'); // Test state
-  const [smoothedEmotions, setSmoothedEmotions] = useState({});
-  const smoothingFactor = 0.1; // Lower = more smoothing
-  const smoothingWindow = 10; // Number of recent readings to average
-
-  // Color mapping for emotions
-  const emotionColors = {
-    angry: '#ef4444',
-    disgusted: '#10b981', 
-    fearful: '#8b5cf6',
-    happy: '#f59e0b',
-    neutral: '#6b7280',
-    sad: '#3b82f6',
-    surprised: '#ec4899'
-  };
-  
-  // Helper function to calculate emotion percentages (excluding neutral)
-  function calculateEmotionPercentages(expressions) {
-    const { neutral, ...nonNeutralEmotions } = expressions;
-    const total = Object.values(nonNeutralEmotions).reduce((sum, val) => sum + val, 0);
-    
-    if (total === 0) return {};
-    
-    const percentages = {};
-    Object.keys(nonNeutralEmotions).forEach(emotion => {
-      percentages[emotion] = (nonNeutralEmotions[emotion] / total) * 100;
+  const [currentState, setCurrentState] = useState(() => session.currentState);
+  const [stateConfidence, setStateConfidence] = useState(0);
+  // What the state would be without calibration; null when none is applied
+  const [rawState, setRawState] = useState(null);
+  const [metric, setMetric] = useState(session.classifier.metric);
+
+  // Per-person tracks and the room-level state distribution
+  const [people, setPeople] = useState([]);
+  const [roomState, setRoomState] = useState(() => room.getRoomState());
+
+  // Mirror engine events into React state
+  useEffect(() => {
+    const snapshot = session.getSnapshot();
+    setDominant(snapshot.dominant);
+    setEmotionCounts(snapshot.counts);
+    setEmotionDurationsMs(snapshot.durationsMs);
+    setCurrentState(snapshot.currentState);
+    setStateConfidence(snapshot.confidence);
+    setPeople(viewRoom.getPeople());
+    setRoomState(viewRoom.getRoomState());
+
+    const unsubscribers = [
+      session.on('dominant', setDominant),
+      session.on('stats', ({ counts, durationsMs }) => {
+        setEmotionCounts(counts);
+        setEmotionDurationsMs(durationsMs);
+      }),
+      session.on('statechange', ({ state }) => setCurrentState(state)),
+      session.on('scores', ({ confidence }) => setStateConfidence(confidence)),
+      session.on('reset', (snapshot) => {
+        setEmotionCounts(snapshot.counts);
+        setEmotionDurationsMs(snapshot.durationsMs);
+        setCurrentState(snapshot.currentState);
+        setStateConfidence(snapshot.confidence);
+      }),
+      viewRoom.on('people', setPeople),
+      viewRoom.on('roomstate', setRoomState),
+      viewRoom.on('frame', (frame) => setRawState(frame.rawState)),
+    ];
+    return () => unsubscribers.forEach((off) => off());
+  }, [viewRoom, session]);
+
+  // Score against whichever profile is active and persist edits
+  useEffect(() => {
+    room.setStates(activeProfile.states);
+    recorder.states = activeProfile.states;
+  }, [room, recorder, activeProfile]);
+
+  // Per-profile resting baseline, and the guided run that records one
+  const [calibrationSettings, setCalibrationSettings] = useState(() => loadCalibrationSettings());
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [calibration, setCalibration] = useState(null);
+  const calibrationRunRef = useRef(null);
+
+  useEffect(() => {
+    const baseline = calibrationSettings.apply ? activeProfile.baseline ?? null : null;
+    room.setBaseline(baseline);
+    recorder.baseline = baseline;
+    setRawState(null);
+  }, [room, recorder, activeProfile, calibrationSettings.apply]);
+
+  // Enrolled faces for re-identification; matching runs only while the
+  // detector computes descriptors (`recognition` in the detector config)
+  const [identityStore, setIdentityStore] = useState(() => loadIdentityStore());
+  const [identities, setIdentities] = useState([]);
+  const [showEnrolment, setShowEnrolment] = useState(false);
+  const [enrolment, setEnrolment] = useState(null);
+  const enrolmentRunRef = useRef(null);
+
+  useEffect(() => {
+    room.setIdentities(detectorConfig.recognition ? identityStore.identities : [], identityStore.threshold);
+  }, [room, detectorConfig.recognition, identityStore]);
+
+  useEffect(() => {
+    setIdentities(room.getIdentities());
+    return room.on('identities', setIdentities);
+  }, [room]);
+
+  // Slow the loop down while the tab is in the background
+  useEffect(() => {
+    const onVisibility = () => controller.setHidden(document.visibilityState === 'hidden');
+    onVisibility();
+    document.addEventListener('visibilitychange', onVisibility);
+    const off = controller.on('stats', setPerfStats);
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibility);
+      off();
+    };
+  }, [controller]);
+
+  useEffect(() => qualityMonitor.on('issue', setQualityIssue), [qualityMonitor]);
+
+  function updateQualitySettings(next) {
+    qualitySettingsRef.current = next;
+    setQualitySettings(next);
+    saveQualitySettings(next);
+    if (!next.enabled) qualityMonitor.reset();
+  }
+
+  // Applies live to the room and any replay, so the timeline shows the effect
+  function updateFilterConfig(next) {
+    const config = normalizeFilterConfig(next);
+    setFilterConfig(config);
+    saveFilterConfig(config);
+    room.setFilter(config);
+    recorder.filter = config;
+    replay?.room.setFilter(config);
+  }
+
+  function changeMetric(next) {
+    room.setMetric(next);
+    recorder.metric = next;
+    setMetric(next);
+  }
+
+  useEffect(() => {
+    alertEngine.setRules(alertRules.filter((rule) => validateRule(rule).length === 0));
+  }, [alertEngine, alertRules]);
+
+  useEffect(() => alertEngine.on('alert', (alert) => runAlertActions(alert, showToast)), [alertEngine]);
+
+  function updateAlertRules(next) {
+    setAlertRules(next);
+    saveAlertRules(next);
+  }
+
+  function showToast(message) {
+    const id = `${Date.now()}-${Math.random()}`;
+    setToasts((prev) => [...prev.slice(-2), { id, message }]);
+    setTimeout(() => dismissToast(id), 8000);
+  }
+
+  function dismissToast(id) {
+    setToasts((prev) => prev.filter((t) => t.id !== id));
+  }
+
+  function updateProfiles(next) {
+    setProfileStore(next);
+    saveProfiles(next);
+  }
+
+  function updateCalibrationSettings(next) {
+    setCalibrationSettings(next);
+    saveCalibrationSettings(next);
+  }
+
+  // Functional so a calibration finishing later doesn't undo profile edits made meanwhile
+  function setActiveBaseline(baseline) {
+    setProfileStore((prev) => {
+      const next = { ...prev, profiles: prev.profiles.map((p) => (p.id === prev.activeId ? { ...p, baseline } : p)) };
+      saveProfiles(next);
+      return next;
+    });
+  }
+
+  // `onFinish` runs once the baseline is saved, or when the user skips
+  function startCalibration(onFinish = null) {
+    calibrationRunRef.current?.detach();
+    const run = new CalibrationRun({ includePrompts: calibrationSettings.includePrompts });
+    calibrationRunRef.current = run;
+    const finish = () => {
+      run.detach();
+      calibrationRunRef.current = null;
+      setCalibration(null);
+      onFinish?.();
+    };
+    run.on('progress', (progress) => setCalibration((prev) => prev && { ...prev, progress }));
+    run.on('error', ({ message }) => setCalibration((prev) => prev && { ...prev, error: message }));
+    run.on('done', (baseline) => {
+      setActiveBaseline(baseline);
+      showToast('Calibration saved');
+      finish();
+    });
+    setCalibration({
+      total: run.steps.length,
+      progress: null,
+      error: null,
+      retry: () => startCalibration(onFinish),
+      skip: finish,
     });
-    
-    return percentages;
-  }
-  
-  
-  // Helper function to detect current state based on emotion percentages
-  function detectCurrentState(emotionPercentages) {
-    if (Object.keys(emotionPercentages).length === 0) return '';
-    
-    let bestMatch = { state: '', score: Infinity };
-    
-    EMOTION_STATES.forEach(state => {
-      let totalDifference = 0;
-      let comparedEmotions = 0;
-      
-      Object.keys(state.targetPercentages).forEach(emotion => {
-        const target = state.targetPercentages[emotion];
-        const actual = emotionPercentages[emotion] || 0;
-        const difference = Math.abs(target - actual);
-        totalDifference += difference;
-        comparedEmotions++;
+    setShowCalibration(false);
+    run.attach(room);
+    if (!runningRef.current) toggleRunning();
+  }
+
+  function updateIdentityStore(next) {
+    setIdentityStore(next);
+    saveIdentityStore(next);
+  }
+
+  async function setRecognition(enabled) {
+    try {
+      await applyDetectorConfig({ ...detectorConfigRef.current, recognition: enabled });
+    } catch (err) {
+      console.warn('Could not switch face recognition:', err);
+      showToast('Face recognition could not be loaded: ' + err.message);
+    }
+  }
+
+  function enrolFace(name) {
+    enrolmentRunRef.current?.detach();
+    const run = new EnrolmentRun();
+    enrolmentRunRef.current = run;
+    run.on('progress', ({ count, total }) => setEnrolment({ count, total, error: null }));
+    run.on('error', ({ message }) => setEnrolment((prev) => ({ ...prev, error: message })));
+    run.on('done', (descriptors) => {
+      enrolmentRunRef.current = null;
+      setEnrolment(null);
+      // Functional so an enrolment finishing late doesn't undo a removal made meanwhile
+      setIdentityStore((prev) => {
+        const identity = createIdentity(name.trim() || nextPseudonym(prev.identities), descriptors);
+        const next = { ...prev, identities: [...prev.identities, identity] };
+        saveIdentityStore(next);
+        return next;
       });
-      
-      if (comparedEmotions > 0) {
-        const avgDifference = totalDifference / comparedEmotions;
-        if (avgDifference < bestMatch.score) {
-          bestMatch = { state: state.name, score: avgDifference };
-        }
-      }
+      showToast(name.trim() ? `Enrolled ${name.trim()}` : 'Face enrolled');
     });
-    
-    return bestMatch.state;
+    setEnrolment({ count: 0, total: run.samples, error: null });
+    run.attach(room);
+    if (!runningRef.current) toggleRunning();
   }
 
+  function cancelEnrolment() {
+    enrolmentRunRef.current?.detach();
+    enrolmentRunRef.current = null;
+    setEnrolment(null);
+  }
 
-  useEffect(() => {
-    async function init() {
-      try {
-        const MODEL_URL = './models';
-        await faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL);
-        await faceapi.nets.faceExpressionNet.loadFromUri(MODEL_URL);
-        
-        setStatus('Starting camera…');
-
-        const stream = await navigator.mediaDevices.getUserMedia({
-          video: { facingMode: 'user' },
-          audio: false,
-        });
-        
-        // Set up video element
-        if (videoRef.current) {
-          videoRef.current.srcObject = stream;
-          await videoRef.current.play();
-        }
+  function removeIdentity(id) {
+    updateIdentityStore({ ...identityStore, identities: identityStore.identities.filter((identity) => identity.id !== id) });
+  }
 
-        setStatus('Detecting…');
-        runningRef.current = true;
-        lastTickRef.current = performance.now();
-        runLoop();
-      } catch (err) {
-        console.error(err);
-        setStatus('Error: ' + err.message);
+  // Deletes every stored descriptor; per-person counts collected so far stay
+  // with their tracks as anonymous data
+  function wipeIdentities() {
+    cancelEnrolment();
+    wipeIdentityStore();
+    setIdentityStore(loadIdentityStore());
+    showToast('Enrolled faces deleted');
+  }
+
+  // Resolves to false when the models can't be loaded (with the error shown)
+  // or the app unmounted while they loaded
+  async function ensureDetector() {
+    if (detectorRef.current) return true;
+    setStatus('Loading models…');
+    if (!detectorPromiseRef.current) {
+      detectorPromiseRef.current = createDetector({ config: detectorConfigRef.current, modelUrl, wasmUrl });
+    }
+    const pending = detectorPromiseRef.current;
+    try {
+      const detector = await pending;
+      // Unmounted while loading; the cleanup disposes it
+      if (detectorPromiseRef.current !== pending) return false;
+      detectorRef.current = detector;
+      return true;
+    } catch (err) {
+      if (detectorPromiseRef.current !== pending) return false;
+      detectorPromiseRef.current = null;
+      console.error(err);
+      setStartupError({ kind: 'models', message: err.message });
+      setStatus('Models failed to load');
+      return false;
+    }
+  }
+
+  // Loads the models once, then (re)opens the camera; safe to call again to
+  // retry after any startup failure
+  async function start() {
+    setStartupError(null);
+    if (!(await ensureDetector())) return;
+
+    setStatus('Starting camera…');
+    try {
+      await startCamera(cameraSettingsRef.current, { fallback: true });
+    } catch (err) {
+      console.error(err);
+      const error = classifyCameraError(err);
+      setStartupError({ kind: error.kind, message: error.message });
+      setStatus('Camera unavailable');
+      return;
+    }
+
+    setStatus(detectingStatus());
+    runningRef.current = true;
+    setIsRunning(true);
+    room.markGap(performance.now());
+    runLoop();
+  }
+
+  // `fallback` lets startup use the default camera when the saved one is gone;
+  // a camera picked in the settings panel has to open as chosen
+  async function startCamera(settings, { fallback = false } = {}) {
+    stopStream(streamRef.current);
+    streamRef.current = null;
+    const opened = fallback
+      ? await openCameraWithFallback(settings)
+      : { stream: await openCamera(settings), settings, fallback: false };
+    const { stream } = opened;
+    streamRef.current = stream;
+    const [track] = stream.getVideoTracks();
+    setMirrored(isMirrored(track));
+    setActiveTrackSettings(track?.getSettings() ?? null);
+    if (opened.fallback) forgetUnavailableCamera(opened.settings, track);
+
+    // Unplugged or revoked: stop crediting time and explain what happened
+    track?.addEventListener('ended', () => {
+      if (streamRef.current !== stream) return;
+      room.markGap(performance.now());
+      setStartupError({ kind: 'ended', message: track.label });
+      setStatus('Camera disconnected');
+    });
+    // The OS can mute a camera (e.g. lid closed or another app took over);
+    // frames are skipped until it comes back
+    track?.addEventListener('mute', () => {
+      room.markGap(performance.now());
+      setStatus('Camera paused by the system…');
+    });
+    track?.addEventListener('unmute', () => {
+      room.markGap(performance.now());
+      if (runningRef.current) setStatus(detectingStatus());
+    });
+
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+    }
+    // Device labels only become available once permission is granted
+    setCameras(await listCameras());
+  }
+
+  // Drops the saved camera so Retry and the next start don't keep asking for it
+  function forgetUnavailableCamera(settings, track) {
+    cameraSettingsRef.current = settings;
+    setCameraSettings(settings);
+    saveCameraSettings(settings);
+    showToast(`The saved camera is not available; using ${track?.label || 'the default camera'} instead`);
+  }
+
+  async function applyCameraSettings(settings) {
+    try {
+      await startCamera(settings);
+    } catch (err) {
+      // Go back to the camera that was working rather than leave none running
+      try {
+        await startCamera(cameraSettingsRef.current);
+      } catch (restoreErr) {
+        const error = classifyCameraError(restoreErr);
+        setStartupError({ kind: error.kind, message: error.message });
       }
+      throw classifyCameraError(err);
     }
+    cameraSettingsRef.current = settings;
+    setCameraSettings(settings);
+    saveCameraSettings(settings);
+    setStartupError(null);
+    room.markGap(performance.now());
+    if (runningRef.current) setStatus(detectingStatus());
+  }
 
-    init();
+  useEffect(() => {
+    if (privacy.analytics) enableAnalytics();
+    if (privacy.consented) {
+      start();
+    } else {
+      // Models still load so files can be analysed without the camera
+      runningRef.current = false;
+      setIsRunning(false);
+      ensureDetector().then((ok) => ok && setStatus('Waiting for camera consent'));
+    }
 
     return () => {
       runningRef.current = false;
-      if (videoRef.current && videoRef.current.srcObject) {
-        const tracks = videoRef.current.srcObject.getTracks();
-        tracks.forEach((t) => t.stop());
+      // The detector may still be loading (e.g. StrictMode's first mount), so
+      // dispose whatever the pending creation resolves to
+      const pending = detectorPromiseRef.current;
+      detectorPromiseRef.current = null;
+      detectorRef.current = null;
+      pending?.then((detector) => detector.dispose(), () => {});
+      stopStream(streamRef.current);
+    };
+  }, []);
+
+  // Keep the picker current as cameras come and go, and restart on its own
+  // once a camera shows up again after a disconnect or "no camera" failure
+  useEffect(() => {
+    if (!navigator.mediaDevices?.addEventListener) return undefined;
+    async function onDeviceChange() {
+      const list = await listCameras();
+      setCameras(list);
+      if ((startupError?.kind === 'ended' || startupError?.kind === 'notfound') && list.length && privacyRef.current.consented) start();
+    }
+    navigator.mediaDevices.addEventListener('devicechange', onDeviceChange);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', onDeviceChange);
+  }, [startupError]);
+
+  function updatePrivacy(next) {
+    if (next.analytics && !privacyRef.current.analytics) enableAnalytics();
+    if (!next.analytics && privacyRef.current.analytics) disableAnalytics();
+    privacyRef.current = next;
+    setPrivacy(next);
+    savePrivacySettings(next);
+  }
+
+  function acceptConsent({ preview, analytics }) {
+    updatePrivacy({ ...privacyRef.current, consented: true, preview, analytics });
+    start();
+  }
+
+  // Turns the camera off and asks again before it is next used
+  function revokeConsent() {
+    if (activeSession) stopNamedSession();
+    runningRef.current = false;
+    setIsRunning(false);
+    stopStream(streamRef.current);
+    streamRef.current = null;
+    if (videoRef.current) videoRef.current.srcObject = null;
+    room.markGap(performance.now());
+    setStartupError(null);
+    setStatus('Waiting for camera consent');
+    setShowPrivacy(false);
+    updatePrivacy({ ...privacyRef.current, consented: false });
+  }
+
+  async function deleteSavedSessions() {
+    if (activeSession) await stopNamedSession();
+    await deleteAllSessions();
+    setSessionsRefreshKey((k) => k + 1);
+  }
+
+  // Expire old sessions at startup, daily, and whenever the limit changes.
+  // The session being recorded is never removed from under the recorder.
+  useEffect(() => {
+    if (!privacy.retentionDays) return undefined;
+    async function purge() {
+      try {
+        const removed = await deleteSessionsBefore(retentionCutoff(privacy.retentionDays), { keepId: recorder.id });
+        if (removed) setSessionsRefreshKey((k) => k + 1);
+      } catch (err) {
+        console.warn('Retention cleanup failed:', err);
       }
+    }
+    purge();
+    const interval = setInterval(purge, 24 * 60 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [recorder, privacy.retentionDays]);
+
+  function updateClassroom(next) {
+    setClassroom(next);
+    saveClassroomSettings(next);
+  }
+
+  function joinClassroom(settings) {
+    leaveClassroom();
+    const client = new RelayClient({
+      url: settings.relayUrl,
+      room: settings.room,
+      role: 'participant',
+      id: settings.participantId,
+      name: settings.name || 'Anonymous',
+    });
+    const unsubscribers = [client.on('status', setClassroomLink), streamRoom(room, client)];
+    classroomRef.current = { client, unsubscribers };
+    client.connect();
+  }
+
+  function leaveClassroom() {
+    if (!classroomRef.current) return;
+    classroomRef.current.unsubscribers.forEach((off) => off());
+    classroomRef.current.client.close();
+    classroomRef.current = null;
+    setClassroomLink(null);
+  }
+
+  useEffect(() => () => leaveClassroom(), []);
+
+  function showClassroomAlert(message) {
+    runAlertActions({ rule: { id: 'classroom', actions: ['toast', 'sound', 'vibrate', 'notification'] }, message }, showToast);
+  }
+
+  function openReport(recording) {
+    setReportRecording(recording);
+    trackEvent('report_opened');
+  }
+
+  useEffect(() => {
+    if (standalone) registerServiceWorker({ onUpdate: (apply) => setApplyUpdate(() => apply) });
+    const onOnline = () => setOnline(true);
+    const onOffline = () => setOnline(false);
+    window.addEventListener('online', onOnline);
+    window.addEventListener('offline', onOffline);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      window.removeEventListener('offline', onOffline);
     };
   }, []);
 
+  async function installUpdate() {
+    // The page reloads, so save the named session first
+    if (activeSession) await persistActiveSession();
+    applyUpdate();
+  }
+
+  function detectingStatus() {
+    return detectorRef.current?.kind === 'worker' ? 'Detecting… (worker)' : 'Detecting…';
+  }
+
+  // Grab a frame every tick without waiting for inference; the detector drops
+  // frames while it is busy so slow devices never build up a backlog. The
+  // adaptive controller picks the tick interval and input size.
   async function runLoop() {
-    const detectorOpts = new faceapi.TinyFaceDetectorOptions({ inputSize: 160, scoreThreshold: 0.5 });
+    // A loop still sleeping from before a pause picks up again by itself
+    if (loopActiveRef.current) return;
+    loopActiveRef.current = true;
+    try {
+      await detectionLoop();
+    } finally {
+      loopActiveRef.current = false;
+    }
+  }
+
+  async function detectionLoop() {
     while (runningRef.current) {
-      if (videoRef.current && !videoRef.current.paused && !videoRef.current.ended) {
-        try {
-          const now = performance.now();
-          const prev = lastTickRef.current ?? now;
-          const deltaMs = Math.max(0, now - prev);
-          lastTickRef.current = now;
-          const result = await faceapi
-            .detectSingleFace(videoRef.current, detectorOpts)
-            .withFaceExpressions();
-
-          if (result && result.expressions) {
-            const entries = Object.entries(result.expressions);
-            entries.sort((a, b) => b[1] - a[1]);
-            const [topKey, topScore] = entries[0];
-            setDominant({ key: topKey, score: topScore });
-
-            // Update session-wide counts
-            setEmotionCounts((prev) => ({
-              ...prev,
-              [topKey]: (prev[topKey] ?? 0) + 1,
-            }));
-
-            // Accumulate time for detected top emotion
-            setEmotionDurationsMs((prev) => ({
-              ...prev,
-              [topKey]: (prev[topKey] ?? 0) + deltaMs,
-            }));
-
-            // Calculate emotion percentages (excluding neutral) and smooth them
-            const emotionPercentages = calculateEmotionPercentages(result.expressions);
-            
-            // Update smoothed emotions and detect state in one operation
-            setSmoothedEmotions(prev => {
-              const smoothed = {};
-              Object.keys(emotionPercentages).forEach(emotion => {
-                const prevValue = prev[emotion] || 0;
-                smoothed[emotion] = prevValue + (emotionPercentages[emotion] - prevValue) * smoothingFactor;
-              });
-              
-              // Detect current state based on smoothed emotions
-              const newState = detectCurrentState(smoothed);
-              console.log('Emotion percentages:', emotionPercentages);
-              console.log('Smoothed emotions:', smoothed);
-              console.log('Detected state:', newState);
-              if (newState && newState !== currentState) {
-                console.log('Setting new state:', newState);
-                setCurrentState(newState);
-              }
-              
-              return smoothed;
-            });
-            
-            // Add to emotion history for timeline graph
-            const timestamp = performance.now();
-            const historyPoint = {
-              timestamp,
-              emotions: { ...result.expressions }
-            };
-            
-            setEmotionHistory((prev) => {
-              const newHistory = [...prev, historyPoint];
-              // Keep only data within the time window (15 seconds)
-              const cutoffTime = timestamp - timeWindowMs;
-              return newHistory.filter(point => point.timestamp >= cutoffTime);
-            });
-          }
-        } catch (e) {
-          console.warn('Detection error:', e);
-          // On error, reset tick baseline to avoid accumulating paused time on next success
-          lastTickRef.current = performance.now();
-        }
+      const detector = detectorRef.current;
+      const settings = controller.settings(performance.now());
+      const track = streamRef.current?.getVideoTracks()[0];
+      const live = track && track.readyState === 'live' && !track.muted;
+      if (detector && live && videoRef.current && !videoRef.current.paused && !videoRef.current.ended) {
+        const timestamp = performance.now();
+        // Sampled alongside the detector's frame so the face boxes line up with it
+        const sample = qualitySettingsRef.current.enabled ? frameSamplerRef.current.capture(videoRef.current) : null;
+        const options = detectorConfigRef.current.options;
+        detector.detect(videoRef.current, settings.inputSize ? { ...options, inputSize: settings.inputSize } : options)
+          .then((detections) => {
+            if (!detections) {
+              controller.recordDrop();
+              return;
+            }
+            controller.record(timestamp, detector.lastInferenceMs, detections.length > 0);
+            if (!runningRef.current) return;
+            if (!sample || !qualitySettingsRef.current.enabled) {
+              room.push(timestamp, detections);
+              return;
+            }
+            const quality = assessFrame(sample, detections);
+            qualityMonitor.update(timestamp, quality);
+            if (quality.usable) room.push(timestamp, quality.detections);
+            else room.markGap(timestamp, quality.issue);
+          })
+          .catch((e) => {
+            console.warn('Detection error:', e);
+            // On error, reset tick baseline to avoid accumulating paused time on next success
+            room.markGap(performance.now());
+          });
+      }
+      await new Promise((r) => setTimeout(r, settings.intervalMs));
+    }
+  }
+
+
+  async function applyDetectorConfig(config) {
+    await detectorRef.current?.configure(config);
+    detectorConfigRef.current = config;
+    setDetectorConfig(config);
+    saveDetectorConfig(config);
+    // Only detectors that take an input size get it adapted
+    controller.adaptInputSize = config.options.inputSize !== undefined;
+    if (controller.adaptInputSize) controller.initialInputSize = config.options.inputSize;
+    controller.reset();
+  }
+
+  // Live detection pauses while a benchmark or offline analysis owns the detector
+  async function withLiveDetectionPaused(label, task) {
+    const wasRunning = runningRef.current;
+    runningRef.current = false;
+    setStatus(label);
+    try {
+      return await task();
+    } finally {
+      if (wasRunning) {
+        runningRef.current = true;
+        setStatus(detectingStatus());
+        room.markGap(performance.now());
+        runLoop();
+      } else {
+        setStatus('Stopped…');
       }
-      await new Promise((r) => setTimeout(r, 300));
     }
   }
 
+  async function benchmarkDetectors(frames, onProgress) {
+    const detector = detectorRef.current;
+    if (!detector || !videoRef.current) throw new Error('Camera is not running');
+    return withLiveDetectionPaused('Benchmarking…', () => runBenchmark({ detector, video: videoRef.current, frames, onProgress }));
+  }
+
+  // Runs a video file or image folder through the same pipeline as the camera,
+  // scored against the active profile and metric
+  async function analyzeMedia({ mode, files, sampleFps, intervalMs }, onProgress, signal) {
+    const detector = detectorRef.current;
+    if (!detector) throw new Error('Detector is not ready');
+    const options = {
+      detector,
+      detectorOptions: detectorConfigRef.current.options,
+      sessionOptions: { filter: filterConfig, historyWindowMs: timeWindowMs, states: activeProfile.states, classifier: { metric } },
+      onProgress,
+      signal,
+    };
+    const result = await withLiveDetectionPaused('Analysing media…', () => (mode === 'video'
+      ? analyzeVideo({ ...options, file: files[0], sampleFps })
+      : analyzeImages({ ...options, files, intervalMs })));
+    if (!result.cancelled) trackEvent('media_analysed', { source: mode });
+    return result;
+  }
+
+  // Scores the expression model against a labelled image folder
+  async function evaluateImageSet({ files, labels, threshold }, onProgress, signal) {
+    const detector = detectorRef.current;
+    if (!detector) throw new Error('Detector is not ready');
+    return withLiveDetectionPaused('Evaluating…', () => runEvaluation({
+      detector,
+      files,
+      labels,
+      threshold,
+      detectorOptions: detectorConfigRef.current.options,
+      onProgress,
+      signal,
+    }));
+  }
 
   function toggleRunning() {
     setIsRunning((prev) => {
       const next = !prev;
       runningRef.current = next;
       if (next) {
-        setStatus('Detecting…');
-        lastTickRef.current = performance.now();
+        setStatus(detectingStatus());
+        room.markGap(performance.now());
         runLoop();
       }
       if (!next) {
@@ -294,112 +861,148 @@ export default function App() {
 
 
   function resetSession() {
-    setEmotionCounts(Object.fromEntries(EMOTIONS.map((e) => [e.key, 0])));
-    setEmotionDurationsMs(Object.fromEntries(EMOTIONS.map((e) => [e.key, 0])));
-    setEmotionHistory([]);
-  }
-
-
-  // Timeline Graph Component
-  function TimelineGraph({ history, colors, width = 350, height = 140, timeWindowMs = 15000 }) {
-    if (!history.length) return <div style={{ fontSize: 12, opacity: 0.5, textAlign: 'center', padding: 40 }}>No data yet</div>;
-
-    const svgWidth = width;
-    const svgHeight = height;
-    const padding = 25;
-    const graphWidth = svgWidth - padding * 2;
-    const graphHeight = svgHeight - padding * 2;
-
-    // Use current time as the right edge, show last 15 seconds
-    const currentTime = performance.now();
-    const minTime = currentTime - timeWindowMs;
-    const maxTime = currentTime;
-
-    return (
-      <svg width={svgWidth} height={svgHeight} style={{ background: 'rgba(0,0,0,0.15)', borderRadius: 12 }}>
-        {/* Horizontal grid lines */}
-        {[0, 0.25, 0.5, 0.75, 1].map(y => (
-          <line
-            key={y}
-            x1={padding}
-            y1={padding + y * graphHeight}
-            x2={svgWidth - padding}
-            y2={padding + y * graphHeight}
-            stroke="rgba(255,255,255,0.15)"
-            strokeWidth="1"
-          />
-        ))}
-        
-        {/* Vertical grid lines (time markers) */}
-        {[0, 0.25, 0.5, 0.75, 1].map(x => (
-          <line
-            key={x}
-            x1={padding + x * graphWidth}
-            y1={padding}
-            x2={padding + x * graphWidth}
-            y2={svgHeight - padding}
-            stroke="rgba(255,255,255,0.1)"
-            strokeWidth="1"
-          />
-        ))}
-        
-        {/* Emotion lines */}
-        {EMOTIONS.map(emotion => {
-          const points = history.map(point => {
-            // Map timestamp to x position (time-based)
-            const timeProgress = (point.timestamp - minTime) / timeWindowMs;
-            const x = padding + Math.max(0, Math.min(1, timeProgress)) * graphWidth;
-            const y = padding + (1 - (point.emotions[emotion.key] || 0)) * graphHeight;
-            return `${x},${y}`;
-          }).join(' ');
-
-          return (
-            <polyline
-              key={emotion.key}
-              points={points}
-              fill="none"
-              stroke={colors[emotion.key]}
-              strokeWidth="2.5"
-              opacity="0.9"
-            />
-          );
-        })}
-        
-        {/* Y-axis labels */}
-        <text x="8" y={padding + 5} fontSize="10" fill="rgba(255,255,255,0.7)">100%</text>
-        <text x="8" y={padding + graphHeight * 0.5 + 3} fontSize="10" fill="rgba(255,255,255,0.7)">50%</text>
-        <text x="8" y={svgHeight - padding + 5} fontSize="10" fill="rgba(255,255,255,0.7)">0%</text>
-        
-        {/* X-axis labels */}
-        <text x={padding} y={svgHeight - 5} fontSize="9" fill="rgba(255,255,255,0.6)">-15s</text>
-        <text x={svgWidth - padding - 15} y={svgHeight - 5} fontSize="9" fill="rgba(255,255,255,0.6)">now</text>
-      </svg>
-    );
-  }
-
-  const overallKey = React.useMemo(() => {
-    let maxKey = null;
-    let maxVal = -1;
-    for (const e of EMOTIONS) {
-      const v = emotionCounts[e.key] ?? 0;
-      if (v > maxVal) {
-        maxVal = v;
-        maxKey = e.key;
+    // Close out a named session first so its saved copy keeps the data
+    if (activeSession) stopNamedSession();
+    room.reset();
+    recorder.clear();
+  }
+
+  async function persistActiveSession() {
+    if (!recorder.id) return;
+    try {
+      await saveSession(recorder.toRecording());
+      setStorageError('');
+      setSessionsRefreshKey((k) => k + 1);
+    } catch (err) {
+      console.warn('Autosave failed:', err);
+      setStorageError(err.message);
+    }
+  }
+
+  // Autosave periodically and whenever the page may be about to go away
+  useEffect(() => {
+    if (!activeSession) return undefined;
+    const interval = setInterval(persistActiveSession, 5000);
+    const onHide = () => {
+      if (document.visibilityState === 'hidden') persistActiveSession();
+    };
+    document.addEventListener('visibilitychange', onHide);
+    window.addEventListener('pagehide', persistActiveSession);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', onHide);
+      window.removeEventListener('pagehide', persistActiveSession);
+    };
+  }, [activeSession]);
+
+  function startNamedSession(name) {
+    if (replay) exitReplay();
+    // Calibrate before recording starts so the prompts aren't in the session
+    if (calibrationSettings.onSessionStart) startCalibration(() => beginNamedSession(name));
+    else beginNamedSession(name);
+  }
+
+  function beginNamedSession(name) {
+    const next = { id: createSessionId(), name };
+    room.reset();
+    recorder.start(next);
+    setActiveSession(next);
+    requestPersistence();
+    persistActiveSession();
+    trackEvent('session_started');
+    if (!runningRef.current) toggleRunning();
+  }
+
+  async function stopNamedSession() {
+    await persistActiveSession();
+    trackEvent('session_stopped', { duration_min: Math.round(recorder.toRecording().durationMs / 60000) });
+    recorder.start();
+    setActiveSession(null);
+  }
+
+  async function openStoredSession(id, action) {
+    try {
+      const stored = await loadSession(id);
+      if (!stored) throw new Error('This session\'s data is no longer on the device');
+      if (action === 'export') {
+        downloadText(`${safeFilename(stored.name, 'session')}.json`, recordingToJson(stored), 'application/json');
+      } else if (action === 'report') {
+        openReport(stored);
+      } else {
+        startReplay(stored, stored.name);
       }
+    } catch (err) {
+      setStorageError(err.message);
+    }
+  }
+
+  function exportRecording(format) {
+    const recording = recorder.toRecording();
+    const stamp = recording.startedAt.replace(/[:.]/g, '-');
+    if (format === 'csv') downloadText(`session-${stamp}.csv`, recordingToCsv(recording), 'text/csv');
+    else downloadText(`session-${stamp}.json`, recordingToJson(recording), 'application/json');
+  }
+
+  async function loadReplay(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      startReplay(parseRecording(await file.text()), file.name);
+    } catch (err) {
+      setStatus('Replay failed: ' + err.message);
     }
-    return maxVal > 0 ? maxKey : null;
-  }, [emotionCounts]);
+  }
 
+  // `position` lets a finished analysis open with its totals already shown
+  function startReplay(recording, label, position = 0) {
+    // Stop live detection while reviewing
+    runningRef.current = false;
+    setIsRunning(false);
+    replay?.dispose();
+    replayTimeline?.detach();
+    const player = new ReplayPlayer(recording, { filter: filterConfig, historyWindowMs: timeWindowMs, states: activeProfile.states, classifier: { metric } });
+    const nextTimeline = new SessionTimeline();
+    nextTimeline.attach(player.room);
+    player.seek(position);
+    setReplayTimeline(nextTimeline);
+    setReplay(player);
+    setStatus(`Replaying ${recording.name || label}`);
+  }
 
-  function formatDuration(ms) {
-    const totalSeconds = Math.floor(ms / 1000);
-    const minutes = Math.floor(totalSeconds / 60);
-    const seconds = totalSeconds % 60;
-    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  function exitReplay() {
+    replay?.dispose();
+    replayTimeline?.detach();
+    setReplay(null);
+    setReplayTimeline(null);
+    setStatus('Stopped…');
   }
 
+  // Programmatic control for embedders; start opens the camera the first time
+  // (once consent is given) and resumes after a pause
+  useImperativeHandle(ref, () => ({
+    room,
+    isRunning: () => runningRef.current,
+    start() {
+      if (!privacyRef.current.consented) return;
+      if (!streamRef.current) start();
+      else if (!runningRef.current) toggleRunning();
+    },
+    pause() {
+      if (runningRef.current) toggleRunning();
+    },
+    reset: resetSession,
+  }));
+
+  const overallKey = React.useMemo(() => overallEmotion(emotionCounts), [emotionCounts]);
+  // State band colours follow the order of the states being scored against
+  const stateNames = React.useMemo(
+    () => (replay ? replay.room.aggregate.classifier.states : activeProfile.states).map((s) => s.name),
+    [replay, activeProfile],
+  );
+
   return (
-    <div style={{ maxWidth: 960, margin: '0 auto', padding: 16, fontFamily: 'system-ui, sans-serif' }}>
+    <div style={{ maxWidth: 960, margin: '0 auto', padding: chrome ? 16 : 0, fontFamily: 'system-ui, sans-serif' }}>
       <style>{`
         @keyframes subtleGradientMove {
           0% { background-position: 0% 50%; }
@@ -433,10 +1036,10 @@ export default function App() {
         }
         .glassContent { position: relative; z-index: 1; }
       `}</style>
-      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh', gap: '2rem', flexWrap: 'wrap' }}>
-        {/* Face-API Model Container */}
+      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: chrome ? '100vh' : '100%', gap: '2rem', flexWrap: 'wrap' }}>
+        {/* Face-API Model Container; without chrome it fills the host element instead of drawing a phone */}
         <div
-          style={{
+          style={chrome ? {
             width: 'min(420px, 42vw)',
             aspectRatio: '9 / 19.5',
             background: '#000',
@@ -450,10 +1053,21 @@ export default function App() {
             gap: 12,
             boxShadow:
               '0 10px 25px rgba(0,0,0,0.45), 0 25px 60px rgba(0,0,0,0.35), 0 2px 6px rgba(0,0,0,0.2)',
+          } : {
+            width: '100%',
+            minHeight: 480,
+            background: '#000',
+            borderRadius: 12,
+            position: 'relative',
+            overflow: 'hidden',
+            display: 'flex',
+            flexDirection: 'column',
+            padding: 12,
+            gap: 12,
           }}
         >
           {/* Notch */}
-          <div
+          {chrome && <div
             aria-hidden
             style={{
               position: 'absolute',
@@ -470,27 +1084,72 @@ export default function App() {
               zIndex: 2,
               boxShadow: '0 2px 6px rgba(0,0,0,0.35) inset',
             }}
-          />
+          />}
             {/* In-screen header */}
             <div style={{ textAlign: 'center', color: '#fff', padding: '0 8px' }}>
               <div style={{ fontSize: 14, fontWeight: 600, letterSpacing: 0.2 }}>Face-API Expression Model</div>
               <div style={{ fontSize: 10, opacity: 0.8, marginTop: 2 }}>{status}</div>
+              {!online && (
+                <div title="Detection keeps working; the classroom relay and analytics wait for the connection" style={{ display: 'inline-block', marginTop: 4, padding: '2px 8px', borderRadius: 999, background: '#b45309', fontSize: 9, fontWeight: 600 }}>
+                  Offline · running from this device
+                </div>
+              )}
+              {applyUpdate && (
+                <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 6, marginTop: 4, fontSize: 9 }}>
+                  <span>An update is available</span>
+                  <button onClick={installUpdate} style={{ ...footerButtonStyle, background: '#059669', padding: '2px 8px' }}>Reload</button>
+                  <button onClick={() => setApplyUpdate(null)} style={{ ...footerButtonStyle, padding: '2px 8px' }}>Later</button>
+                </div>
+              )}
             </div>
 
             {/* Content area split: camera (50%) and sentiment (50%) */}
             <div style={{ display: 'flex', flexDirection: 'column', flex: 1, gap: 12 }}>
               {/* Inner camera frame (50%) - match sentiment frame width and visual container */}
               <div className="glassPanel" style={{ width: '100%', flex: 1, display: 'flex', minHeight: 0 }}>
-                <div className="glassContent" style={{ position: 'relative', flex: 1, borderRadius: 18, overflow: 'hidden', background: '#000' }}>
+                <div ref={cameraRef} className="glassContent" style={{ position: 'relative', flex: 1, borderRadius: 18, overflow: 'hidden', background: '#000' }}>
                   <video
                     ref={videoRef}
                     muted
                     playsInline
-                    style={{ width: '100%', height: '100%', objectFit: 'cover', transform: 'scaleX(-1)' }}
+                    style={{
+                      width: '100%',
+                      height: '100%',
+                      objectFit: 'cover',
+                      transform: mirrored ? 'scaleX(-1)' : 'none',
+                      // Hidden modes keep the element playing so detection still gets frames
+                      filter: privacy.preview === 'blurred' ? 'blur(16px)' : 'none',
+                      opacity: privacy.preview === 'visible' || privacy.preview === 'blurred' ? 1 : 0,
+                    }}
                   />
+                  {privacy.preview === 'pixelated' && !replay && <PixelatedPreview videoRef={videoRef} mirrored={mirrored} />}
+
+                  {showPerf && !replay && <PerformanceOverlay stats={perfStats} detectorKind={detectorRef.current?.kind} />}
+
+                  {/* Per-face tracking badges; replayed boxes don't match the live preview */}
+                  {!replay && <FaceBadges people={people} videoRef={videoRef} containerRef={cameraRef} mirrored={mirrored} avatar={privacy.preview === 'avatar'} />}
+                  {showLandmarks && !replay && <LandmarkOverlay room={room} videoRef={videoRef} containerRef={cameraRef} mirrored={mirrored} />}
+                  <Toasts toasts={toasts} onDismiss={dismissToast} />
+                  {!privacy.consented && !replay && (
+                    <ConsentScreen settings={privacy} onAccept={acceptConsent} onAnalyseMedia={() => setShowAnalysis(true)} />
+                  )}
+                  {qualitySettings.enabled && qualitySettings.prompts && isRunning && !replay && <QualityPrompt issue={qualityIssue} />}
+                  {calibration && !replay && (
+                    <CalibrationOverlay calibration={calibration} onRetry={calibration.retry} onSkip={calibration.skip} />
+                  )}
+                  {startupError && privacy.consented && !replay && (
+                    <StartupError error={startupError} onRetry={start} onOpenSettings={() => setShowCameraSettings(true)} />
+                  )}
+                  {replay && (
+                    <div style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', background: 'rgba(0,0,0,0.7)', color: 'white', fontSize: 12, fontWeight: 600 }}>
+                      Replay mode
+                    </div>
+                  )}
 
                   {dominant && (
                     <div
+                      role="status"
+                      aria-label="Current emotion"
                       style={{
                         position: 'absolute',
                         bottom: 12,
@@ -518,6 +1177,8 @@ export default function App() {
                   {/* Overall dominant sentiment overlay - bottom right */}
                   {overallKey && (
                     <div
+                      role="status"
+                      aria-label="Overall emotion"
                       style={{
                         position: 'absolute',
                         bottom: 12,
@@ -575,57 +1236,258 @@ export default function App() {
                         >
                           {currentState}
                         </div>
+                        {stateConfidence > 0 && (
+                          <div style={{ color: '#fff', fontSize: 9, opacity: 0.7, marginTop: 2 }}>
+                            {Math.round(stateConfidence * 100)}% confidence
+                          </div>
+                        )}
+                        {rawState && (
+                          <div style={{ color: '#fff', fontSize: 9, opacity: 0.7, marginTop: 2 }}>
+                            Uncalibrated: {rawState}
+                          </div>
+                        )}
+                        {roomState.people > 1 && (
+                          <div style={{ color: '#fff', fontSize: 9, opacity: 0.7, marginTop: 2 }}>
+                            {roomState.people} people · {Object.entries(roomState.distribution).map(([state, n]) => `${n}× ${state}`).join(' · ')}
+                          </div>
+                        )}
                       </div>
                     </div>
                   )}
 
-                  {/* Timeline Graph */}
-                  <div style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center' }}>
-                    <TimelineGraph history={emotionHistory} colors={emotionColors} width={350} height={140} timeWindowMs={timeWindowMs} />
-                    
-                    {/* Color Legend */}
-                    <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', gap: 8, marginTop: 8, maxWidth: 350 }}>
-                      {EMOTIONS.map(emotion => (
-                        <div key={emotion.key} style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
-                          <div 
-                            style={{ 
-                              width: 12, 
-                              height: 3, 
-                              backgroundColor: emotionColors[emotion.key],
-                              borderRadius: 2
-                            }} 
-                          />
-                          <span style={{ fontSize: 12, opacity: 0.8, fontWeight: 500 }}>
-                            {emotion.emoji} {emotion.label}
-                          </span>
-                        </div>
-                      ))}
-                    </div>
+                  {/* Whole-session timeline */}
+                  <div style={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
+                    <TimelineChart
+                      timeline={replay ? replayTimeline : timeline}
+                      colors={EMOTION_COLORS}
+                      stateNames={stateNames}
+                      onAnnotate={replay ? undefined : (text) => room.annotate(performance.now(), text)}
+                    />
                   </div>
 
                   {/* Footer buttons */}
-                  <div style={{ display: 'flex', justifyContent: 'center', gap: 6, marginTop: 6 }}>
-                    <button
-                      onClick={toggleRunning}
-                      style={{ padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', boxShadow: '0 1px 4px rgba(0,0,0,0.2)', cursor: 'pointer', border: 'none', fontSize: 9 }}
-                    >
-                      {isRunning ? 'Pause' : 'Resume'}
-                    </button>
-                    <button
-                      onClick={resetSession}
-                      style={{ padding: '6px 10px', borderRadius: 8, background: '#374151', color: 'white', boxShadow: '0 1px 4px rgba(0,0,0,0.2)', cursor: 'pointer', border: 'none', fontSize: 9 }}
-                    >
-                      Reset
-                    </button>
-                  </div>
+                  {replay ? (
+                    <ReplayControls player={replay} onExit={exitReplay} onSummary={() => openReport(replay.recording)} />
+                  ) : (
+                    <div style={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: 6, marginTop: 6 }}>
+                      <button onClick={toggleRunning} style={{ ...footerButtonStyle, background: '#111827' }}>
+                        {isRunning ? 'Pause' : 'Resume'}
+                      </button>
+                      <button onClick={resetSession} style={{ ...footerButtonStyle, background: '#374151' }}>
+                        Reset
+                      </button>
+                      <button onClick={() => setShowProfiles((v) => !v)} style={footerButtonStyle}>
+                        Profiles
+                      </button>
+                      <select
+                        value={metric}
+                        onChange={(e) => changeMetric(e.target.value)}
+                        title="State distance metric"
+                        style={{ ...footerButtonStyle, padding: '4px 6px' }}
+                      >
+                        {Object.entries(DISTANCE_METRICS).map(([key, m]) => (
+                          <option key={key} value={key}>{m.label}</option>
+                        ))}
+                      </select>
+                      <button onClick={() => setShowCalibration((v) => !v)} style={footerButtonStyle}>
+                        Calibrate
+                      </button>
+                      <button onClick={() => setShowEnrolment((v) => !v)} style={footerButtonStyle}>
+                        Enrol
+                      </button>
+                      <button onClick={() => setShowFilters((v) => !v)} style={footerButtonStyle}>
+                        Smoothing
+                      </button>
+                      <button onClick={() => setShowAlerts((v) => !v)} style={footerButtonStyle}>
+                        Alerts
+                      </button>
+                      <button onClick={() => openReport(recorder.toRecording())} style={footerButtonStyle}>
+                        Summary
+                      </button>
+                      <button onClick={() => exportRecording('json')} style={footerButtonStyle}>
+                        Export JSON
+                      </button>
+                      <button onClick={() => exportRecording('csv')} style={footerButtonStyle}>
+                        Export CSV
+                      </button>
+                      <button onClick={() => replayInputRef.current?.click()} style={footerButtonStyle}>
+                        Replay…
+                      </button>
+                      <button onClick={() => setShowAnalysis((v) => !v)} style={footerButtonStyle}>
+                        Analyse…
+                      </button>
+                      <button onClick={() => setShowEvaluation((v) => !v)} style={footerButtonStyle}>
+                        Evaluate…
+                      </button>
+                      <button onClick={() => setShowCameraSettings((v) => !v)} style={footerButtonStyle}>
+                        Camera
+                      </button>
+                      <button onClick={() => setShowDetectorSettings((v) => !v)} style={footerButtonStyle}>
+                        Detector
+                      </button>
+                      <button onClick={() => setShowLandmarks((v) => !v)} style={footerButtonStyle}>
+                        {showLandmarks ? 'Hide Landmarks' : 'Landmarks'}
+                      </button>
+                      <button onClick={() => setShowPerf((v) => !v)} style={footerButtonStyle}>
+                        {showPerf ? 'Hide Perf' : 'Perf'}
+                      </button>
+                      <button onClick={() => setShowClassroom((v) => !v)} style={{ ...footerButtonStyle, background: classroomLink ? '#b91c1c' : footerButtonStyle.background }}>
+                        {classroomLink ? '● Classroom' : 'Classroom'}
+                      </button>
+                      <button onClick={() => setShowPrivacy((v) => !v)} style={footerButtonStyle}>
+                        Privacy
+                      </button>
+                      <button onClick={() => setShowSessions((v) => !v)} style={{ ...footerButtonStyle, background: activeSession ? '#b91c1c' : footerButtonStyle.background }}>
+                        {activeSession ? '● Sessions' : 'Sessions'}
+                      </button>
+                      <input ref={replayInputRef} type="file" accept="application/json,.json" onChange={loadReplay} style={{ display: 'none' }} />
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
         </div>
 
+        {showProfiles && (
+          <ProfileEditor
+            profiles={profileStore.profiles}
+            activeId={profileStore.activeId}
+            onChange={updateProfiles}
+            onClose={() => setShowProfiles(false)}
+          />
+        )}
+
+        {showCalibration && (
+          <CalibrationPanel
+            profile={activeProfile}
+            settings={calibrationSettings}
+            onChangeSettings={updateCalibrationSettings}
+            onCalibrate={() => startCalibration()}
+            onClear={() => setActiveBaseline(null)}
+            onClose={() => setShowCalibration(false)}
+          />
+        )}
+
+        {showEnrolment && (
+          <EnrolmentPanel
+            store={identityStore}
+            enabled={detectorConfig.recognition}
+            identities={identities}
+            enrolment={enrolment}
+            onToggle={setRecognition}
+            onChangeThreshold={(threshold) => updateIdentityStore({ ...identityStore, threshold })}
+            onEnrol={enrolFace}
+            onCancelEnrolment={cancelEnrolment}
+            onRemove={removeIdentity}
+            onWipe={wipeIdentities}
+            onClose={() => setShowEnrolment(false)}
+          />
+        )}
+
+        {showFilters && (
+          <FilterSettings config={filterConfig} onChange={updateFilterConfig} onClose={() => setShowFilters(false)} />
+        )}
+
+        {showCameraSettings && (
+          <CameraSettings
+            settings={cameraSettings}
+            cameras={cameras}
+            active={activeTrackSettings}
+            quality={qualitySettings}
+            onApply={applyCameraSettings}
+            onChangeQuality={updateQualitySettings}
+            onClose={() => setShowCameraSettings(false)}
+          />
+        )}
+
+        {showDetectorSettings && (
+          <DetectorSettings
+            config={detectorConfig}
+            detectorKind={detectorRef.current?.kind}
+            onApply={applyDetectorConfig}
+            onBenchmark={benchmarkDetectors}
+            onClose={() => setShowDetectorSettings(false)}
+          />
+        )}
+
+        {showAlerts && (
+          <AlertRulesEditor
+            rules={alertRules}
+            stateNames={activeProfile.states.map((st) => st.name)}
+            onChange={updateAlertRules}
+            onTest={showToast}
+            onClose={() => setShowAlerts(false)}
+          />
+        )}
+
+        {showAnalysis && (
+          <AnalysisPanel
+            onAnalyze={analyzeMedia}
+            onOpen={(recording) => startReplay(recording, recording.name, recording.durationMs)}
+            onClose={() => setShowAnalysis(false)}
+          />
+        )}
+
+        {showClassroom && (
+          <ClassroomPanel
+            settings={classroom}
+            link={classroomLink}
+            onChange={updateClassroom}
+            onJoin={joinClassroom}
+            onLeave={leaveClassroom}
+            onOpenDashboard={() => setShowDashboard(true)}
+            onClose={() => setShowClassroom(false)}
+          />
+        )}
+
+        {showPrivacy && (
+          <PrivacySettings
+            settings={privacy}
+            onChange={updatePrivacy}
+            onRevokeConsent={revokeConsent}
+            onDeleteAll={deleteSavedSessions}
+            onClose={() => setShowPrivacy(false)}
+          />
+        )}
+
+        {showEvaluation && (
+          <EvaluationPanel onEvaluate={evaluateImageSet} onClose={() => setShowEvaluation(false)} />
+        )}
+
+        {showSessions && (
+          <SessionBrowser
+            activeSession={activeSession}
+            refreshKey={sessionsRefreshKey}
+            storageError={storageError}
+            onStart={startNamedSession}
+            onStop={stopNamedSession}
+            onReplay={(id) => openStoredSession(id, 'replay')}
+            onReport={(id) => openStoredSession(id, 'report')}
+            onExport={(id) => openStoredSession(id, 'export')}
+            onClose={() => setShowSessions(false)}
+          />
+        )}
       </div>
+
+      {showDashboard && (
+        <TeacherDashboard
+          settings={classroom}
+          stateNames={activeProfile.states.map((st) => st.name)}
+          onChange={updateClassroom}
+          onAlert={showClassroomAlert}
+          onClose={() => setShowDashboard(false)}
+        />
+      )}
+
+      {reportRecording && (
+        <SummaryReport
+          recording={reportRecording}
+          stateNames={(reportRecording.states ?? activeProfile.states).map((st) => st.name)}
+          onClose={() => setReportRecording(null)}
+        />
+      )}
     </div>
   );
-}
-
+});
 
+export default App;
@@ -0,0 +1,128 @@
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import App from './App.jsx';
+import { createDetector } from './detection/detectors.js';
+import FixtureDetector from './test/fixtureDetector.js';
+import { parseRecording } from './engine/recording.js';
+import happyThenSad from './test/fixtures/happy-then-sad.json?raw';
+
+// The face-api detectors are swapped for one replaying a recorded session
+const fixture = vi.hoisted(() => ({ detector: null }));
+vi.mock('./detection/detectors.js', () => ({
+  createDetector: vi.fn(async () => fixture.detector),
+}));
+
+const recording = parseRecording(happyThenSad);
+// Just the happy half, over and over
+const happyOnly = { samples: recording.samples.slice(0, 10) };
+
+function trackedMs(durationsMs) {
+  return Object.values(durationsMs).reduce((sum, ms) => sum + ms, 0);
+}
+
+async function advance(ms) {
+  await act(() => vi.advanceTimersByTimeAsync(ms));
+}
+
+// Renders the app with camera consent already given and waits for the
+// detection loop to start
+async function renderApp() {
+  const ref = React.createRef();
+  render(<App ref={ref} />);
+  await advance(0);
+  return ref;
+}
+
+describe('App', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date', 'performance'] });
+    localStorage.setItem('faceTracker.privacy', JSON.stringify({ consented: true }));
+    // The fake camera has no pixels to judge
+    localStorage.setItem('faceTracker.quality', JSON.stringify({ enabled: false, prompts: false }));
+    fixture.detector = new FixtureDetector(happyOnly, { loop: true });
+  });
+
+  afterEach(() => {
+    fixture.detector = null;
+  });
+
+  it('shows the current and overall emotion from the detector', async () => {
+    const ref = await renderApp();
+    await advance(3000);
+
+    expect(fixture.detector.calls).toBeGreaterThan(1);
+    expect(ref.current.isRunning()).toBe(true);
+    const current = screen.getByRole('status', { name: 'Current emotion' });
+    expect(current).toHaveTextContent('Happy');
+    expect(current).toHaveTextContent(/\d+%/);
+    const overall = screen.getByRole('status', { name: 'Overall emotion' });
+    expect(overall).toHaveTextContent('Happy');
+    expect(overall).toHaveTextContent(/0:0[23]/);
+  });
+
+  it('follows the recorded expressions as they change', async () => {
+    fixture.detector = FixtureDetector.fromJson(happyThenSad);
+    await renderApp();
+    await advance(10000);
+
+    expect(screen.getByRole('status', { name: 'Current emotion' })).toHaveTextContent('Sad');
+  });
+
+  it('does not count time while paused', async () => {
+    const ref = await renderApp();
+    await advance(3000);
+    const before = { ...ref.current.room.aggregate.durationsMs };
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+    const calls = fixture.detector.calls;
+    await advance(60000);
+    expect(ref.current.isRunning()).toBe(false);
+    expect(fixture.detector.calls).toBeLessThanOrEqual(calls + 1);
+    expect(ref.current.room.aggregate.durationsMs).toEqual(before);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Resume' }));
+    await advance(3000);
+    const total = trackedMs(ref.current.room.aggregate.durationsMs);
+    expect(total).toBeGreaterThan(trackedMs(before));
+    // About six seconds of detection, none of the paused minute
+    expect(total).toBeLessThanOrEqual(6000);
+    expect(screen.getByRole('status', { name: 'Overall emotion' })).toHaveTextContent(/0:0[56]/);
+  });
+
+  it('clears the session on reset', async () => {
+    const ref = await renderApp();
+    await advance(3000);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reset' }));
+    expect(screen.queryByRole('status', { name: 'Overall emotion' })).not.toBeInTheDocument();
+    expect(trackedMs(ref.current.room.aggregate.durationsMs)).toBe(0);
+
+    // Detection carries on into the fresh session
+    await advance(1000);
+    expect(screen.getByRole('status', { name: 'Overall emotion' })).toHaveTextContent('0:00');
+    expect(trackedMs(ref.current.room.aggregate.durationsMs)).toBeLessThanOrEqual(1000);
+  });
+
+  it('disposes the detector from a mount that ended while it loaded', async () => {
+    // StrictMode mounts, cleans up and mounts again
+    const detectors = [];
+    const create = async () => {
+      const detector = new FixtureDetector(happyOnly, { loop: true });
+      vi.spyOn(detector, 'dispose');
+      detectors.push(detector);
+      return detector;
+    };
+    createDetector.mockImplementationOnce(create).mockImplementationOnce(create);
+    const ref = React.createRef();
+    render(<React.StrictMode><App ref={ref} /></React.StrictMode>);
+    await advance(1000);
+
+    expect(detectors).toHaveLength(2);
+    expect(detectors[0].dispose).toHaveBeenCalledOnce();
+    expect(detectors[1].dispose).not.toHaveBeenCalled();
+    expect(detectors[0].calls).toBe(0);
+    expect(detectors[1].calls).toBeGreaterThan(0);
+    expect(ref.current.isRunning()).toBe(true);
+  });
+});
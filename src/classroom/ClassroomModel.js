@@ -0,0 +1,101 @@
+import Emitter from '../engine/Emitter.js';
+
+// Teacher dashboard state built from relay messages: every participant's
+// latest sample plus the class-wide state distribution. A participant counts
+// as live while connected and heard from within `staleMs` (by this device's
+// clock, so phones with skewed clocks still work).
+// Emits 'change' after each update and 'alert' ({ message, timestamp }) when
+// at least `alert.share` percent of the live participants are in `alert.state`.
+export default class ClassroomModel extends Emitter {
+  constructor({ staleMs = 10000, alert = {}, now = () => Date.now() } = {}) {
+    super();
+    this.staleMs = staleMs;
+    this.now = now;
+    this.alert = { state: 'Confused / Overloaded', share: 30, minParticipants: 3, cooldownMs: 60000, ...alert };
+    this.participants = new Map();
+    this.alertActive = false;
+    this.lastAlertAt = -Infinity;
+  }
+
+  setAlert(patch) {
+    this.alert = { ...this.alert, ...patch };
+    this.alertActive = false;
+    this.check();
+  }
+
+  clear() {
+    this.participants.clear();
+    this.alertActive = false;
+    this.emit('change');
+  }
+
+  handle(msg) {
+    const receivedAt = this.now();
+    if (msg.type === 'snapshot') {
+      this.participants.clear();
+      msg.participants.forEach((p) => this.upsert(p, receivedAt));
+    } else if (msg.type === 'participant') {
+      this.upsert(msg.participant, receivedAt);
+    } else if (msg.type === 'samples') {
+      const newest = msg.samples.reduce((a, b) => (b.t >= a.t ? b : a), msg.samples[0]);
+      const existing = this.participants.get(msg.id);
+      const latest = existing?.latest && existing.latest.t > newest.t ? existing.latest : newest;
+      this.upsert({ id: msg.id, name: msg.name, connected: true, latest }, receivedAt);
+    } else if (msg.type === 'left') {
+      this.participants.delete(msg.id);
+    } else {
+      return;
+    }
+    this.emit('change');
+    this.check();
+  }
+
+  upsert(participant, receivedAt) {
+    const existing = this.participants.get(participant.id) ?? {};
+    this.participants.set(participant.id, { ...existing, ...participant, heardAt: receivedAt });
+  }
+
+  isLive(participant, now = this.now()) {
+    return participant.connected && Boolean(participant.latest) && now - participant.heardAt <= this.staleMs;
+  }
+
+  getParticipants() {
+    const now = this.now();
+    return [...this.participants.values()]
+      .map((p) => ({ ...p, live: this.isLive(p, now) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Live participants by state; those with no face in view are counted apart
+  // and left out of the shares
+  distribution() {
+    const counts = {};
+    let noFace = 0;
+    let total = 0;
+    this.getParticipants().forEach((p) => {
+      if (!p.live) return;
+      if (!p.latest.facePresent) {
+        noFace += 1;
+        return;
+      }
+      counts[p.latest.state] = (counts[p.latest.state] ?? 0) + 1;
+      total += 1;
+    });
+    return { counts, noFace, total };
+  }
+
+  // Fires on the way into the alert condition, at most once per cooldown;
+  // also call periodically so participants going stale are noticed
+  check() {
+    const { counts, total } = this.distribution();
+    const { state, share, minParticipants, cooldownMs } = this.alert;
+    const inState = counts[state] ?? 0;
+    const triggered = total >= minParticipants && total > 0 && (inState / total) * 100 >= share;
+    const now = this.now();
+    if (triggered && !this.alertActive && now - this.lastAlertAt >= cooldownMs) {
+      this.lastAlertAt = now;
+      this.emit('alert', { message: `${inState} of ${total} students are ${state}`, timestamp: now });
+    }
+    this.alertActive = triggered;
+  }
+}
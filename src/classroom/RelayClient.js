@@ -0,0 +1,131 @@
+import Emitter from '../engine/Emitter.js';
+
+const RECONNECT_DELAYS_MS = [500, 1000, 2000, 5000, 10000];
+const SEND_BATCH = 200;
+
+function createEpoch() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// WebSocket connection to the classroom relay that survives drops. It
+// reconnects with backoff, and participant samples are numbered and held until
+// the relay acknowledges them, so anything sent while offline (up to
+// `maxBuffer` samples) is delivered after the next reconnect.
+// Emits 'status' ({ status, buffered }) and 'message' for everything the relay
+// sends other than acks.
+//
+// Sequence numbers restart with each client, while participant ids persist
+// across page loads, so every client also sends its own `epoch`; the relay
+// starts counting afresh when a participant comes back under a new one.
+export default class RelayClient extends Emitter {
+  constructor({ url, room, role, id = null, name = '', maxBuffer = 3600, WebSocketImpl = globalThis.WebSocket }) {
+    super();
+    this.url = url;
+    this.hello = { type: 'hello', room, role, id, name, epoch: createEpoch() };
+    this.maxBuffer = maxBuffer;
+    this.WebSocketImpl = WebSocketImpl;
+    this.socket = null;
+    this.status = 'idle';
+    this.buffer = [];
+    this.seq = 0;
+    this.attempt = 0;
+    this.timer = null;
+    this.stopped = true;
+    // Samples go out only after the relay's first ack says what it already has
+    this.synced = false;
+  }
+
+  connect() {
+    this.stopped = false;
+    this.open();
+  }
+
+  open() {
+    this.setStatus(this.attempt ? 'reconnecting' : 'connecting');
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.url);
+    } catch (err) {
+      console.warn('Relay connection failed:', err);
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+    this.synced = false;
+    socket.onopen = () => {
+      this.attempt = 0;
+      socket.send(JSON.stringify(this.hello));
+      this.setStatus('open');
+    };
+    socket.onmessage = (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (msg.type === 'ack') this.acknowledge(msg.seq);
+      else this.emit('message', msg);
+    };
+    // A close always follows an error, so reconnecting is handled there
+    socket.onerror = () => {};
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.synced = false;
+      if (this.stopped) this.setStatus('idle');
+      else this.scheduleReconnect();
+    };
+  }
+
+  scheduleReconnect() {
+    const delay = RECONNECT_DELAYS_MS[Math.min(this.attempt, RECONNECT_DELAYS_MS.length - 1)];
+    this.attempt += 1;
+    this.setStatus('reconnecting');
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      if (!this.stopped) this.open();
+    }, delay);
+  }
+
+  close() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    const socket = this.socket;
+    this.socket = null;
+    socket?.close();
+    this.setStatus('idle');
+  }
+
+  // Queues a participant sample; it is sent now if connected, otherwise on reconnect
+  sendSample(sample) {
+    this.buffer.push({ ...sample, seq: this.seq++ });
+    // Over the limit the oldest samples go first; the live view matters most
+    if (this.buffer.length > this.maxBuffer) this.buffer.splice(0, this.buffer.length - this.maxBuffer);
+    if (this.synced) this.transmit(this.buffer.slice(-1));
+    else this.emitStatus();
+  }
+
+  acknowledge(seq) {
+    this.buffer = this.buffer.filter((s) => s.seq > seq);
+    if (!this.synced) {
+      this.synced = true;
+      for (let i = 0; i < this.buffer.length; i += SEND_BATCH) this.transmit(this.buffer.slice(i, i + SEND_BATCH));
+    }
+    this.emitStatus();
+  }
+
+  transmit(samples) {
+    if (!samples.length || this.socket?.readyState !== 1) return;
+    this.socket.send(JSON.stringify({ type: 'samples', samples }));
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.emitStatus();
+  }
+
+  emitStatus() {
+    this.emit('status', { status: this.status, buffered: this.buffer.length });
+  }
+}
@@ -0,0 +1,108 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import WebSocket from 'ws';
+import RelayClient from './RelayClient.js';
+import { createRelay } from '../../server/relay.mjs';
+
+let relay = null;
+const clients = [];
+
+async function startRelay() {
+  relay = createRelay({ port: 0, host: '127.0.0.1' });
+  await new Promise((resolve) => relay.on('listening', resolve));
+  return `ws://127.0.0.1:${relay.address().port}`;
+}
+
+function connect(url, options) {
+  const client = new RelayClient({ url, room: 'test', WebSocketImpl: WebSocket, ...options });
+  clients.push(client);
+  client.connect();
+  return client;
+}
+
+// Resolves with the first message from `client` that `match` accepts
+function nextMessage(client, match) {
+  return new Promise((resolve) => {
+    const off = client.on('message', (msg) => {
+      if (!match(msg)) return;
+      off();
+      resolve(msg);
+    });
+  });
+}
+
+// Resolves once everything `client` has buffered has been acknowledged
+function drained(client) {
+  const done = () => client.status === 'open' && client.synced && !client.buffer.length;
+  return new Promise((resolve) => {
+    if (done()) {
+      resolve();
+      return;
+    }
+    const off = client.on('status', () => {
+      if (!done()) return;
+      off();
+      resolve();
+    });
+  });
+}
+
+function sample(t) {
+  return { t, state: 'Highly Engaged', confidence: 0.8, facePresent: true, emotions: { happy: 80 } };
+}
+
+afterEach(async () => {
+  clients.splice(0).forEach((client) => client.close());
+  await new Promise((resolve) => relay.close(resolve));
+  relay = null;
+});
+
+describe('RelayClient with the relay', () => {
+  it('delivers samples from a participant that reloads under the same id', async () => {
+    const url = await startRelay();
+    const dashboard = connect(url, { role: 'dashboard' });
+    await nextMessage(dashboard, (msg) => msg.type === 'snapshot');
+
+    const first = connect(url, { role: 'participant', id: 'p-1', name: 'Ada' });
+    [1000, 2000, 3000].forEach((t) => first.sendSample(sample(t)));
+    await drained(first);
+    first.close();
+
+    // A new page load numbers its samples from 0 again
+    const received = nextMessage(dashboard, (msg) => msg.type === 'samples' && msg.samples.some((s) => s.t === 4000));
+    const second = connect(url, { role: 'participant', id: 'p-1', name: 'Ada' });
+    second.sendSample(sample(4000));
+    const msg = await received;
+
+    expect(msg.id).toBe('p-1');
+    expect(msg.samples.map((s) => s.seq)).toEqual([0]);
+    await drained(second);
+    expect(second.buffer).toHaveLength(0);
+  });
+
+  it('resends only what the relay is missing after a dropped connection', async () => {
+    const url = await startRelay();
+    const participant = connect(url, { role: 'participant', id: 'p-2' });
+    [1000, 2000].forEach((t) => participant.sendSample(sample(t)));
+    await drained(participant);
+
+    participant.socket.close();
+    participant.sendSample(sample(3000));
+    const dashboard = connect(url, { role: 'dashboard' });
+    await nextMessage(dashboard, (msg) => msg.type === 'snapshot');
+    const msg = await nextMessage(dashboard, (m) => m.type === 'samples');
+
+    expect(msg.samples.map((s) => s.seq)).toEqual([2]);
+  });
+
+  it('ignores messages that are not objects', async () => {
+    const url = await startRelay();
+    const socket = new WebSocket(url);
+    await new Promise((resolve) => socket.once('open', resolve));
+    ['null', '42', '[]'].forEach((text) => socket.send(text));
+
+    const reply = new Promise((resolve) => socket.once('message', (data) => resolve(JSON.parse(data.toString()))));
+    socket.send(JSON.stringify({ type: 'hello', room: 'test', role: 'dashboard' }));
+    expect(await reply).toMatchObject({ type: 'snapshot' });
+    socket.close();
+  });
+});
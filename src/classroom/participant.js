@@ -0,0 +1,28 @@
+// Participant side of classroom mode: turns a RoomSession's frames into the
+// derived samples the relay accepts. Only the smoothed emotion percentages,
+// current state, its confidence and whether a face is in view are sent.
+export function roomSample(room, frame, now = Date.now()) {
+  const snapshot = room.aggregate.getSnapshot();
+  const emotions = {};
+  Object.entries(snapshot.smoothed).forEach(([key, value]) => {
+    emotions[key] = Math.round(value * 10) / 10;
+  });
+  return {
+    t: now,
+    state: snapshot.currentState,
+    confidence: Math.round(snapshot.confidence * 100) / 100,
+    facePresent: frame.faces.length > 0,
+    emotions,
+  };
+}
+
+// Sends at most one sample per `intervalMs`; returns an unsubscribe function
+export function streamRoom(room, client, { intervalMs = 1000, now = () => Date.now() } = {}) {
+  let lastSent = -Infinity;
+  return room.on('frame', (frame) => {
+    const t = now();
+    if (t - lastSent < intervalMs) return;
+    lastSent = t;
+    client.sendSample(roomSample(room, frame, t));
+  });
+}
@@ -0,0 +1,64 @@
+const STORAGE_KEY = 'faceTracker.classroom';
+
+function defaultRelayUrl() {
+  const host = globalThis.location?.hostname || 'localhost';
+  return `ws://${host}:8787`;
+}
+
+export function createParticipantId() {
+  return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// `participantId` stays fixed per device so a reconnect resumes the same row
+// on the dashboard instead of adding a new one
+export function defaultClassroomSettings() {
+  return {
+    relayUrl: defaultRelayUrl(),
+    room: '',
+    name: '',
+    participantId: createParticipantId(),
+    alertState: 'Confused / Overloaded',
+    alertShare: 30,
+    alertMinParticipants: 3,
+  };
+}
+
+function clampNumber(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+export function normalizeClassroomSettings(settings = {}) {
+  const defaults = defaultClassroomSettings();
+  const str = (value, fallback) => (typeof value === 'string' ? value : fallback);
+  return {
+    relayUrl: str(settings.relayUrl, defaults.relayUrl).trim() || defaults.relayUrl,
+    room: str(settings.room, '').trim(),
+    name: str(settings.name, '').trim(),
+    participantId: str(settings.participantId, '') || defaults.participantId,
+    alertState: str(settings.alertState, defaults.alertState),
+    alertShare: clampNumber(settings.alertShare, 1, 100, defaults.alertShare),
+    alertMinParticipants: Math.round(clampNumber(settings.alertMinParticipants, 1, 500, defaults.alertMinParticipants)),
+  };
+}
+
+export function loadClassroomSettings(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    const settings = normalizeClassroomSettings(raw ? JSON.parse(raw) : {});
+    // Persist a newly generated participant id straight away
+    if (!raw) saveClassroomSettings(settings, storage);
+    return settings;
+  } catch (err) {
+    console.warn('Could not load classroom settings:', err);
+    return defaultClassroomSettings();
+  }
+}
+
+export function saveClassroomSettings(settings, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save classroom settings:', err);
+  }
+}
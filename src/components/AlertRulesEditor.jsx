@@ -0,0 +1,117 @@
+import React, { useRef, useState } from 'react';
+import { EMOTIONS } from '../engine/emotions.js';
+import { CONDITION_TYPES, ALERT_ACTIONS, createRule, describeRule, validateRule } from '../engine/alerts.js';
+import { requestNotificationPermission, runAlertActions } from './alertActions.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+// Panel for the alert rules; every change is applied and saved immediately,
+// but only rules without errors are handed to the engine
+export default function AlertRulesEditor({ rules, stateNames, onChange, onTest, onClose }) {
+  const [message, setMessage] = useState('');
+  // The latest rules, for changes that finish after an await
+  const rulesRef = useRef(rules);
+  rulesRef.current = rules;
+
+  function update(id, patch) {
+    onChange(rulesRef.current.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }
+
+  async function toggleAction(rule, action) {
+    const enabled = !rule.actions.includes(action);
+    if (enabled && action === 'notification') {
+      const permission = await requestNotificationPermission();
+      if (permission !== 'granted') {
+        setMessage(`Notifications are ${permission === 'unsupported' ? 'not supported here' : 'blocked for this site'}`);
+        return;
+      }
+    }
+    // The rule may have been edited or removed while the permission prompt was open
+    const current = rulesRef.current.find((r) => r.id === rule.id);
+    if (!current) return;
+    const actions = current.actions.filter((a) => a !== action);
+    update(rule.id, { actions: enabled ? [...actions, action] : actions });
+  }
+
+  function test(rule) {
+    runAlertActions({ rule, message: `Test: ${describeRule(rule)}` }, onTest);
+  }
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Alerts</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 10, maxHeight: 460, overflowY: 'auto' }}>
+        {rules.length === 0 && <div style={{ opacity: 0.6 }}>No alert rules yet.</div>}
+        {rules.map((rule) => {
+          const errors = validateRule(rule);
+          return (
+            <div key={rule.id} style={{ border: '1px solid #e5e7eb', borderRadius: 10, padding: 8, opacity: rule.enabled ? 1 : 0.6 }}>
+              <div style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 6 }}>
+                <input type="checkbox" checked={rule.enabled} onChange={(e) => update(rule.id, { enabled: e.target.checked })} title="Enabled" />
+                <span style={{ flex: 1, fontWeight: 600 }}>{describeRule(rule)}</span>
+                <button onClick={() => test(rule)} style={buttonStyle}>Test</button>
+                <button onClick={() => onChange(rules.filter((r) => r.id !== rule.id))} style={{ ...buttonStyle, background: '#ef4444' }}>Remove</button>
+              </div>
+
+              <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', alignItems: 'center' }}>
+                <select value={rule.type} onChange={(e) => update(rule.id, { type: e.target.value })} style={inputStyle}>
+                  {Object.entries(CONDITION_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+                {rule.type === 'state' && (
+                  <select value={rule.state} onChange={(e) => update(rule.id, { state: e.target.value })} style={inputStyle}>
+                    <option value="">Choose…</option>
+                    {[...new Set([...stateNames, rule.state].filter(Boolean))].map((name) => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                )}
+                {rule.type === 'emotion' && (
+                  <>
+                    <select value={rule.emotion} onChange={(e) => update(rule.id, { emotion: e.target.value })} style={inputStyle}>
+                      {EMOTIONS.map((e) => <option key={e.key} value={e.key}>{e.emoji} {e.label}</option>)}
+                    </select>
+                    <select value={rule.comparison} onChange={(e) => update(rule.id, { comparison: e.target.value })} style={inputStyle}>
+                      <option value="below">below</option>
+                      <option value="above">above</option>
+                    </select>
+                    <input type="number" min={0} max={100} value={rule.threshold} onChange={(e) => update(rule.id, { threshold: Number(e.target.value) })} style={{ ...inputStyle, width: 52 }} />
+                    %
+                  </>
+                )}
+                <label>
+                  for{' '}
+                  <input type="number" min={1} value={rule.forMs / 1000} onChange={(e) => update(rule.id, { forMs: Number(e.target.value) * 1000 })} style={{ ...inputStyle, width: 56 }} />
+                  {' '}s
+                </label>
+                <label>
+                  cooldown{' '}
+                  <input type="number" min={0} value={rule.cooldownMs / 1000} onChange={(e) => update(rule.id, { cooldownMs: Number(e.target.value) * 1000 })} style={{ ...inputStyle, width: 56 }} />
+                  {' '}s
+                </label>
+              </div>
+
+              <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap', marginTop: 6 }}>
+                {Object.entries(ALERT_ACTIONS).map(([action, label]) => (
+                  <label key={action} style={{ display: 'flex', gap: 3, alignItems: 'center' }}>
+                    <input type="checkbox" checked={rule.actions.includes(action)} onChange={() => toggleAction(rule, action)} />
+                    {label}
+                  </label>
+                ))}
+              </div>
+
+              {errors.length > 0 && <div style={{ color: '#b91c1c', marginTop: 6 }}>{errors.join('; ')}</div>}
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, marginTop: 12 }}>
+        <button onClick={() => onChange([...rules, createRule({ state: stateNames[0] ?? '' })])} style={buttonStyle}>Add Rule</button>
+      </div>
+      {message && <div style={{ marginTop: 8, opacity: 0.8 }}>{message}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import AlertRulesEditor from './AlertRulesEditor.jsx';
+import { createRule } from '../engine/alerts.js';
+
+// A permission prompt the test answers when it chooses
+function stubNotificationPrompt() {
+  let answer;
+  const prompt = new Promise((resolve) => {
+    answer = resolve;
+  });
+  vi.stubGlobal('Notification', { permission: 'default', requestPermission: () => prompt });
+  return answer;
+}
+
+function renderEditor(rules, onChange) {
+  const props = { stateNames: ['Highly Engaged'], onChange, onTest: () => {}, onClose: () => {} };
+  const view = render(<AlertRulesEditor rules={rules} {...props} />);
+  return (next) => view.rerender(<AlertRulesEditor rules={next} {...props} />);
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('AlertRulesEditor notifications', () => {
+  it('keeps edits made while the permission prompt is open', async () => {
+    const answer = stubNotificationPrompt();
+    const rule = createRule({ id: 'r1', type: 'emotion', threshold: 10 });
+    const onChange = vi.fn();
+    const rerender = renderEditor([rule], onChange);
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Notification' }));
+    const edited = { ...rule, threshold: 25 };
+    rerender([edited]);
+    await act(async () => answer('granted'));
+
+    expect(onChange).toHaveBeenLastCalledWith([{ ...edited, actions: ['toast', 'notification'] }]);
+  });
+
+  it('leaves the action off when permission is refused', async () => {
+    const answer = stubNotificationPrompt();
+    const onChange = vi.fn();
+    renderEditor([createRule({ id: 'r1', state: 'Highly Engaged' })], onChange);
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Notification' }));
+    await act(async () => answer('denied'));
+
+    expect(onChange).not.toHaveBeenCalled();
+    expect(screen.getByText('Notifications are blocked for this site')).toBeInTheDocument();
+  });
+});
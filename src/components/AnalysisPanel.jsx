@@ -0,0 +1,134 @@
+import React, { useRef, useState } from 'react';
+import { findEmotion, formatDuration } from '../engine/emotions.js';
+import { recordingToCsv, recordingToJson } from '../engine/recording.js';
+import { downloadText, safeFilename } from './download.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+// Analyse a local video file or a folder of images instead of the camera,
+// with a per-frame results table and the result openable in the replay viewer
+export default function AnalysisPanel({ onAnalyze, onOpen, onClose }) {
+  const [mode, setMode] = useState('video');
+  const [files, setFiles] = useState([]);
+  const [sampleFps, setSampleFps] = useState(2);
+  const [intervalMs, setIntervalMs] = useState(1000);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState('');
+  const abortRef = useRef(null);
+  const busy = progress !== null;
+
+  function changeMode(next) {
+    setMode(next);
+    setFiles([]);
+  }
+
+  async function run() {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResult(null);
+    setMessage('');
+    setProgress({ done: 0, total: null });
+    try {
+      const next = await onAnalyze({ mode, files, sampleFps, intervalMs }, setProgress, controller.signal);
+      setResult(next);
+      if (next.cancelled) setMessage(`Cancelled after ${next.rows.length} frames`);
+    } catch (err) {
+      setMessage('Analysis failed: ' + err.message);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  }
+
+  function download(format) {
+    const { recording } = result;
+    const base = safeFilename(recording.name, 'analysis');
+    if (format === 'csv') downloadText(`${base}.csv`, recordingToCsv(recording), 'text/csv');
+    else downloadText(`${base}.json`, recordingToJson(recording), 'application/json');
+  }
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Analyse Media</div>
+        <button onClick={onClose} disabled={busy} style={{ ...buttonStyle, background: '#6b7280', opacity: busy ? 0.4 : 1 }}>Close</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 8, alignItems: 'center' }}>
+        <span>Source</span>
+        <select value={mode} disabled={busy} onChange={(e) => changeMode(e.target.value)} style={inputStyle}>
+          <option value="video">Video file</option>
+          <option value="images">Image folder</option>
+        </select>
+        <span>{mode === 'video' ? 'File' : 'Folder'}</span>
+        {mode === 'video' ? (
+          <input key="video" type="file" accept="video/*" disabled={busy} onChange={(e) => setFiles([...e.target.files])} />
+        ) : (
+          <input key="images" type="file" accept="image/*" multiple webkitdirectory="" disabled={busy} onChange={(e) => setFiles([...e.target.files])} />
+        )}
+        {mode === 'video' ? (
+          <>
+            <span>Samples per second</span>
+            <input type="number" min={0.1} max={30} step={0.5} value={sampleFps} disabled={busy} onChange={(e) => setSampleFps(Number(e.target.value))} style={inputStyle} />
+          </>
+        ) : (
+          <>
+            <span>Time between images (ms)</span>
+            <input type="number" min={10} step={100} value={intervalMs} disabled={busy} onChange={(e) => setIntervalMs(Number(e.target.value))} style={inputStyle} />
+          </>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, marginTop: 12, alignItems: 'center' }}>
+        {busy ? (
+          <button onClick={() => abortRef.current?.abort()} style={{ ...buttonStyle, background: '#b91c1c' }}>Cancel</button>
+        ) : (
+          <button onClick={run} disabled={!files.length || !(sampleFps > 0) || !(intervalMs > 0)} style={{ ...buttonStyle, background: '#059669', opacity: files.length ? 1 : 0.4 }}>Analyse</button>
+        )}
+        {progress && <span style={{ opacity: 0.7 }}>Frame {progress.done}{progress.total ? ` of ${progress.total}` : ''}</span>}
+      </div>
+      <div style={{ opacity: 0.7, marginTop: 6 }}>Live detection pauses while media is analysed.</div>
+
+      {result && (
+        <div style={{ borderTop: '1px solid #e5e7eb', marginTop: 12, paddingTop: 12 }}>
+          <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+            <span style={{ fontWeight: 700, flex: 1 }}>{result.recording.name} · {formatDuration(result.recording.durationMs)}</span>
+            <button onClick={() => onOpen(result.recording)} style={buttonStyle}>Open in viewer</button>
+            <button onClick={() => download('json')} style={buttonStyle}>JSON</button>
+            <button onClick={() => download('csv')} style={buttonStyle}>CSV</button>
+          </div>
+          <div style={{ maxHeight: 300, overflowY: 'auto', marginTop: 8 }}>
+            <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: 11 }}>
+              <thead style={{ position: 'sticky', top: 0, background: '#fff' }}>
+                <tr>
+                  <th style={{ textAlign: 'left' }}>Frame</th>
+                  <th style={{ textAlign: 'right' }}>Faces</th>
+                  <th style={{ textAlign: 'left' }}>Dominant</th>
+                  <th style={{ textAlign: 'left' }}>State</th>
+                  <th style={{ textAlign: 'right' }}>Conf.</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.map((row) => {
+                  const emotion = row.dominant && findEmotion(row.dominant.key);
+                  return (
+                    <tr key={row.t}>
+                      <td>{row.label}</td>
+                      <td style={{ textAlign: 'right' }}>{row.faces}</td>
+                      <td>{emotion ? `${emotion.emoji} ${Math.round(row.dominant.score * 100)}%` : '—'}</td>
+                      <td>{row.state}</td>
+                      <td style={{ textAlign: 'right' }}>{Math.round(row.confidence * 100)}%</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      {message && <div style={{ marginTop: 8, opacity: 0.8 }}>{message}</div>}
+    </div>
+  );
+}
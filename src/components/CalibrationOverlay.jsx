@@ -0,0 +1,36 @@
+import React from 'react';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#4b5563', color: 'white', border: 'none', cursor: 'pointer', fontSize: 10 };
+
+// Prompt and countdown over the preview while a calibration runs.
+// `calibration` is { progress, total, error }.
+export default function CalibrationOverlay({ calibration, onRetry, onSkip }) {
+  const { progress, total, error } = calibration;
+  return (
+    <div style={{ position: 'absolute', inset: 0, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: 8, padding: 16, background: 'rgba(17,24,39,0.55)', color: 'white', textAlign: 'center', zIndex: 2 }}>
+      {error ? (
+        <>
+          <div style={{ fontSize: 12, fontWeight: 700 }}>Calibration didn't finish</div>
+          <div style={{ fontSize: 10, opacity: 0.85 }}>{error}. Make sure only your face is in view and well lit.</div>
+          <div style={{ display: 'flex', gap: 6 }}>
+            <button onClick={onRetry} style={{ ...buttonStyle, background: '#059669' }}>Try again</button>
+            <button onClick={onSkip} style={buttonStyle}>Skip</button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div style={{ fontSize: 9, opacity: 0.7 }}>
+            Calibrating · step {(progress?.index ?? 0) + 1} of {total}
+          </div>
+          <div style={{ fontSize: 16, fontWeight: 700 }}>{progress?.step.prompt ?? 'Looking for your face…'}</div>
+          {progress && (
+            <div style={{ fontSize: 22, fontWeight: 700 }}>
+              {progress.settling ? 'Get ready' : Math.ceil(progress.remainingMs / 1000)}
+            </div>
+          )}
+          <button onClick={onSkip} style={buttonStyle}>Cancel</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React from 'react';
+import { findEmotion } from '../engine/emotions.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+
+function Toggle({ checked, onChange, children }) {
+  return (
+    <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+      <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+      {children}
+    </label>
+  );
+}
+
+// Shows the active profile's resting baseline and runs or clears it. Turning
+// "Apply" off scores raw expressions again, for comparing the two.
+export default function CalibrationPanel({ profile, settings, onChangeSettings, onCalibrate, onClear, onClose }) {
+  const baseline = profile.baseline;
+  const resting = baseline
+    ? Object.entries(baseline.rest)
+      .filter(([key]) => key !== 'neutral')
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+    : [];
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Calibration · {profile.name}</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      <div style={{ opacity: 0.7, marginBottom: 10 }}>
+        Records your resting face for a few seconds so expressions are read relative to it.
+        Useful when a relaxed face reads as sad or angry.
+      </div>
+
+      {baseline ? (
+        <div style={{ marginBottom: 10 }}>
+          <div>Calibrated {new Date(baseline.createdAt).toLocaleString()}</div>
+          <div style={{ opacity: 0.7, marginTop: 2 }}>
+            At rest: {Math.round(baseline.rest.neutral * 100)}% neutral
+            {resting.map(([key, value]) => ` · ${findEmotion(key)?.label ?? key} ${Math.round(value * 100)}%`)}
+          </div>
+          {Object.keys(baseline.peaks).length > 0 && (
+            <div style={{ opacity: 0.7, marginTop: 2 }}>
+              Full range: {Object.entries(baseline.peaks).map(([key, value]) => `${findEmotion(key)?.label ?? key} ${Math.round(value * 100)}%`).join(' · ')}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div style={{ marginBottom: 10 }}>This profile has not been calibrated.</div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+        <Toggle checked={settings.apply} onChange={(apply) => onChangeSettings({ ...settings, apply })}>
+          Apply calibration (off shows raw output)
+        </Toggle>
+        <Toggle checked={settings.includePrompts} onChange={(includePrompts) => onChangeSettings({ ...settings, includePrompts })}>
+          Also prompt a smile and a surprised face
+        </Toggle>
+        <Toggle checked={settings.onSessionStart} onChange={(onSessionStart) => onChangeSettings({ ...settings, onSessionStart })}>
+          Calibrate when a named session starts
+        </Toggle>
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, marginTop: 12 }}>
+        <button onClick={onCalibrate} style={{ ...buttonStyle, background: '#059669' }}>{baseline ? 'Recalibrate' : 'Calibrate'}</button>
+        {baseline && <button onClick={onClear} style={{ ...buttonStyle, background: '#b91c1c' }}>Clear</button>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import { RESOLUTIONS, FRAME_RATES } from '../media/camera.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+const FACING_LABELS = { front: 'Front', back: 'Back', external: 'External' };
+
+// Camera picker with resolution and frame-rate requests; `active` is what the
+// browser actually delivered, which may differ from the request. The
+// frame-quality toggles take effect straight away.
+export default function CameraSettings({ settings, cameras, active, quality, onApply, onChangeQuality, onClose }) {
+  const [draft, setDraft] = useState(settings);
+  const [applying, setApplying] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  async function apply() {
+    setApplying(true);
+    setMessage('Switching…');
+    try {
+      await onApply(draft);
+      setMessage('Applied');
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setApplying(false);
+    }
+  }
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Camera</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 8, alignItems: 'center' }}>
+        <span>Device</span>
+        <select value={draft.deviceId} onChange={(e) => setDraft({ ...draft, deviceId: e.target.value })} style={inputStyle}>
+          <option value="">Default (front)</option>
+          {cameras.map((c) => (
+            <option key={c.deviceId} value={c.deviceId}>{FACING_LABELS[c.facing]} · {c.label}</option>
+          ))}
+        </select>
+        <span>Resolution</span>
+        <select value={draft.resolution} onChange={(e) => setDraft({ ...draft, resolution: e.target.value })} style={inputStyle}>
+          {Object.entries(RESOLUTIONS).map(([key, r]) => <option key={key} value={key}>{r.label}</option>)}
+        </select>
+        <span>Frame rate</span>
+        <select value={draft.frameRate ?? ''} onChange={(e) => setDraft({ ...draft, frameRate: e.target.value ? Number(e.target.value) : null })} style={inputStyle}>
+          {FRAME_RATES.map((fps) => <option key={fps ?? 'auto'} value={fps ?? ''}>{fps ? `${fps} fps` : 'Auto'}</option>)}
+        </select>
+      </div>
+      {cameras.length === 0 && <div style={{ opacity: 0.7, marginTop: 6 }}>No cameras detected yet. Plug one in and it will appear here.</div>}
+
+      <div style={{ display: 'flex', gap: 6, marginTop: 12, alignItems: 'center' }}>
+        <button onClick={apply} disabled={applying} style={{ ...buttonStyle, background: '#059669', opacity: applying ? 0.4 : 1 }}>Apply</button>
+        {active && (
+          <span style={{ opacity: 0.7 }}>
+            Now: {active.width}×{active.height}{active.frameRate ? ` @ ${Math.round(active.frameRate)} fps` : ''}
+          </span>
+        )}
+      </div>
+      {message && <div style={{ marginTop: 8, opacity: 0.8 }}>{message}</div>}
+
+      <div style={{ borderTop: '1px solid #e5e7eb', marginTop: 12, paddingTop: 12, display: 'flex', flexDirection: 'column', gap: 6 }}>
+        <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+          <input type="checkbox" checked={quality.enabled} onChange={(e) => onChangeQuality({ ...quality, enabled: e.target.checked })} />
+          Skip dark, blurry or badly framed frames
+        </label>
+        <label style={{ display: 'flex', gap: 6, alignItems: 'center', opacity: quality.enabled ? 1 : 0.5 }}>
+          <input type="checkbox" checked={quality.prompts} disabled={!quality.enabled} onChange={(e) => onChangeQuality({ ...quality, prompts: e.target.checked })} />
+          Show tips such as "move closer" or "too dark"
+        </label>
+        <div style={{ opacity: 0.7 }}>Skipped frames are left out of the statistics and show as gaps in the timeline.</div>
+      </div>
+    </div>
+  );
+}
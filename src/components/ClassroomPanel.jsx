@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from 'react';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+const STATUS_LABELS = {
+  idle: 'Not connected',
+  connecting: 'Connecting…',
+  open: 'Connected',
+  reconnecting: 'Connection lost, retrying…',
+};
+
+// Join a classroom as a participant, or open the teacher dashboard for it.
+// `link` is the participant connection's { status, buffered }, or null.
+export default function ClassroomPanel({ settings, link, onChange, onJoin, onLeave, onOpenDashboard, onClose }) {
+  const [draft, setDraft] = useState(settings);
+
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  const ready = draft.relayUrl.trim() && draft.room.trim();
+
+  function commit(action) {
+    onChange(draft);
+    action(draft);
+  }
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Classroom</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      <div style={{ opacity: 0.7, marginBottom: 10 }}>
+        Joining shares your current state and emotion percentages with the room, about once a second. Video is never sent.
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 8, alignItems: 'center' }}>
+        <span>Relay</span>
+        <input value={draft.relayUrl} disabled={Boolean(link)} onChange={(e) => setDraft({ ...draft, relayUrl: e.target.value })} style={inputStyle} />
+        <span>Room code</span>
+        <input value={draft.room} disabled={Boolean(link)} onChange={(e) => setDraft({ ...draft, room: e.target.value })} style={inputStyle} />
+        <span>Your name</span>
+        <input value={draft.name} disabled={Boolean(link)} placeholder="shown to the teacher" onChange={(e) => setDraft({ ...draft, name: e.target.value })} style={inputStyle} />
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginTop: 12, alignItems: 'center' }}>
+        {link ? (
+          <button onClick={onLeave} style={{ ...buttonStyle, background: '#b91c1c' }}>Leave room</button>
+        ) : (
+          <button onClick={() => commit(onJoin)} disabled={!ready} style={{ ...buttonStyle, background: '#059669', opacity: ready ? 1 : 0.4 }}>Join room</button>
+        )}
+        <button onClick={() => commit(onOpenDashboard)} disabled={!ready} style={{ ...buttonStyle, opacity: ready ? 1 : 0.4 }}>Teacher dashboard</button>
+      </div>
+      {link && (
+        <div style={{ marginTop: 8, opacity: 0.8 }}>
+          {STATUS_LABELS[link.status]}
+          {link.buffered > 0 && ` · ${link.buffered} sample${link.buffered === 1 ? '' : 's'} waiting to send`}
+        </div>
+      )}
+    </div>
+  );
+}
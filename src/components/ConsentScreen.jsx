@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { PREVIEW_MODES } from '../privacy/settings.js';
+import { isAnalyticsAvailable } from '../privacy/analytics.js';
+
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 10 };
+
+// Shown before the camera is ever requested. Explains what happens to the
+// video and lets the user pick a preview mode and analytics up front.
+export default function ConsentScreen({ settings, onAccept, onAnalyseMedia }) {
+  const [preview, setPreview] = useState(settings.preview);
+  const [analytics, setAnalytics] = useState(settings.analytics);
+
+  return (
+    <div style={{ position: 'absolute', inset: 0, display: 'flex', flexDirection: 'column', justifyContent: 'center', gap: 8, padding: 16, background: 'rgba(17,24,39,0.95)', color: 'white', fontSize: 10, lineHeight: 1.4 }}>
+      <div style={{ fontSize: 13, fontWeight: 700 }}>Before we use your camera</div>
+      <ul style={{ margin: 0, paddingLeft: 16 }}>
+        <li>Video is analysed on this device. Frames are never uploaded or stored.</li>
+        <li>Only emotion scores and states are kept, and only on this device.</li>
+        <li>Saved sessions can be set to delete themselves after a number of days.</li>
+      </ul>
+      <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+        Preview
+        <select value={preview} onChange={(e) => setPreview(e.target.value)} style={inputStyle}>
+          {Object.entries(PREVIEW_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      {isAnalyticsAvailable() && (
+        <label style={{ display: 'flex', gap: 6, alignItems: 'flex-start' }}>
+          <input type="checkbox" checked={analytics} onChange={(e) => setAnalytics(e.target.checked)} />
+          <span>Share anonymous usage counts (e.g. "a session was started"). No video or emotion data is ever included.</span>
+        </label>
+      )}
+      <div style={{ display: 'flex', gap: 6, marginTop: 4 }}>
+        <button
+          onClick={() => onAccept({ preview, analytics })}
+          style={{ padding: '6px 10px', borderRadius: 8, background: '#059669', color: 'white', border: 'none', cursor: 'pointer', fontSize: 10 }}
+        >
+          Allow camera
+        </button>
+        <button
+          onClick={onAnalyseMedia}
+          style={{ padding: '6px 10px', borderRadius: 8, background: '#4b5563', color: 'white', border: 'none', cursor: 'pointer', fontSize: 10 }}
+        >
+          Analyse a file instead
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { BACKENDS, DETECTORS, LANDMARK_MODELS } from '../detection/faceapiDetect.js';
+import { normalizeDetectorConfig } from '../detection/settings.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+const OPTION_FIELDS = {
+  inputSize: { label: 'Input size', min: 128, max: 608, step: 32 },
+  scoreThreshold: { label: 'Score threshold', min: 0.05, max: 0.95, step: 0.05 },
+  minConfidence: { label: 'Min confidence', min: 0.05, max: 0.95, step: 0.05 },
+  maxResults: { label: 'Max faces', min: 1, max: 50, step: 1 },
+};
+
+// Detector / TF.js backend selection plus a benchmark across every combination
+export default function DetectorSettings({ config, detectorKind, onApply, onBenchmark, onClose }) {
+  const [draft, setDraft] = useState(config);
+  const [applying, setApplying] = useState(false);
+  const [message, setMessage] = useState('');
+  const [frames, setFrames] = useState(20);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+  const busy = applying || progress !== null;
+
+  function changeDetector(detector) {
+    setDraft(normalizeDetectorConfig({ ...draft, detector, options: DETECTORS[detector].defaults }));
+  }
+
+  async function apply() {
+    setApplying(true);
+    setMessage('Loading…');
+    try {
+      await onApply(draft);
+      setMessage('Applied');
+    } catch (err) {
+      setMessage('Could not switch: ' + err.message);
+    } finally {
+      setApplying(false);
+    }
+  }
+
+  async function benchmark() {
+    setResults(null);
+    setProgress({ frame: 0, frames });
+    try {
+      setResults(await onBenchmark(frames, setProgress));
+    } catch (err) {
+      setMessage('Benchmark failed: ' + err.message);
+    } finally {
+      setProgress(null);
+    }
+  }
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Detector Settings</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 8, alignItems: 'center' }}>
+        <span>Face detector</span>
+        <select value={draft.detector} onChange={(e) => changeDetector(e.target.value)} style={inputStyle}>
+          {Object.entries(DETECTORS).map(([key, d]) => <option key={key} value={key}>{d.label}</option>)}
+        </select>
+        <span>TF.js backend</span>
+        <select value={draft.backend} onChange={(e) => setDraft({ ...draft, backend: e.target.value })} style={inputStyle}>
+          {BACKENDS.map((b) => <option key={b} value={b}>{b}</option>)}
+        </select>
+        <span>Landmarks</span>
+        <select value={draft.landmarks} onChange={(e) => setDraft({ ...draft, landmarks: e.target.value })} style={inputStyle}>
+          {Object.entries(LANDMARK_MODELS).map(([key, m]) => <option key={key} value={key}>{m.label}</option>)}
+        </select>
+        {Object.keys(DETECTORS[draft.detector].defaults).map((key) => {
+          const { label, ...range } = OPTION_FIELDS[key];
+          return (
+            <React.Fragment key={key}>
+              <span>{label}</span>
+              <input
+                type="number"
+                {...range}
+                value={draft.options[key]}
+                onChange={(e) => setDraft({ ...draft, options: { ...draft.options, [key]: Number(e.target.value) } })}
+                style={inputStyle}
+              />
+            </React.Fragment>
+          );
+        })}
+      </div>
+      {draft.detector === 'tiny' && (
+        <div style={{ opacity: 0.7, marginTop: 6 }}>Input size is the starting point; the adaptive controller tunes it while running.</div>
+      )}
+
+      <div style={{ display: 'flex', gap: 6, marginTop: 12, alignItems: 'center' }}>
+        <button onClick={apply} disabled={busy} style={{ ...buttonStyle, background: '#059669', opacity: busy ? 0.4 : 1 }}>Apply</button>
+        <span style={{ opacity: 0.7 }}>Running on {detectorKind === 'worker' ? 'a worker' : 'the main thread'}</span>
+      </div>
+
+      <div style={{ borderTop: '1px solid #e5e7eb', marginTop: 12, paddingTop: 12 }}>
+        <div style={{ fontWeight: 700, marginBottom: 6 }}>Benchmark</div>
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+          <label>
+            Frames per combo{' '}
+            <input type="number" min={5} max={200} value={frames} onChange={(e) => setFrames(Number(e.target.value))} style={{ ...inputStyle, width: 60 }} />
+          </label>
+          <button onClick={benchmark} disabled={busy} style={{ ...buttonStyle, opacity: busy ? 0.4 : 1 }}>Run</button>
+        </div>
+        {progress && (
+          <div style={{ marginTop: 6, opacity: 0.7 }}>
+            {progress.combo ? `${DETECTORS[progress.combo.detector].label} / ${progress.combo.backend}: ` : ''}
+            frame {progress.frame} of {progress.frames}
+          </div>
+        )}
+        {results && (
+          <table style={{ borderCollapse: 'collapse', width: '100%', marginTop: 8, fontSize: 11 }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }}>Detector</th>
+                <th style={{ textAlign: 'left' }}>Backend</th>
+                <th style={{ textAlign: 'right' }}>Mean ms</th>
+                <th style={{ textAlign: 'right' }}>Detected</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((r) => (
+                <tr key={`${r.detector}-${r.backend}`}>
+                  <td>{DETECTORS[r.detector].label}</td>
+                  <td>{r.backend}</td>
+                  {r.error ? (
+                    <td colSpan={2} style={{ textAlign: 'right', color: '#b91c1c' }}>{r.error}</td>
+                  ) : (
+                    <>
+                      <td style={{ textAlign: 'right' }}>{r.meanMs.toFixed(1)}</td>
+                      <td style={{ textAlign: 'right' }}>{Math.round(r.detectionRate * 100)}%</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+      {message && <div style={{ marginTop: 8, opacity: 0.8 }}>{message}</div>}
+    </div>
+  );
+}
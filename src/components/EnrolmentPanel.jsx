@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { findEmotion, formatDuration } from '../engine/emotions.js';
+import { MIN_MATCH_THRESHOLD, MAX_MATCH_THRESHOLD } from '../engine/identity.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+function topEmotion(durationsMs) {
+  const [key, ms] = Object.entries(durationsMs).reduce((a, b) => (b[1] > a[1] ? b : a), ['', 0]);
+  return ms > 0 ? findEmotion(key) : null;
+}
+
+// Enrols faces for re-identification and shows what each recognised person
+// has accumulated this session. `identities` are the live per-identity
+// snapshots; `enrolment` is { count, total, error } while one is capturing.
+export default function EnrolmentPanel({ store, enabled, identities, enrolment, onToggle, onChangeThreshold, onEnrol, onCancelEnrolment, onRemove, onWipe, onClose }) {
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const live = new Map(identities.map((identity) => [identity.id, identity]));
+
+  async function toggle(next) {
+    setBusy(true);
+    try {
+      await onToggle(next);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function enrol() {
+    onEnrol(name);
+    setName('');
+  }
+
+  function wipe() {
+    if (window.confirm('Delete every enrolled face from this device? Session data already collected is kept.')) onWipe();
+  }
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Re-identification</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      <div style={{ opacity: 0.7, marginBottom: 10 }}>
+        Recognises enrolled faces so each person keeps their own counts when they leave and come back or the device is passed around.
+        Face descriptors are computed and stored only on this device, and are never exported or sent to a classroom.
+      </div>
+
+      <label style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+        <input type="checkbox" checked={enabled} disabled={busy} onChange={(e) => toggle(e.target.checked)} />
+        Recognise enrolled faces {busy && '(loading model…)'}
+      </label>
+
+      <div style={{ display: 'flex', gap: 6, alignItems: 'center', marginTop: 8 }}>
+        <span>Match distance</span>
+        <input
+          type="range"
+          min={MIN_MATCH_THRESHOLD}
+          max={MAX_MATCH_THRESHOLD}
+          step={0.01}
+          value={store.threshold}
+          onChange={(e) => onChangeThreshold(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <span style={{ width: 30, textAlign: 'right' }}>{store.threshold.toFixed(2)}</span>
+      </div>
+      <div style={{ opacity: 0.7 }}>Lower is stricter: fewer mix-ups, but more faces left unrecognised.</div>
+
+      <div style={{ borderTop: '1px solid #e5e7eb', marginTop: 12, paddingTop: 12 }}>
+        {enrolment ? (
+          <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+            <span style={{ flex: 1 }}>
+              {enrolment.error
+                ? `${enrolment.error}. Make sure only the person being enrolled is in view.`
+                : `Look at the camera and turn your head slightly… ${enrolment.count} of ${enrolment.total}`}
+            </span>
+            <button onClick={onCancelEnrolment} style={{ ...buttonStyle, background: '#6b7280' }}>{enrolment.error ? 'OK' : 'Cancel'}</button>
+          </div>
+        ) : (
+          <div style={{ display: 'flex', gap: 6 }}>
+            <input
+              value={name}
+              placeholder="Name, or blank for a pseudonym"
+              onChange={(e) => setName(e.target.value)}
+              style={{ ...inputStyle, flex: 1 }}
+            />
+            <button onClick={enrol} disabled={!enabled} style={{ ...buttonStyle, background: '#059669', opacity: enabled ? 1 : 0.4 }}>Enrol</button>
+          </div>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 12, maxHeight: 240, overflowY: 'auto' }}>
+        {store.identities.length === 0 && <div style={{ opacity: 0.7 }}>No faces enrolled.</div>}
+        {store.identities.map((identity) => {
+          const session = live.get(identity.id);
+          const trackedMs = session ? Object.values(session.durationsMs).reduce((sum, ms) => sum + ms, 0) : 0;
+          const top = session && topEmotion(session.durationsMs);
+          return (
+            <div key={identity.id} style={{ display: 'flex', gap: 6, alignItems: 'center', padding: 8, border: '1px solid #e5e7eb', borderRadius: 10 }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 600 }}>
+                  {session?.inView && '● '}{identity.name}
+                </div>
+                <div style={{ opacity: 0.7 }}>
+                  {session
+                    ? `${formatDuration(trackedMs)} this session · ${session.currentState}${top ? ` · mostly ${top.emoji} ${top.label}` : ''}`
+                    : 'Not seen this session'}
+                </div>
+              </div>
+              <button onClick={() => onRemove(identity.id)} style={{ ...buttonStyle, background: '#b91c1c' }}>Remove</button>
+            </div>
+          );
+        })}
+      </div>
+
+      {store.identities.length > 0 && (
+        <button onClick={wipe} style={{ ...buttonStyle, background: '#b91c1c', marginTop: 12, width: '100%' }}>
+          Wipe all enrolled faces
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+import React, { useRef, useState } from 'react';
+import { findEmotion } from '../engine/emotions.js';
+import { EMOTION_KEYS, parseLabels, evaluationToCsv } from '../engine/evaluation.js';
+import { downloadText } from './download.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+const cellStyle = { padding: '2px 4px', borderBottom: '1px solid #f3f4f6', textAlign: 'right' };
+
+const LABEL_FILE = /(^|\/)labels\.(json|csv)$/i;
+
+function pct(value) {
+  return value === null ? '—' : `${Math.round(value * 100)}%`;
+}
+
+function short(key) {
+  return findEmotion(key)?.emoji ?? key;
+}
+
+// Measures expression accuracy on a labelled image folder: per-emotion
+// precision/recall, confusion matrix, face-detection failures and breakdowns
+// by tag. A labels.json/labels.csv inside the folder is picked up by itself.
+export default function EvaluationPanel({ onEvaluate, onClose }) {
+  const [files, setFiles] = useState([]);
+  const [labelsFile, setLabelsFile] = useState(null);
+  const [threshold, setThreshold] = useState(60);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState('');
+  const abortRef = useRef(null);
+  const busy = progress !== null;
+  const labelsSource = labelsFile ?? files.find((f) => LABEL_FILE.test(f.webkitRelativePath || f.name));
+
+  async function run() {
+    setResult(null);
+    setMessage('');
+    let parsed;
+    try {
+      parsed = parseLabels(await labelsSource.text(), labelsSource.name);
+    } catch (err) {
+      setMessage(err.message);
+      return;
+    }
+    if (!parsed.labels.length) {
+      setMessage(parsed.errors.length ? parsed.errors.slice(0, 3).join('; ') : 'The labels file has no entries');
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress({ done: 0, total: null });
+    try {
+      const next = await onEvaluate({ files, labels: parsed.labels, threshold: threshold / 100 }, setProgress, controller.signal);
+      setResult({ ...next, labelErrors: parsed.errors });
+      if (next.cancelled) setMessage(`Cancelled after ${next.results.length} images`);
+    } catch (err) {
+      setMessage('Evaluation failed: ' + err.message);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  }
+
+  function download(format) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (format === 'csv') downloadText(`evaluation-${stamp}.csv`, evaluationToCsv(result.report), 'text/csv');
+    else downloadText(`evaluation-${stamp}.json`, JSON.stringify({ report: result.report, results: result.results }, null, 2), 'application/json');
+  }
+
+  const report = result?.report;
+
+  return (
+    <div style={{ width: 'min(560px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Evaluate Accuracy</div>
+        <button onClick={onClose} disabled={busy} style={{ ...buttonStyle, background: '#6b7280', opacity: busy ? 0.4 : 1 }}>Close</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 8, alignItems: 'center' }}>
+        <span>Image folder</span>
+        <input type="file" multiple webkitdirectory="" disabled={busy} onChange={(e) => setFiles([...e.target.files])} />
+        <span>Labels</span>
+        <div>
+          <input type="file" accept=".json,.csv,application/json,text/csv" disabled={busy} onChange={(e) => setLabelsFile(e.target.files?.[0] ?? null)} />
+          {!labelsFile && labelsSource && <div style={{ opacity: 0.7 }}>Using {labelsSource.name} from the folder</div>}
+        </div>
+        <span>Flag below</span>
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+          <input type="number" min={1} max={100} value={threshold} disabled={busy} onChange={(e) => setThreshold(Number(e.target.value))} style={{ ...inputStyle, width: 70 }} />
+          <span>% recall</span>
+        </div>
+      </div>
+      <div style={{ opacity: 0.7, marginTop: 6 }}>
+        Labels: JSON <code>[{'{'}"file", "emotion", "tags"{'}'}]</code>, or CSV with <code>file</code> and <code>emotion</code> columns; any other CSV column is a tag such as lighting or glasses.
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, marginTop: 12, alignItems: 'center' }}>
+        {busy ? (
+          <button onClick={() => abortRef.current?.abort()} style={{ ...buttonStyle, background: '#b91c1c' }}>Cancel</button>
+        ) : (
+          <button onClick={run} disabled={!files.length || !labelsSource || !(threshold > 0)} style={{ ...buttonStyle, background: '#059669', opacity: files.length && labelsSource ? 1 : 0.4 }}>Evaluate</button>
+        )}
+        {progress && <span style={{ opacity: 0.7 }}>Image {progress.done}{progress.total ? ` of ${progress.total}` : ''}</span>}
+      </div>
+      <div style={{ opacity: 0.7, marginTop: 6 }}>Live detection pauses during the evaluation.</div>
+
+      {report && (
+        <div style={{ borderTop: '1px solid #e5e7eb', marginTop: 12, paddingTop: 12, display: 'flex', flexDirection: 'column', gap: 10, maxHeight: 420, overflowY: 'auto' }}>
+          <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+            <span style={{ fontWeight: 700, flex: 1 }}>
+              {report.total} images · {pct(report.accuracy)} accuracy · {pct(report.failureRate)} no face found
+              {report.errors > 0 && ` (${report.errors} detector errors)`}
+            </span>
+            <button onClick={() => download('json')} style={buttonStyle}>JSON</button>
+            <button onClick={() => download('csv')} style={buttonStyle}>CSV</button>
+          </div>
+          {report.flagged.length > 0 && (
+            <div style={{ color: '#b91c1c', fontWeight: 600 }}>
+              Below {Math.round(report.threshold * 100)}% recall: {report.flagged.map((key) => findEmotion(key)?.label ?? key).join(', ')}
+            </div>
+          )}
+          {(result.unlabelled > 0 || result.missing.length > 0 || result.unreadable.length > 0 || result.labelErrors.length > 0) && (
+            <div style={{ opacity: 0.7 }}>
+              {[
+                result.unlabelled && `${result.unlabelled} images had no label`,
+                result.missing.length && `${result.missing.length} labels had no image`,
+                result.unreadable.length && `${result.unreadable.length} images could not be read`,
+                result.labelErrors.length && `${result.labelErrors.length} label rows were skipped`,
+              ].filter(Boolean).join(' · ')}
+            </div>
+          )}
+
+          <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: 11 }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }}>Emotion</th>
+                <th style={cellStyle}>Images</th>
+                <th style={cellStyle}>No face</th>
+                <th style={cellStyle}>Errors</th>
+                <th style={cellStyle}>Precision</th>
+                <th style={cellStyle}>Recall</th>
+                <th style={cellStyle}>F1</th>
+              </tr>
+            </thead>
+            <tbody>
+              {EMOTION_KEYS.map((key) => {
+                const m = report.perEmotion[key];
+                const flagged = report.flagged.includes(key);
+                return (
+                  <tr key={key} style={{ color: flagged ? '#b91c1c' : undefined, fontWeight: flagged ? 600 : undefined }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{findEmotion(key)?.emoji} {findEmotion(key)?.label ?? key}</td>
+                    <td style={cellStyle}>{m.support}</td>
+                    <td style={cellStyle}>{m.failures}</td>
+                    <td style={cellStyle}>{m.errors}</td>
+                    <td style={cellStyle}>{pct(m.precision)}</td>
+                    <td style={cellStyle}>{pct(m.recall)}</td>
+                    <td style={cellStyle}>{pct(m.f1)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div>
+            <div style={{ fontWeight: 700, marginBottom: 4 }}>Confusion matrix (rows: labelled, columns: predicted)</div>
+            <table style={{ borderCollapse: 'collapse', fontSize: 11 }}>
+              <thead>
+                <tr>
+                  <th />
+                  {EMOTION_KEYS.map((key) => <th key={key} style={cellStyle} title={key}>{short(key)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {EMOTION_KEYS.map((expected) => {
+                  const rowTotal = EMOTION_KEYS.reduce((sum, p) => sum + report.confusion[expected][p], 0);
+                  return (
+                    <tr key={expected}>
+                      <th style={{ ...cellStyle, textAlign: 'left' }} title={expected}>{short(expected)}</th>
+                      {EMOTION_KEYS.map((predicted) => {
+                        const n = report.confusion[expected][predicted];
+                        const shade = rowTotal ? n / rowTotal : 0;
+                        return (
+                          <td key={predicted} style={{ ...cellStyle, background: `rgba(${predicted === expected ? '5,150,105' : '185,28,28'},${shade * 0.6})` }}>
+                            {n || ''}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {report.byTag.length > 0 && (
+            <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: 11 }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: 'left' }}>Tag</th>
+                  <th style={cellStyle}>Images</th>
+                  <th style={cellStyle}>No face</th>
+                  <th style={cellStyle}>Accuracy</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.byTag.map((group) => (
+                  <tr key={group.tag} style={{ color: group.accuracy !== null && group.accuracy < report.threshold ? '#b91c1c' : undefined }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{group.tag}</td>
+                    <td style={cellStyle}>{group.total}</td>
+                    <td style={cellStyle}>{pct(group.failureRate)}</td>
+                    <td style={cellStyle}>{pct(group.accuracy)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+      {message && <div style={{ marginTop: 8, opacity: 0.8 }}>{message}</div>}
+    </div>
+  );
+}
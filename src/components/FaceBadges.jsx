@@ -0,0 +1,63 @@
+import React from 'react';
+import { findEmotion } from '../engine/emotions.js';
+import { videoToDisplayBox } from '../engine/geometry.js';
+
+// Per-person badges positioned over the (usually mirrored) cover-fitted video
+// preview. `avatar` fills each box with the person's dominant emoji so it can
+// stand in for a hidden preview.
+export default function FaceBadges({ people, videoRef, containerRef, mirrored = true, avatar = false }) {
+  const video = videoRef.current;
+  const container = containerRef.current;
+  if (!video || !container || !people.length) return null;
+
+  const videoSize = { width: video.videoWidth, height: video.videoHeight };
+  const displaySize = { width: container.clientWidth, height: container.clientHeight };
+
+  return people.map((person) => {
+    const box = videoToDisplayBox(person.box, videoSize, displaySize, mirrored);
+    if (!box) return null;
+    const emotion = person.dominant && findEmotion(person.dominant.key);
+    const attention = person.features?.attention;
+    return (
+      <div
+        key={person.id}
+        style={{
+          position: 'absolute',
+          left: box.x,
+          top: box.y,
+          width: box.width,
+          height: box.height,
+          border: `2px solid ${person.visible ? 'rgba(255,255,255,0.8)' : 'rgba(255,255,255,0.3)'}`,
+          borderStyle: person.visible ? 'solid' : 'dashed',
+          borderRadius: 8,
+          pointerEvents: 'none',
+        }}
+      >
+        {avatar && (
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', width: '100%', height: '100%', fontSize: Math.max(16, box.height * 0.6), lineHeight: 1 }}>
+            {emotion?.emoji ?? '🙂'}
+          </div>
+        )}
+        <div
+          style={{
+            position: 'absolute',
+            bottom: '100%',
+            left: -2,
+            marginBottom: 2,
+            background: 'rgba(0,0,0,0.7)',
+            color: 'white',
+            borderRadius: 6,
+            padding: '2px 6px',
+            fontSize: 9,
+            fontWeight: 600,
+            whiteSpace: 'nowrap',
+          }}
+        >
+          {person.name ?? `P${person.id}`} {emotion?.emoji} {person.currentState}
+          {attention !== undefined && ` · 👀 ${Math.round(attention)}%`}
+          {person.pose?.gazeAway && ' · looking away'}
+        </div>
+      </div>
+    );
+  });
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+import { FILTER_TYPES, FILTER_PARAMS, DEFAULT_FILTER_CONFIG } from '../engine/filters.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+const HINTS = {
+  none: 'No smoothing: states follow every detection, flicker included.',
+  ema: 'Each reading fades out over the time constant. Longer is steadier but slower to react.',
+  mean: 'Average of the readings inside the window.',
+  median: 'Middle reading inside the window; ignores one-off misdetections.',
+  oneEuro: 'Smooths hard while the signal holds still and follows quickly when it moves. Raise the speed coefficient for less lag.',
+};
+
+// Picks and tunes the signal filter live; every change applies at once.
+// The timeline's "Raw vs filtered" view shows the effect.
+export default function FilterSettings({ config, onChange, onClose }) {
+  const { params } = FILTER_TYPES[config.type];
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Smoothing</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr auto', gap: 8, alignItems: 'center' }}>
+        <span>Filter</span>
+        <select value={config.type} onChange={(e) => onChange({ ...config, type: e.target.value })} style={{ ...inputStyle, gridColumn: 'span 2' }}>
+          {Object.entries(FILTER_TYPES).map(([key, type]) => <option key={key} value={key}>{type.label}</option>)}
+        </select>
+        {params.map((key) => {
+          const spec = FILTER_PARAMS[key];
+          return (
+            <React.Fragment key={key}>
+              <span>{spec.label}</span>
+              <input
+                type="range"
+                min={spec.min}
+                max={spec.max}
+                step={spec.step}
+                value={config[key]}
+                onChange={(e) => onChange({ ...config, [key]: Number(e.target.value) })}
+              />
+              <span style={{ width: 64, textAlign: 'right' }}>{config[key]}{spec.unit && ` ${spec.unit}`}</span>
+            </React.Fragment>
+          );
+        })}
+      </div>
+      <div style={{ opacity: 0.7, marginTop: 8 }}>{HINTS[config.type]}</div>
+      <div style={{ opacity: 0.7, marginTop: 4 }}>All filters work from timestamps, so they behave the same at any frame rate.</div>
+
+      <div style={{ display: 'flex', gap: 6, marginTop: 12 }}>
+        <button onClick={() => onChange({ ...DEFAULT_FILTER_CONFIG })} style={{ ...buttonStyle, background: '#6b7280' }}>Reset to defaults</button>
+      </div>
+    </div>
+  );
+}
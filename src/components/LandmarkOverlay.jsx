@@ -0,0 +1,57 @@
+import React, { useEffect, useRef } from 'react';
+import { videoToDisplayBox, videoToDisplayPoint } from '../engine/geometry.js';
+
+// Canvas drawing each face's box and 68 landmarks over the mirrored,
+// cover-fitted preview. Draws straight from the room's 'frame' events so it
+// doesn't re-render React on every detection.
+export default function LandmarkOverlay({ room, videoRef, containerRef, mirrored = true }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    function draw({ faces }) {
+      const canvas = canvasRef.current;
+      const video = videoRef.current;
+      const container = containerRef.current;
+      if (!canvas || !video || !container) return;
+
+      const displaySize = { width: container.clientWidth, height: container.clientHeight };
+      const videoSize = { width: video.videoWidth, height: video.videoHeight };
+      const ratio = window.devicePixelRatio || 1;
+      if (canvas.width !== displaySize.width * ratio || canvas.height !== displaySize.height * ratio) {
+        canvas.width = displaySize.width * ratio;
+        canvas.height = displaySize.height * ratio;
+      }
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, displaySize.width, displaySize.height);
+
+      faces.forEach(({ box, landmarks, pose }) => {
+        const color = pose?.gazeAway ? '#f59e0b' : '#34d399';
+        const rect = videoToDisplayBox(box, videoSize, displaySize, mirrored);
+        if (rect) {
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 1.5;
+          ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        }
+        ctx.fillStyle = color;
+        (landmarks ?? []).forEach((point) => {
+          const p = videoToDisplayPoint(point, videoSize, displaySize, mirrored);
+          if (!p) return;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, 1.5, 0, Math.PI * 2);
+          ctx.fill();
+        });
+      });
+    }
+
+    const offFrame = room.on('frame', draw);
+    const offGap = room.on('gap', () => draw({ faces: [] }));
+    return () => {
+      offFrame();
+      offGap();
+      canvasRef.current?.getContext('2d').clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+    };
+  }, [room, videoRef, containerRef, mirrored]);
+
+  return <canvas ref={canvasRef} style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }} />;
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+
+// Inference latency, effective detection rate and the controller's current settings
+export default function PerformanceOverlay({ stats, detectorKind }) {
+  if (!stats) return null;
+  return (
+    <div
+      style={{
+        position: 'absolute',
+        top: 8,
+        right: 8,
+        background: 'rgba(0,0,0,0.65)',
+        color: '#a7f3d0',
+        borderRadius: 6,
+        padding: '4px 6px',
+        fontSize: 9,
+        fontFamily: 'ui-monospace, monospace',
+        lineHeight: 1.4,
+        pointerEvents: 'none',
+      }}
+    >
+      <div>{detectorKind ?? '—'} · {stats.mode}</div>
+      <div>infer {stats.inferenceMs === null ? '—' : `${Math.round(stats.inferenceMs)}ms`}</div>
+      <div>{stats.fps.toFixed(1)} fps · {Math.round(stats.intervalMs)}ms</div>
+      <div>{stats.inputSize ? `input ${stats.inputSize}px · ` : ''}dropped {stats.dropped}</div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React, { useEffect, useRef } from 'react';
+
+const BLOCKS_ACROSS = 24;
+const FRAME_MS = 100;
+
+// Low-resolution copy of the video scaled up with hard pixel edges, so the
+// room stays recognisable but faces don't
+export default function PixelatedPreview({ videoRef, mirrored = true }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (!video || !canvas || !video.videoWidth) return;
+      const height = Math.max(1, Math.round((BLOCKS_ACROSS * video.videoHeight) / video.videoWidth));
+      if (canvas.width !== BLOCKS_ACROSS || canvas.height !== height) {
+        canvas.width = BLOCKS_ACROSS;
+        canvas.height = height;
+      }
+      canvas.getContext('2d').drawImage(video, 0, 0, BLOCKS_ACROSS, height);
+    }, FRAME_MS);
+    return () => clearInterval(timer);
+  }, [videoRef]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', objectFit: 'cover', imageRendering: 'pixelated', transform: mirrored ? 'scaleX(-1)' : 'none', pointerEvents: 'none' }}
+    />
+  );
+}
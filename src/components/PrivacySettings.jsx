@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { PREVIEW_MODES } from '../privacy/settings.js';
+import { isAnalyticsAvailable } from '../privacy/analytics.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+// Preview mode, analytics opt-in and retention. Changes apply immediately;
+// the destructive actions ask first.
+export default function PrivacySettings({ settings, onChange, onRevokeConsent, onDeleteAll, onClose }) {
+  const [days, setDays] = useState(settings.retentionDays ?? '');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    setDays(settings.retentionDays ?? '');
+  }, [settings.retentionDays]);
+
+  function applyRetention() {
+    const value = String(days).trim();
+    if (value && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+      setMessage('Retention must be a whole number of days, or blank to keep everything');
+      return;
+    }
+    onChange({ ...settings, retentionDays: value ? Number(value) : null });
+    setMessage(value ? `Sessions older than ${value} days will be deleted` : 'Sessions are kept until deleted');
+  }
+
+  async function deleteAll() {
+    if (!window.confirm('Delete every saved session on this device? This cannot be undone.')) return;
+    try {
+      await onDeleteAll();
+      setMessage('All saved sessions deleted');
+    } catch (err) {
+      setMessage(err.message);
+    }
+  }
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Privacy</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      <div style={{ opacity: 0.7, marginBottom: 10 }}>
+        Video never leaves this device. Emotion data is only stored locally, in saved sessions and exports you make.
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: 8, alignItems: 'center' }}>
+        <span>Preview</span>
+        <select value={settings.preview} onChange={(e) => onChange({ ...settings, preview: e.target.value })} style={inputStyle}>
+          {Object.entries(PREVIEW_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <span>Keep sessions</span>
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={days}
+            placeholder="forever"
+            onChange={(e) => setDays(e.target.value)}
+            style={{ ...inputStyle, width: 80 }}
+          />
+          <span>days</span>
+          <button onClick={applyRetention} style={{ ...buttonStyle, background: '#059669' }}>Apply</button>
+        </div>
+      </div>
+
+      {isAnalyticsAvailable() && (
+        <label style={{ display: 'flex', gap: 6, alignItems: 'flex-start', marginTop: 10 }}>
+          <input type="checkbox" checked={settings.analytics} onChange={(e) => onChange({ ...settings, analytics: e.target.checked })} />
+          <span>Share anonymous usage counts. Only events like "session started" are sent, never video, expressions or states.</span>
+        </label>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginTop: 12 }}>
+        <button onClick={onRevokeConsent} style={{ ...buttonStyle, background: '#b45309' }}>Revoke camera consent</button>
+        <button onClick={deleteAll} style={{ ...buttonStyle, background: '#b91c1c' }}>Delete all saved sessions</button>
+      </div>
+      {message && <div style={{ marginTop: 8, opacity: 0.8 }}>{message}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { findEmotion, STATE_FEATURES } from '../engine/emotions.js';
+import {
+  DEFAULT_PROFILE,
+  STATE_EMOTION_KEYS,
+  createProfileId,
+  createState,
+  validateProfile,
+  exportProfile,
+  importProfile,
+} from '../engine/profiles.js';
+import { downloadText, safeFilename } from './download.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+// Panel for adding, renaming, removing and tuning engagement state profiles
+export default function ProfileEditor({ profiles, activeId, onChange, onClose }) {
+  const active = profiles.find((p) => p.id === activeId) ?? DEFAULT_PROFILE;
+  const [draft, setDraft] = useState(active);
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+  const readOnly = draft.id === DEFAULT_PROFILE.id;
+  const errors = validateProfile(draft);
+  const dirty = JSON.stringify(draft) !== JSON.stringify(active);
+
+  useEffect(() => {
+    setDraft(active);
+  }, [active]);
+
+  function selectProfile(id) {
+    setMessage('');
+    onChange({ activeId: id, profiles });
+  }
+
+  function updateState(index, patch) {
+    setDraft((prev) => ({
+      ...prev,
+      states: prev.states.map((s, i) => (i === index ? { ...s, ...patch } : s)),
+    }));
+  }
+
+  function updateTarget(index, key, value) {
+    const state = draft.states[index];
+    updateState(index, { targetPercentages: { ...state.targetPercentages, [key]: value === '' ? NaN : Number(value) } });
+  }
+
+  // Feature targets are optional: clearing the field stops the state targeting it
+  function updateFeatureTarget(index, key, value) {
+    const { [key]: _removed, ...rest } = draft.states[index].targetPercentages;
+    updateState(index, { targetPercentages: value === '' ? rest : { ...rest, [key]: Number(value) } });
+  }
+
+  function addState() {
+    setDraft((prev) => ({ ...prev, states: [...prev.states, createState(`State ${prev.states.length + 1}`)] }));
+  }
+
+  function removeState(index) {
+    setDraft((prev) => ({ ...prev, states: prev.states.filter((_, i) => i !== index) }));
+  }
+
+  function saveDraft() {
+    if (errors.length) return;
+    onChange({ activeId: draft.id, profiles: profiles.map((p) => (p.id === draft.id ? draft : p)) });
+    setMessage('Saved');
+  }
+
+  function duplicateProfile() {
+    const copy = { ...draft, id: createProfileId(), name: `${draft.name} (copy)` };
+    onChange({ activeId: copy.id, profiles: [...profiles, copy] });
+    setMessage('Duplicated');
+  }
+
+  function deleteProfile() {
+    if (readOnly) return;
+    onChange({ activeId: DEFAULT_PROFILE.id, profiles: profiles.filter((p) => p.id !== draft.id) });
+    setMessage('Deleted');
+  }
+
+  function downloadProfile() {
+    downloadText(`${safeFilename(draft.name, 'profile')}.json`, exportProfile(draft), 'application/json');
+  }
+
+  async function uploadProfile(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = importProfile(await file.text());
+      onChange({ activeId: imported.id, profiles: [...profiles, imported] });
+      setMessage(`Imported "${imported.name}"`);
+    } catch (err) {
+      setMessage('Import failed: ' + err.message);
+    }
+  }
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>State Profiles</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', alignItems: 'center', marginBottom: 12 }}>
+        <select value={activeId} onChange={(e) => selectProfile(e.target.value)} style={inputStyle}>
+          {profiles.map((p) => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <button onClick={duplicateProfile} style={buttonStyle}>Duplicate</button>
+        <button onClick={deleteProfile} disabled={readOnly} style={{ ...buttonStyle, opacity: readOnly ? 0.4 : 1 }}>Delete</button>
+        <button onClick={downloadProfile} style={buttonStyle}>Export</button>
+        <button onClick={() => fileInputRef.current?.click()} style={buttonStyle}>Import</button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={uploadProfile} style={{ display: 'none' }} />
+      </div>
+
+      {readOnly && <div style={{ opacity: 0.7, marginBottom: 8 }}>The default profile is read-only. Duplicate it to make changes.</div>}
+
+      <label style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 12 }}>
+        Name
+        <input value={draft.name} disabled={readOnly} onChange={(e) => setDraft({ ...draft, name: e.target.value })} style={{ ...inputStyle, flex: 1 }} />
+      </label>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 10, maxHeight: 420, overflowY: 'auto' }}>
+        {draft.states.map((state, index) => (
+          <div key={index} style={{ border: '1px solid #e5e7eb', borderRadius: 10, padding: 8 }}>
+            <div style={{ display: 'flex', gap: 6, marginBottom: 6 }}>
+              <input value={state.name} disabled={readOnly} onChange={(e) => updateState(index, { name: e.target.value })} style={{ ...inputStyle, flex: 1, fontWeight: 600 }} />
+              {!readOnly && <button onClick={() => removeState(index)} style={{ ...buttonStyle, background: '#ef4444' }}>Remove</button>}
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 6 }}>
+              {STATE_EMOTION_KEYS.map((key) => (
+                <label key={key} style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                  <span>{findEmotion(key)?.emoji} {findEmotion(key)?.label} %</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    disabled={readOnly}
+                    value={Number.isNaN(state.targetPercentages[key]) ? '' : state.targetPercentages[key] ?? 0}
+                    onChange={(e) => updateTarget(index, key, e.target.value)}
+                    style={inputStyle}
+                  />
+                </label>
+              ))}
+              {STATE_FEATURES.map(({ key, label, emoji }) => (
+                <label key={key} style={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                  <span>{emoji} {label} %</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    placeholder="any"
+                    disabled={readOnly}
+                    value={state.targetPercentages[key] ?? ''}
+                    onChange={(e) => updateFeatureTarget(index, key, e.target.value)}
+                    style={inputStyle}
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {!readOnly && (
+        <div style={{ display: 'flex', gap: 6, marginTop: 12 }}>
+          <button onClick={addState} style={buttonStyle}>Add State</button>
+          <button onClick={saveDraft} disabled={!dirty || errors.length > 0} style={{ ...buttonStyle, background: '#059669', opacity: !dirty || errors.length ? 0.4 : 1 }}>Save</button>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <ul style={{ color: '#b91c1c', margin: '8px 0 0', paddingLeft: 18 }}>
+          {errors.map((err) => <li key={err}>{err}</li>)}
+        </ul>
+      )}
+      {message && <div style={{ marginTop: 8, opacity: 0.8 }}>{message}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import React from 'react';
+import { QUALITY_ISSUES } from '../engine/frameQuality.js';
+
+// Guidance shown over the preview while frames are too poor to score
+export default function QualityPrompt({ issue }) {
+  if (!issue) return null;
+  return (
+    <div style={{ position: 'absolute', left: 12, right: 12, bottom: 84, display: 'flex', justifyContent: 'center', pointerEvents: 'none', zIndex: 1 }}>
+      <div
+        role="status"
+        style={{ background: 'rgba(180,83,9,0.92)', color: 'white', borderRadius: 8, padding: '6px 10px', fontSize: 10, fontWeight: 600, boxShadow: '0 2px 8px rgba(0,0,0,0.3)', textAlign: 'center' }}
+      >
+        ⚠️ {QUALITY_ISSUES[issue] ?? issue}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import { formatDuration } from '../engine/emotions.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', boxShadow: '0 1px 4px rgba(0,0,0,0.2)', cursor: 'pointer', border: 'none', fontSize: 9 };
+
+// Play/pause, speed and scrub controls for a ReplayPlayer
+export default function ReplayControls({ player, onExit, onSummary }) {
+  const [position, setPosition] = useState(player.position);
+  const [playing, setPlaying] = useState(Boolean(player.timer));
+  const [speed, setSpeed] = useState(player.speed);
+
+  useEffect(() => {
+    const unsubscribers = [player.on('position', setPosition), player.on('playing', setPlaying)];
+    return () => unsubscribers.forEach((off) => off());
+  }, [player]);
+
+  function changeSpeed(next) {
+    player.setSpeed(next);
+    setSpeed(next);
+  }
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 4, marginTop: 6 }}>
+      <input
+        type="range"
+        min={0}
+        max={player.duration}
+        step={100}
+        value={position}
+        onChange={(e) => player.seek(Number(e.target.value))}
+        style={{ width: '100%' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 6, fontSize: 9 }}>
+        <span style={{ opacity: 0.8 }}>{formatDuration(position)} / {formatDuration(player.duration)}</span>
+        <button onClick={() => (playing ? player.pause() : player.play())} style={buttonStyle}>
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <select value={speed} onChange={(e) => changeSpeed(Number(e.target.value))} style={{ ...buttonStyle, padding: '4px 6px' }}>
+          {[0.5, 1, 2, 4, 8].map((s) => (
+            <option key={s} value={s}>{s}×</option>
+          ))}
+        </select>
+        {onSummary && <button onClick={onSummary} style={buttonStyle}>Summary</button>}
+        <button onClick={onExit} style={{ ...buttonStyle, background: '#374151' }}>Exit Replay</button>
+      </div>
+    </div>
+  );
+}
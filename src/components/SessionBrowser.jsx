@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from 'react';
+import { EMOTIONS, findEmotion, formatDuration, stateColor } from '../engine/emotions.js';
+import { listSessions, deleteSession, getStorageStatus } from '../storage/sessionStore.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+const MAX_COMPARE = 3;
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+// Stacked bar of time spent in each engagement state
+function StateBreakdown({ stateDurationsMs, colorFor }) {
+  const total = Object.values(stateDurationsMs).reduce((sum, v) => sum + v, 0);
+  if (!total) return null;
+  return (
+    <div style={{ display: 'flex', height: 6, borderRadius: 3, overflow: 'hidden', marginTop: 4 }}>
+      {Object.entries(stateDurationsMs).map(([state, ms]) => (
+        <div key={state} title={`${state}: ${percent(ms, total)}%`} style={{ width: `${(ms / total) * 100}%`, background: colorFor(state) }} />
+      ))}
+    </div>
+  );
+}
+
+// Lists sessions saved on this device, with start/stop for a named session,
+// replay/export/delete and a side-by-side comparison of up to three sessions
+export default function SessionBrowser({ activeSession, refreshKey, storageError, onStart, onStop, onReplay, onReport, onExport, onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [name, setName] = useState('');
+  const [compareIds, setCompareIds] = useState([]);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([listSessions(), getStorageStatus()])
+      .then(([list, status]) => {
+        if (cancelled) return;
+        setSessions(list);
+        setStorage(status);
+      })
+      .catch((err) => !cancelled && setMessage('Could not read saved sessions: ' + err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const stateNames = [...new Set(sessions.flatMap((s) => Object.keys(s.summary.stateDurationsMs)))];
+  const colorFor = (state) => stateColor(stateNames.indexOf(state));
+  const compared = sessions.filter((s) => compareIds.includes(s.id));
+
+  function toggleCompare(id) {
+    setCompareIds((prev) => {
+      if (prev.includes(id)) return prev.filter((x) => x !== id);
+      return [...prev, id].slice(-MAX_COMPARE);
+    });
+  }
+
+  async function remove(session) {
+    if (!window.confirm(`Delete "${session.name || 'Untitled'}"? This cannot be undone.`)) return;
+    try {
+      await deleteSession(session.id);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+      setCompareIds((prev) => prev.filter((id) => id !== session.id));
+      setStorage(await getStorageStatus());
+    } catch (err) {
+      setMessage('Delete failed: ' + err.message);
+    }
+  }
+
+  function start(event) {
+    event.preventDefault();
+    onStart(name.trim() || `Session ${new Date().toLocaleString()}`);
+    setName('');
+  }
+
+  const nearlyFull = storage && storage.quota > 0 && storage.usage / storage.quota > 0.9;
+
+  return (
+    <div style={{ width: 'min(420px, 90vw)', background: '#fff', color: '#111827', borderRadius: 16, padding: 16, boxShadow: '0 10px 30px rgba(0,0,0,0.15)', fontSize: 12 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Sessions</div>
+        <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+      </div>
+
+      {activeSession ? (
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 12 }}>
+          <span style={{ flex: 1 }}>● Recording <strong>{activeSession.name}</strong> (autosaving)</span>
+          <button onClick={onStop} style={{ ...buttonStyle, background: '#ef4444' }}>Stop</button>
+        </div>
+      ) : (
+        <form onSubmit={start} style={{ display: 'flex', gap: 6, marginBottom: 12 }}>
+          <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Session name" style={{ ...inputStyle, flex: 1 }} />
+          <button type="submit" style={{ ...buttonStyle, background: '#059669' }}>Start</button>
+        </form>
+      )}
+
+      {storageError && <div style={{ color: '#b91c1c', marginBottom: 8 }}>{storageError}</div>}
+      {storage && (
+        <div style={{ opacity: 0.7, marginBottom: 8, color: nearlyFull ? '#b91c1c' : undefined }}>
+          Storage: {formatBytes(storage.usage)} of {formatBytes(storage.quota)} used
+          {!storage.persisted && ' · may be cleared by the browser when space runs low'}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 8, maxHeight: 360, overflowY: 'auto' }}>
+        {sessions.length === 0 && <div style={{ opacity: 0.6 }}>No saved sessions yet.</div>}
+        {sessions.map((session) => {
+          const { summary } = session;
+          const overall = summary.overallKey && findEmotion(summary.overallKey);
+          return (
+            <div key={session.id} style={{ border: '1px solid #e5e7eb', borderRadius: 10, padding: 8 }}>
+              <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                <input type="checkbox" checked={compareIds.includes(session.id)} onChange={() => toggleCompare(session.id)} title="Compare" />
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontWeight: 600 }}>{session.name || 'Untitled'}{activeSession?.id === session.id && ' ●'}</div>
+                  <div style={{ opacity: 0.7 }}>
+                    {new Date(session.startedAt).toLocaleString()} · {formatDuration(summary.durationMs)}
+                    {overall && ` · ${overall.emoji} ${overall.label}`}
+                  </div>
+                </div>
+                <button onClick={() => onReplay(session.id)} style={buttonStyle}>Replay</button>
+                <button onClick={() => onReport(session.id)} style={buttonStyle}>Report</button>
+                <button onClick={() => onExport(session.id)} style={buttonStyle}>Export</button>
+                <button onClick={() => remove(session)} disabled={activeSession?.id === session.id} style={{ ...buttonStyle, background: '#ef4444', opacity: activeSession?.id === session.id ? 0.4 : 1 }}>Delete</button>
+              </div>
+              <StateBreakdown stateDurationsMs={summary.stateDurationsMs} colorFor={colorFor} />
+            </div>
+          );
+        })}
+      </div>
+
+      {compared.length > 1 && (
+        <div style={{ marginTop: 12, overflowX: 'auto' }}>
+          <div style={{ fontWeight: 700, marginBottom: 6 }}>Comparison</div>
+          <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: 11 }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }} />
+                {compared.map((s) => <th key={s.id} style={{ textAlign: 'right', padding: '2px 4px' }}>{s.name || 'Untitled'}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>Duration</td>
+                {compared.map((s) => <td key={s.id} style={{ textAlign: 'right' }}>{formatDuration(s.summary.durationMs)}</td>)}
+              </tr>
+              <tr>
+                <td>Transitions</td>
+                {compared.map((s) => <td key={s.id} style={{ textAlign: 'right' }}>{s.summary.transitions}</td>)}
+              </tr>
+              {EMOTIONS.map((e) => (
+                <tr key={e.key}>
+                  <td>{e.emoji} {e.label}</td>
+                  {compared.map((s) => (
+                    <td key={s.id} style={{ textAlign: 'right' }}>{percent(s.summary.emotionDurationsMs[e.key] ?? 0, s.summary.activeMs)}%</td>
+                  ))}
+                </tr>
+              ))}
+              {stateNames.map((state) => (
+                <tr key={state}>
+                  <td><span style={{ color: colorFor(state) }}>■</span> {state}</td>
+                  {compared.map((s) => (
+                    <td key={s.id} style={{ textAlign: 'right' }}>{percent(s.summary.stateDurationsMs[state] ?? 0, s.summary.activeMs)}%</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {message && <div style={{ marginTop: 8, opacity: 0.8 }}>{message}</div>}
+    </div>
+  );
+}
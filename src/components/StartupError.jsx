@@ -0,0 +1,65 @@
+import React from 'react';
+
+const GUIDANCE = {
+  insecure: {
+    title: 'Secure connection required',
+    text: 'Browsers only allow camera access on HTTPS or localhost. Open this page over HTTPS.',
+  },
+  unsupported: {
+    title: 'Camera not supported',
+    text: 'This browser cannot access cameras. Try a current version of Chrome, Edge, Firefox or Safari.',
+  },
+  denied: {
+    title: 'Camera permission denied',
+    text: 'Allow camera access from the icon in the address bar (or the site settings), then retry.',
+  },
+  notfound: {
+    title: 'No camera found',
+    text: 'Connect a camera and retry. Media files can still be analysed without one.',
+  },
+  inuse: {
+    title: 'Camera is busy',
+    text: 'Another app or tab may be using the camera. Close it, then retry.',
+  },
+  constraints: {
+    title: 'Camera settings not supported',
+    text: 'Choose a different resolution or frame rate in the camera settings.',
+  },
+  ended: {
+    title: 'Camera disconnected',
+    text: 'The camera stopped sending video. Reconnect it, or retry to pick another camera.',
+  },
+  models: {
+    title: 'Models failed to load',
+    text: 'The face models could not be downloaded or initialised. Check your connection, then retry.',
+  },
+  unknown: {
+    title: 'Could not start',
+    text: 'Something went wrong while starting up.',
+  },
+};
+
+// Explains why detection isn't running and offers a retry without a reload
+export default function StartupError({ error, onRetry, onOpenSettings }) {
+  const { title, text } = GUIDANCE[error.kind] ?? GUIDANCE.unknown;
+  const canRetry = error.kind !== 'insecure' && error.kind !== 'unsupported';
+  return (
+    <div style={{ position: 'absolute', inset: 0, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: 6, padding: 16, background: 'rgba(0,0,0,0.8)', color: 'white', textAlign: 'center' }}>
+      <div style={{ fontSize: 13, fontWeight: 700 }}>{title}</div>
+      <div style={{ fontSize: 10, opacity: 0.85 }}>{text}</div>
+      {error.message && <div style={{ fontSize: 9, opacity: 0.6 }}>{error.message}</div>}
+      <div style={{ display: 'flex', gap: 6, marginTop: 6 }}>
+        {canRetry && (
+          <button onClick={onRetry} style={{ padding: '6px 10px', borderRadius: 8, background: '#059669', color: 'white', border: 'none', cursor: 'pointer', fontSize: 10 }}>
+            Retry
+          </button>
+        )}
+        {error.kind !== 'models' && onOpenSettings && (
+          <button onClick={onOpenSettings} style={{ padding: '6px 10px', borderRadius: 8, background: '#4b5563', color: 'white', border: 'none', cursor: 'pointer', fontSize: 10 }}>
+            Camera settings
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
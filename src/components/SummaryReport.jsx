@@ -0,0 +1,191 @@
+import React, { useMemo } from 'react';
+import { EMOTIONS, EMOTION_COLORS, findEmotion, formatDuration, stateColor } from '../engine/emotions.js';
+import { summarizeRecording } from '../engine/summary.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const cellStyle = { padding: '4px 6px', borderBottom: '1px solid #e5e7eb' };
+
+// Only the report is printed; everything else on the page is hidden
+const PRINT_CSS = `
+  @media print {
+    @page { margin: 16mm; }
+    body * { visibility: hidden; }
+    .summaryReport, .summaryReport * { visibility: visible; }
+    .summaryReport { position: absolute !important; inset: 0 auto auto 0 !important; width: 100% !important; overflow: visible !important; background: white !important; }
+    .summaryReport .noPrint { display: none !important; }
+    .summaryReport section { break-inside: avoid; }
+  }
+`;
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+// Donut of the share of active time per emotion, as SVG so it prints crisply
+function EmotionDonut({ durations, total, size = 140 }) {
+  const radius = size / 2 - 14;
+  const circumference = 2 * Math.PI * radius;
+  let offset = 0;
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
+      <circle cx={size / 2} cy={size / 2} r={radius} fill="none" stroke="#f3f4f6" strokeWidth={20} />
+      {total > 0 && EMOTIONS.map(({ key }) => {
+        const length = (durations[key] / total) * circumference;
+        if (!length) return null;
+        const dash = (
+          <circle
+            key={key}
+            cx={size / 2}
+            cy={size / 2}
+            r={radius}
+            fill="none"
+            stroke={EMOTION_COLORS[key]}
+            strokeWidth={20}
+            strokeDasharray={`${length} ${circumference - length}`}
+            strokeDashoffset={-offset}
+            transform={`rotate(-90 ${size / 2} ${size / 2})`}
+          />
+        );
+        offset += length;
+        return dash;
+      })}
+    </svg>
+  );
+}
+
+function Bar({ value, total, color }) {
+  return (
+    <div style={{ background: '#f3f4f6', borderRadius: 3, height: 8, width: '100%' }}>
+      <div style={{ width: `${percent(value, total)}%`, height: '100%', borderRadius: 3, background: color, printColorAdjust: 'exact', WebkitPrintColorAdjust: 'exact' }} />
+    </div>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div style={{ border: '1px solid #e5e7eb', borderRadius: 10, padding: '8px 10px' }}>
+      <div style={{ fontSize: 11, color: '#6b7280' }}>{label}</div>
+      <div style={{ fontSize: 18, fontWeight: 700 }}>{value}</div>
+    </div>
+  );
+}
+
+// Whole-session report for a recording: time per emotion and state, streaks,
+// transitions, face presence and annotations. "Print" saves it as a PDF.
+export default function SummaryReport({ recording, stateNames = [], onClose }) {
+  const summary = useMemo(() => summarizeRecording(recording), [recording]);
+  const { activeMs, facePresentMs, faceAbsentMs, emotionDurationsMs, stateDurationsMs } = summary;
+  const emotionTotal = EMOTIONS.reduce((sum, { key }) => sum + (emotionDurationsMs[key] ?? 0), 0);
+  const states = [...new Set([...stateNames, ...Object.keys(stateDurationsMs)])].filter((s) => stateDurationsMs[s]);
+  const overall = summary.overallKey && findEmotion(summary.overallKey);
+  const annotations = recording.annotations ?? [];
+
+  return (
+    <div className="summaryReport" style={{ position: 'fixed', inset: 0, zIndex: 20, overflowY: 'auto', background: '#fff', color: '#111827', fontFamily: 'system-ui, sans-serif', fontSize: 12 }}>
+      <style>{PRINT_CSS}</style>
+      <div style={{ maxWidth: 760, margin: '0 auto', padding: 24, display: 'flex', flexDirection: 'column', gap: 20 }}>
+        <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 12 }}>
+          <div>
+            <h1 style={{ fontSize: 20, margin: 0 }}>{recording.name || 'Session summary'}</h1>
+            <div style={{ color: '#6b7280', marginTop: 4 }}>
+              {new Date(recording.startedAt).toLocaleString()} · {formatDuration(summary.durationMs)} long
+            </div>
+          </div>
+          <div className="noPrint" style={{ display: 'flex', gap: 6 }}>
+            <button onClick={() => window.print()} style={{ ...buttonStyle, background: '#059669' }}>Print / Save PDF</button>
+            <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+          </div>
+        </header>
+
+        <section style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 8 }}>
+          <Stat label="Tracked time" value={formatDuration(activeMs)} />
+          <Stat label="Face present" value={`${percent(facePresentMs, activeMs)}%`} />
+          <Stat label="State changes" value={summary.transitions} />
+          <Stat label="Overall" value={overall ? `${overall.emoji} ${overall.label}` : '—'} />
+        </section>
+
+        <section>
+          <h2 style={{ fontSize: 14, margin: '0 0 8px' }}>Emotions</h2>
+          <div style={{ display: 'flex', gap: 16, alignItems: 'center' }}>
+            <EmotionDonut durations={emotionDurationsMs} total={emotionTotal} />
+            <table style={{ borderCollapse: 'collapse', flex: 1 }}>
+              <thead>
+                <tr>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Emotion</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Time</th>
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Share</th>
+                  <th style={{ ...cellStyle, width: '30%' }} />
+                  <th style={{ ...cellStyle, textAlign: 'right' }}>Longest</th>
+                </tr>
+              </thead>
+              <tbody>
+                {EMOTIONS.map(({ key, label, emoji }) => (
+                  <tr key={key}>
+                    <td style={cellStyle}>{emoji} {label}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{formatDuration(emotionDurationsMs[key] ?? 0)}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{percent(emotionDurationsMs[key] ?? 0, emotionTotal)}%</td>
+                    <td style={cellStyle}><Bar value={emotionDurationsMs[key] ?? 0} total={emotionTotal} color={EMOTION_COLORS[key]} /></td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{formatDuration(summary.longestEmotionStreakMs[key] ?? 0)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        <section>
+          <h2 style={{ fontSize: 14, margin: '0 0 8px' }}>Engagement states</h2>
+          {states.length === 0 ? (
+            <div style={{ color: '#6b7280' }}>No state was detected in this session.</div>
+          ) : (
+            <>
+              <div style={{ display: 'flex', height: 14, borderRadius: 4, overflow: 'hidden', marginBottom: 8, printColorAdjust: 'exact', WebkitPrintColorAdjust: 'exact' }}>
+                {states.map((state) => (
+                  <div key={state} style={{ width: `${(stateDurationsMs[state] / activeMs) * 100}%`, background: stateColor(stateNames.indexOf(state)) }} />
+                ))}
+              </div>
+              <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                <thead>
+                  <tr>
+                    <th style={{ ...cellStyle, textAlign: 'left' }}>State</th>
+                    <th style={{ ...cellStyle, textAlign: 'right' }}>Time</th>
+                    <th style={{ ...cellStyle, textAlign: 'right' }}>Share</th>
+                    <th style={{ ...cellStyle, textAlign: 'right' }}>Longest streak</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {states.map((state) => (
+                    <tr key={state}>
+                      <td style={cellStyle}><span style={{ color: stateColor(stateNames.indexOf(state)) }}>■</span> {state}</td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>{formatDuration(stateDurationsMs[state])}</td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>{percent(stateDurationsMs[state], activeMs)}%</td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>{formatDuration(summary.longestStateStreakMs[state] ?? 0)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </section>
+
+        <section>
+          <h2 style={{ fontSize: 14, margin: '0 0 8px' }}>Face presence</h2>
+          <div style={{ display: 'flex', gap: 16 }}>
+            <span>Present {formatDuration(facePresentMs)} ({percent(facePresentMs, activeMs)}%)</span>
+            <span>Absent {formatDuration(faceAbsentMs)} ({percent(faceAbsentMs, activeMs)}%)</span>
+            <span>Paused {formatDuration(Math.max(0, summary.durationMs - activeMs))}</span>
+          </div>
+        </section>
+
+        {annotations.length > 0 && (
+          <section>
+            <h2 style={{ fontSize: 14, margin: '0 0 8px' }}>Annotations</h2>
+            <ul style={{ margin: 0, paddingLeft: 18 }}>
+              {annotations.map((a, i) => <li key={i}>{formatDuration(a.t)} — {a.text}</li>)}
+            </ul>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { findEmotion, stateColor } from '../engine/emotions.js';
+import RelayClient from '../classroom/RelayClient.js';
+import ClassroomModel from '../classroom/ClassroomModel.js';
+
+const buttonStyle = { padding: '6px 10px', borderRadius: 8, background: '#111827', color: 'white', cursor: 'pointer', border: 'none', fontSize: 11 };
+const inputStyle = { padding: '4px 6px', borderRadius: 6, border: '1px solid #d1d5db', fontSize: 12 };
+
+const STATUS_LABELS = {
+  idle: 'Disconnected',
+  connecting: 'Connecting…',
+  open: 'Live',
+  reconnecting: 'Connection lost, retrying…',
+};
+
+function topEmotion(emotions) {
+  const [key, value] = Object.entries(emotions ?? {}).reduce((best, entry) => (entry[1] > best[1] ? entry : best), ['', 0]);
+  return key ? { emotion: findEmotion(key), value } : null;
+}
+
+function ParticipantCard({ participant, stateIndex }) {
+  const { latest, live } = participant;
+  const top = topEmotion(latest?.emotions);
+  const color = live && latest?.facePresent ? stateColor(stateIndex) : '#9ca3af';
+  return (
+    <div style={{ border: `2px solid ${color}`, borderRadius: 10, padding: '8px 10px', opacity: live ? 1 : 0.5 }}>
+      <div style={{ fontWeight: 700, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{participant.name}</div>
+      <div style={{ color, fontWeight: 600, marginTop: 2 }}>
+        {!live ? 'Offline' : latest.facePresent ? latest.state : 'No face'}
+      </div>
+      {live && latest.facePresent && top && (
+        <div style={{ fontSize: 11, color: '#6b7280', marginTop: 2 }}>
+          {top.emotion?.emoji} {top.emotion?.label ?? ''} {Math.round(top.value)}%
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Live view of every participant in a room, with the class-wide state
+// distribution and an alert when too many are in one state. Connects to the
+// relay itself as a dashboard; `onAlert` receives the alert message.
+export default function TeacherDashboard({ settings, stateNames, onChange, onAlert, onClose }) {
+  const modelRef = useRef(null);
+  if (!modelRef.current) modelRef.current = new ClassroomModel();
+  const model = modelRef.current;
+  const [link, setLink] = useState({ status: 'idle' });
+  const [alerts, setAlerts] = useState([]);
+  const [, setVersion] = useState(0);
+  const onAlertRef = useRef(onAlert);
+  onAlertRef.current = onAlert;
+
+  useEffect(() => {
+    const client = new RelayClient({ url: settings.relayUrl, room: settings.room, role: 'dashboard' });
+    model.clear();
+    const unsubscribers = [
+      client.on('status', setLink),
+      client.on('message', (msg) => model.handle(msg)),
+      model.on('change', () => setVersion((v) => v + 1)),
+      model.on('alert', (alert) => {
+        setAlerts((prev) => [alert, ...prev].slice(0, 20));
+        onAlertRef.current(alert.message);
+      }),
+    ];
+    client.connect();
+    // Re-check so participants that went quiet drop out of the counts
+    const interval = setInterval(() => {
+      model.check();
+      setVersion((v) => v + 1);
+    }, 2000);
+    return () => {
+      clearInterval(interval);
+      unsubscribers.forEach((off) => off());
+      client.close();
+    };
+  }, [model, settings.relayUrl, settings.room]);
+
+  useEffect(() => {
+    model.setAlert({ state: settings.alertState, share: settings.alertShare, minParticipants: settings.alertMinParticipants });
+  }, [model, settings.alertState, settings.alertShare, settings.alertMinParticipants]);
+
+  const participants = model.getParticipants();
+  const { counts, noFace, total } = model.distribution();
+  const liveCount = participants.filter((p) => p.live).length;
+  const alertShare = total ? ((counts[settings.alertState] ?? 0) / total) * 100 : 0;
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, zIndex: 20, overflowY: 'auto', background: '#fff', color: '#111827', fontFamily: 'system-ui, sans-serif', fontSize: 12 }}>
+      <div style={{ maxWidth: 960, margin: '0 auto', padding: 24, display: 'flex', flexDirection: 'column', gap: 20 }}>
+        <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 12 }}>
+          <div>
+            <h1 style={{ fontSize: 20, margin: 0 }}>Room {settings.room}</h1>
+            <div style={{ color: '#6b7280', marginTop: 4 }}>
+              {STATUS_LABELS[link.status]} · {liveCount} of {participants.length} participants live
+            </div>
+          </div>
+          <button onClick={onClose} style={{ ...buttonStyle, background: '#6b7280' }}>Close</button>
+        </header>
+
+        <section>
+          <h2 style={{ fontSize: 14, margin: '0 0 8px' }}>Class engagement</h2>
+          {total === 0 ? (
+            <div style={{ color: '#6b7280' }}>No one with a face in view yet.</div>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+              {stateNames.map((name, i) => (
+                <div key={name} style={{ display: 'grid', gridTemplateColumns: '160px 1fr 60px', gap: 8, alignItems: 'center' }}>
+                  <span>{name}</span>
+                  <div style={{ background: '#f3f4f6', borderRadius: 3, height: 10 }}>
+                    <div style={{ width: `${((counts[name] ?? 0) / total) * 100}%`, height: '100%', borderRadius: 3, background: stateColor(i) }} />
+                  </div>
+                  <span style={{ textAlign: 'right' }}>{counts[name] ?? 0} · {Math.round(((counts[name] ?? 0) / total) * 100)}%</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {noFace > 0 && <div style={{ color: '#6b7280', marginTop: 6 }}>{noFace} connected without a face in view</div>}
+        </section>
+
+        <section style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', padding: 10, borderRadius: 10, background: alertShare >= settings.alertShare && total >= settings.alertMinParticipants ? '#fee2e2' : '#f9fafb' }}>
+          <span>Alert when</span>
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={settings.alertShare}
+            onChange={(e) => onChange({ ...settings, alertShare: Number(e.target.value) || 1 })}
+            style={{ ...inputStyle, width: 60 }}
+          />
+          <span>% are</span>
+          <select value={settings.alertState} onChange={(e) => onChange({ ...settings, alertState: e.target.value })} style={inputStyle}>
+            {stateNames.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <span>with at least</span>
+          <input
+            type="number"
+            min="1"
+            value={settings.alertMinParticipants}
+            onChange={(e) => onChange({ ...settings, alertMinParticipants: Number(e.target.value) || 1 })}
+            style={{ ...inputStyle, width: 60 }}
+          />
+          <span>students in view</span>
+        </section>
+
+        {alerts.length > 0 && (
+          <section>
+            <h2 style={{ fontSize: 14, margin: '0 0 8px' }}>Alerts</h2>
+            {alerts.map((alert) => (
+              <div key={alert.timestamp} style={{ color: '#b91c1c' }}>
+                {new Date(alert.timestamp).toLocaleTimeString()} · {alert.message}
+              </div>
+            ))}
+          </section>
+        )}
+
+        <section>
+          <h2 style={{ fontSize: 14, margin: '0 0 8px' }}>Participants</h2>
+          {participants.length === 0 ? (
+            <div style={{ color: '#6b7280' }}>Waiting for participants to join room "{settings.room}".</div>
+          ) : (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))', gap: 8 }}>
+              {participants.map((p) => (
+                <ParticipantCard key={p.id} participant={p} stateIndex={stateNames.indexOf(p.latest?.state)} />
+              ))}
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,315 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Chart, LineController, LineElement, PointElement, LinearScale, Legend, Tooltip } from 'chart.js';
+import { EMOTIONS, stateColor } from '../engine/emotions.js';
+
+Chart.register(LineController, LineElement, PointElement, LinearScale, Legend, Tooltip);
+
+const WINDOWS = [
+  { key: '15s', label: '15s', seconds: 15 },
+  { key: '1m', label: '1m', seconds: 60 },
+  { key: '5m', label: '5m', seconds: 300 },
+  { key: 'all', label: 'All', seconds: null },
+];
+const MAX_POINTS = 600;
+const REDRAW_MS = 250;
+const MIN_SPAN_S = 5;
+
+const buttonStyle = { padding: '2px 6px', borderRadius: 6, border: 'none', cursor: 'pointer', fontSize: 9 };
+
+function formatSeconds(value) {
+  const s = Math.max(0, Math.round(value));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Draws the state bands behind the lines and annotation markers over them
+const overlayPlugin = {
+  id: 'timelineOverlay',
+  beforeDatasetsDraw(chart, _args, { segments = [], stateNames = [] }) {
+    const { ctx, chartArea, scales: { x } } = chart;
+    ctx.save();
+    ctx.globalAlpha = 0.18;
+    segments.forEach(({ state, start, end }) => {
+      if (end < x.min || start > x.max) return;
+      const left = Math.max(chartArea.left, x.getPixelForValue(start));
+      const right = Math.min(chartArea.right, x.getPixelForValue(end));
+      ctx.fillStyle = stateColor(stateNames.indexOf(state));
+      ctx.fillRect(left, chartArea.top, Math.max(1, right - left), chartArea.bottom - chartArea.top);
+    });
+    ctx.restore();
+  },
+  afterDatasetsDraw(chart, _args, { annotations = [] }) {
+    const { ctx, chartArea, scales: { x } } = chart;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+    ctx.fillStyle = 'rgba(255,255,255,0.9)';
+    ctx.setLineDash([3, 3]);
+    ctx.font = '9px system-ui, sans-serif';
+    annotations.forEach(({ t, text }) => {
+      if (t < x.min || t > x.max) return;
+      const px = x.getPixelForValue(t);
+      ctx.beginPath();
+      ctx.moveTo(px, chartArea.top);
+      ctx.lineTo(px, chartArea.bottom);
+      ctx.stroke();
+      ctx.fillText(text, Math.min(px + 2, chartArea.right - ctx.measureText(text).width), chartArea.top + 9);
+    });
+    ctx.restore();
+  },
+};
+
+const axisTicks = { color: 'rgba(255,255,255,0.7)', font: { size: 9 }, stepSize: 50, callback: (v) => `${v}%` };
+const axisGrid = { color: 'rgba(255,255,255,0.15)' };
+
+// Plotted value of `dataset` at a point: the expression score, or in the
+// comparison the non-neutral percentage before or after the signal filter
+function pointValue(point, { key, series }) {
+  if (series === 'emotions') return point.emotions ? (point.emotions[key] ?? 0) * 100 : null;
+  return point[series] ? point[series][key] ?? 0 : null;
+}
+
+function lineDataset({ key, label }, colors, series, yAxisID) {
+  return {
+    key,
+    series,
+    label,
+    yAxisID,
+    data: [],
+    borderColor: colors[key],
+    backgroundColor: colors[key],
+    borderWidth: series === 'raw' ? 1 : 2,
+    pointRadius: 0,
+    spanGaps: false,
+  };
+}
+
+// The comparison stacks a raw and a filtered plot on one time axis; their
+// legend entries toggle both copies of an emotion together
+function compareOptions() {
+  const axis = (text) => ({ stack: 'compare', min: 0, max: 100, offset: true, ticks: axisTicks, grid: axisGrid, title: { display: true, text, color: 'rgba(255,255,255,0.7)', font: { size: 9 } } });
+  return {
+    scales: { filtered: axis('Filtered'), raw: axis('Raw') },
+    legend: {
+      labels: { filter: (item, data) => data.datasets[item.datasetIndex].series === 'filtered' },
+      onClick: (_event, item, legend) => {
+        const { chart } = legend;
+        const { key } = chart.data.datasets[item.datasetIndex];
+        const visible = chart.isDatasetVisible(item.datasetIndex);
+        chart.data.datasets.forEach((dataset, i) => {
+          if (dataset.key === key) chart.setDatasetVisibility(i, !visible);
+        });
+        chart.update('none');
+      },
+    },
+  };
+}
+
+// Whole-session emotion timeline: selectable window, wheel zoom, drag to pan,
+// legend toggles, state bands and annotations. Follows the latest data until
+// the user pans or zooms away; "Live" snaps back. "Raw vs filtered" swaps the
+// expression lines for the percentages before and after the signal filter.
+export default function TimelineChart({ timeline, colors, stateNames, height = 160, onAnnotate }) {
+  const canvasRef = useRef(null);
+  const plotRef = useRef(null);
+  const chartRef = useRef(null);
+  const viewRef = useRef({ follow: true, span: 15, end: 0 });
+  const [windowKey, setWindowKey] = useState('15s');
+  const [follow, setFollow] = useState(true);
+  const [compare, setCompare] = useState(false);
+  const [note, setNote] = useState('');
+
+  function redraw() {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const view = viewRef.current;
+    const end = view.follow ? timeline.latest : view.end;
+    const span = view.span ?? Math.max(timeline.latest, MIN_SPAN_S);
+    const min = Math.max(0, end - span);
+    const max = Math.max(min + MIN_SPAN_S, end);
+
+    // Only the visible slice goes to Chart.js, thinned to a fixed budget
+    const visible = timeline.pointsBetween(min, max);
+    const stride = Math.ceil(visible.length / MAX_POINTS);
+    const points = stride > 1 ? visible.filter((p, i) => i % stride === 0 || !p.emotions) : visible;
+    chart.data.datasets.forEach((dataset) => {
+      dataset.data = points.map((point) => ({ x: point.t, y: pointValue(point, dataset) }));
+    });
+    chart.options.scales.x.min = min;
+    chart.options.scales.x.max = max;
+    chart.options.plugins.timelineOverlay = { segments: timeline.segments, annotations: timeline.annotations, stateNames };
+    chart.update('none');
+  }
+
+  useEffect(() => {
+    // Neutral isn't part of the percentages the filter sees
+    const compared = EMOTIONS.filter(({ key }) => key !== 'neutral');
+    const comparison = compare ? compareOptions() : null;
+    const chart = new Chart(canvasRef.current, {
+      type: 'line',
+      data: {
+        datasets: compare
+          ? [
+            ...compared.map((emotion) => lineDataset(emotion, colors, 'filtered', 'filtered')),
+            ...compared.map((emotion) => lineDataset(emotion, colors, 'raw', 'raw')),
+          ]
+          : EMOTIONS.map((emotion) => lineDataset(emotion, colors, 'emotions', 'y')),
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        parsing: false,
+        normalized: true,
+        interaction: { mode: 'nearest', axis: 'x', intersect: false },
+        scales: {
+          x: {
+            type: 'linear',
+            ticks: { color: 'rgba(255,255,255,0.6)', font: { size: 9 }, maxTicksLimit: 6, callback: formatSeconds },
+            grid: { color: 'rgba(255,255,255,0.1)' },
+          },
+          ...(comparison ? comparison.scales : { y: { min: 0, max: 100, ticks: axisTicks, grid: axisGrid } }),
+        },
+        plugins: {
+          legend: {
+            ...comparison?.legend,
+            labels: { color: 'rgba(255,255,255,0.8)', font: { size: 9 }, boxWidth: 8, ...comparison?.legend.labels },
+          },
+          tooltip: {
+            callbacks: {
+              title: (items) => formatSeconds(items[0]?.parsed.x ?? 0),
+              label: (item) => `${item.dataset.label}: ${Math.round(item.parsed.y)}%`,
+            },
+          },
+        },
+      },
+      plugins: [overlayPlugin],
+    });
+    chartRef.current = chart;
+    redraw();
+    return () => {
+      chart.destroy();
+      chartRef.current = null;
+    };
+  }, [compare]);
+
+  // Redraw at most every REDRAW_MS however fast frames arrive
+  useEffect(() => {
+    let timer = null;
+    const schedule = () => {
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        redraw();
+      }, REDRAW_MS);
+    };
+    const unsubscribers = [timeline.on('change', schedule), timeline.on('reset', schedule)];
+    // Registered by hand so the wheel can be kept from scrolling the page
+    const plot = plotRef.current;
+    plot.addEventListener('wheel', onWheel, { passive: false });
+    redraw();
+    return () => {
+      clearTimeout(timer);
+      unsubscribers.forEach((off) => off());
+      plot.removeEventListener('wheel', onWheel);
+    };
+  }, [timeline, stateNames]);
+
+  function selectWindow(key) {
+    setWindowKey(key);
+    viewRef.current = { follow: true, span: WINDOWS.find((w) => w.key === key).seconds, end: timeline.latest };
+    setFollow(true);
+    redraw();
+  }
+
+  function detach(patch) {
+    const view = viewRef.current;
+    const span = view.span ?? Math.max(timeline.latest, MIN_SPAN_S);
+    viewRef.current = { follow: false, span, end: view.follow ? timeline.latest : view.end, ...patch };
+    setFollow(false);
+    redraw();
+  }
+
+  // Wheel zooms around the current right edge; the span is clamped to the session
+  function onWheel(event) {
+    event.preventDefault();
+    const view = viewRef.current;
+    const span = view.span ?? Math.max(timeline.latest, MIN_SPAN_S);
+    const next = Math.min(Math.max(timeline.latest, MIN_SPAN_S), Math.max(MIN_SPAN_S, span * (event.deltaY > 0 ? 1.25 : 0.8)));
+    detach({ span: next });
+  }
+
+  // Dragging inside the plot area pans; the legend above it stays clickable
+  function onPointerDown(event) {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const bounds = canvasRef.current.getBoundingClientRect();
+    const y = event.clientY - bounds.top;
+    if (y < chart.chartArea.top || y > chart.chartArea.bottom) return;
+    const startX = event.clientX;
+    const { min, max } = chart.scales.x;
+    const secondsPerPixel = (max - min) / chart.chartArea.width;
+    const onMove = (e) => {
+      const end = Math.min(timeline.latest, Math.max(max - min, max - (e.clientX - startX) * secondsPerPixel));
+      detach({ span: max - min, end });
+    };
+    const onUp = () => {
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+    };
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+  }
+
+  function addNote(event) {
+    event.preventDefault();
+    if (!note.trim()) return;
+    onAnnotate(note.trim());
+    setNote('');
+  }
+
+  return (
+    <div style={{ width: '100%' }}>
+      <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginBottom: 4 }}>
+        {WINDOWS.map((w) => (
+          <button
+            key={w.key}
+            onClick={() => selectWindow(w.key)}
+            style={{ ...buttonStyle, background: windowKey === w.key ? '#111827' : 'rgba(255,255,255,0.2)', color: 'white' }}
+          >
+            {w.label}
+          </button>
+        ))}
+        <button
+          onClick={() => setCompare((v) => !v)}
+          title="Emotion percentages before and after the signal filter"
+          style={{ ...buttonStyle, background: compare ? '#111827' : 'rgba(255,255,255,0.2)', color: 'white', marginLeft: 'auto' }}
+        >
+          Raw vs filtered
+        </button>
+        {!follow && (
+          <button onClick={() => selectWindow(windowKey)} style={{ ...buttonStyle, background: '#059669', color: 'white' }}>
+            Live
+          </button>
+        )}
+      </div>
+      <div
+        ref={plotRef}
+        onPointerDown={onPointerDown}
+        style={{ position: 'relative', height: compare ? Math.round(height * 1.6) : height, background: 'rgba(0,0,0,0.15)', borderRadius: 12, padding: 4, touchAction: 'none', cursor: 'grab' }}
+      >
+        <canvas ref={canvasRef} />
+      </div>
+      {onAnnotate && (
+        <form onSubmit={addNote} style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Annotate, e.g. started quiz"
+            maxLength={60}
+            style={{ flex: 1, minWidth: 0, padding: '2px 6px', borderRadius: 6, border: 'none', fontSize: 9 }}
+          />
+          <button type="submit" style={{ ...buttonStyle, background: '#111827', color: 'white' }}>Add</button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { Chart } from 'chart.js';
+import TimelineChart from './TimelineChart.jsx';
+import RoomSession from '../engine/RoomSession.js';
+import SessionTimeline from '../engine/SessionTimeline.js';
+import { EMOTION_COLORS, EMOTION_STATES } from '../engine/emotions.js';
+import FixtureDetector from '../test/fixtureDetector.js';
+import happyThenSad from '../test/fixtures/happy-then-sad.json?raw';
+
+// A timeline filled by running the recorded fixture through a live room
+async function recordedTimeline() {
+  const room = new RoomSession();
+  const timeline = new SessionTimeline();
+  timeline.attach(room);
+  const detector = FixtureDetector.fromJson(happyThenSad);
+  for (let t = 0; t < 6000; t += 300) room.push(t, await detector.detect());
+  return timeline;
+}
+
+function renderChart(timeline, props = {}) {
+  const view = render(
+    <TimelineChart timeline={timeline} colors={EMOTION_COLORS} stateNames={EMOTION_STATES.map((s) => s.name)} {...props} />,
+  );
+  const chart = () => Chart.getChart(view.container.querySelector('canvas'));
+  return { ...view, chart };
+}
+
+function dataset(chart, key, series = 'emotions') {
+  return chart.data.datasets.find((d) => d.key === key && d.series === series);
+}
+
+describe('TimelineChart', () => {
+  it('plots one line per emotion from the timeline', async () => {
+    const timeline = await recordedTimeline();
+    const { chart } = renderChart(timeline);
+
+    expect(chart().data.datasets.map((d) => d.label)).toEqual(['Angry', 'Disgusted', 'Fearful', 'Happy', 'Neutral', 'Sad', 'Surprised']);
+    const happy = dataset(chart(), 'happy').data;
+    const sad = dataset(chart(), 'sad').data;
+    expect(happy).toHaveLength(20);
+    expect(happy[0].y).toBeGreaterThan(80);
+    expect(sad[sad.length - 1].y).toBeGreaterThan(80);
+    expect(chart().options.scales.x.max).toBeCloseTo(5.7);
+  });
+
+  it('redraws as frames arrive', async () => {
+    vi.useFakeTimers();
+    const timeline = await recordedTimeline();
+    const { chart } = renderChart(timeline);
+    timeline.addGap(6000);
+    await act(() => vi.advanceTimersByTimeAsync(300));
+    const happy = dataset(chart(), 'happy').data;
+    expect(happy).toHaveLength(21);
+    expect(happy[happy.length - 1].y).toBeNull();
+  });
+
+  it('compares raw and filtered percentages on request', async () => {
+    const timeline = await recordedTimeline();
+    const { chart } = renderChart(timeline);
+    fireEvent.click(screen.getByRole('button', { name: 'Raw vs filtered' }));
+
+    // Neutral isn't compared, so six emotions twice over
+    expect(chart().data.datasets).toHaveLength(12);
+    expect(Object.keys(chart().options.scales)).toEqual(expect.arrayContaining(['raw', 'filtered']));
+    const raw = dataset(chart(), 'sad', 'raw').data;
+    const filtered = dataset(chart(), 'sad', 'filtered').data;
+    expect(raw[raw.length - 1].y).toBeGreaterThan(filtered[filtered.length - 1].y);
+  });
+
+  it('passes notes to onAnnotate', async () => {
+    const onAnnotate = vi.fn();
+    renderChart(await recordedTimeline(), { onAnnotate });
+    fireEvent.change(screen.getByPlaceholderText(/Annotate/), { target: { value: '  started quiz ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+    expect(onAnnotate).toHaveBeenCalledWith('started quiz');
+  });
+});
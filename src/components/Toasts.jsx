@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Stack of dismissible alert toasts over the preview
+export default function Toasts({ toasts, onDismiss }) {
+  if (!toasts.length) return null;
+  return (
+    <div style={{ position: 'absolute', top: 8, left: 8, right: 8, display: 'flex', flexDirection: 'column', gap: 4, zIndex: 3 }}>
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          role="alert"
+          style={{ display: 'flex', alignItems: 'center', gap: 6, background: 'rgba(185,28,28,0.92)', color: 'white', borderRadius: 8, padding: '6px 8px', fontSize: 10, fontWeight: 600, boxShadow: '0 2px 8px rgba(0,0,0,0.3)' }}
+        >
+          <span style={{ flex: 1 }}>🔔 {toast.message}</span>
+          <button onClick={() => onDismiss(toast.id)} style={{ background: 'none', border: 'none', color: 'white', cursor: 'pointer', fontSize: 12 }} aria-label="Dismiss">×</button>
+        </div>
+      ))}
+    </div>
+  );
+}
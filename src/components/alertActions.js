@@ -0,0 +1,56 @@
+// Browser side of alert actions. Each one degrades silently where the API is
+// missing (no vibration on desktop, notifications blocked, and so on).
+
+let audioContext = null;
+
+// Two short tones from Web Audio, so no sound file has to be shipped
+function playCue() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  audioContext ??= new AudioContext();
+  const now = audioContext.currentTime;
+  [880, 660].forEach((frequency, i) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, now + i * 0.18);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + i * 0.18 + 0.16);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(now + i * 0.18);
+    oscillator.stop(now + i * 0.18 + 0.16);
+  });
+}
+
+// Notification permission has to be requested from a user gesture, so the
+// rules editor calls this when the action is switched on
+export async function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+// Goes through the service worker when one is registered: mobile Chrome only
+// allows notifications from a worker and throws on `new Notification`
+function showNotification(title, options) {
+  if (!navigator.serviceWorker) return Promise.resolve(new Notification(title, options));
+  return navigator.serviceWorker.getRegistration().then((registration) => (registration
+    ? registration.showNotification(title, options)
+    : new Notification(title, options)));
+}
+
+// `showToast` is the app's in-page toast; the other actions are fire-and-forget
+export function runAlertActions({ rule, message }, showToast) {
+  rule.actions.forEach((action) => {
+    try {
+      if (action === 'toast') showToast(message);
+      else if (action === 'vibrate') navigator.vibrate?.([200, 100, 200]);
+      else if (action === 'sound') playCue();
+      else if (action === 'notification' && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        showNotification('Engagement alert', { body: message, tag: rule.id })
+          .catch((err) => console.warn(`Alert action "${action}" failed:`, err));
+      }
+    } catch (err) {
+      console.warn(`Alert action "${action}" failed:`, err);
+    }
+  });
+}
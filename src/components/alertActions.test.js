@@ -0,0 +1,48 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { runAlertActions } from './alertActions.js';
+
+const alert = { rule: { id: 'r1', actions: ['notification'] }, message: 'Engagement dropped' };
+
+function stubServiceWorker(registration) {
+  Object.defineProperty(navigator, 'serviceWorker', {
+    configurable: true,
+    value: { getRegistration: vi.fn(async () => registration) },
+  });
+}
+
+describe('runAlertActions notifications', () => {
+  let NotificationStub;
+
+  beforeEach(() => {
+    NotificationStub = vi.fn();
+    NotificationStub.permission = 'granted';
+    vi.stubGlobal('Notification', NotificationStub);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    delete navigator.serviceWorker;
+  });
+
+  it('shows the notification through the registered service worker', async () => {
+    const registration = { showNotification: vi.fn(async () => {}) };
+    stubServiceWorker(registration);
+    runAlertActions(alert, () => {});
+
+    await vi.waitFor(() => expect(registration.showNotification).toHaveBeenCalledWith(
+      'Engagement alert',
+      { body: 'Engagement dropped', tag: 'r1' },
+    ));
+    expect(NotificationStub).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the constructor without a registered worker', async () => {
+    stubServiceWorker(undefined);
+    runAlertActions(alert, () => {});
+
+    await vi.waitFor(() => expect(NotificationStub).toHaveBeenCalledWith(
+      'Engagement alert',
+      { body: 'Engagement dropped', tag: 'r1' },
+    ));
+  });
+});
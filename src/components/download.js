@@ -0,0 +1,14 @@
+// Saves generated text as a file through a temporary object URL
+export function downloadText(filename, text, type = 'text/plain') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function safeFilename(name, fallback = 'download') {
+  return name.replace(/[^\w-]+/g, '_') || fallback;
+}
@@ -0,0 +1,130 @@
+import Emitter from '../engine/Emitter.js';
+
+// TinyFaceDetector input sizes must be divisible by 32
+export const INPUT_SIZES = [128, 160, 192, 224, 256, 320, 416, 512, 608];
+
+const LATENCY_SMOOTHING = 0.3;
+const FPS_WINDOW_MS = 5000;
+
+// Picks the detection interval and input size from measured inference latency.
+// Inference may use at most `busyBudget` of each interval (the CPU/battery
+// budget); over budget it first shrinks the input, then slows down, and with
+// headroom it speeds back up to `targetFps` before growing the input again.
+// With no face for `idleAfterMs`, or the tab hidden, it drops to a slow poll.
+// Detectors without an input size (SSD MobileNet) set `adaptInputSize` false;
+// only the interval adapts then and `inputSize` is null.
+// Emits 'stats' after every measurement.
+export default class AdaptiveController extends Emitter {
+  constructor({
+    targetFps = 3,
+    busyBudget = 0.5,
+    minInputSize = 128,
+    maxInputSize = 608,
+    initialInputSize = 160,
+    adaptInputSize = true,
+    maxIntervalMs = 2000,
+    idleAfterMs = 10000,
+    idleIntervalMs = 1000,
+    hiddenIntervalMs = 5000,
+    adjustEveryMs = 2000,
+  } = {}) {
+    super();
+    this.targetIntervalMs = 1000 / targetFps;
+    this.busyBudget = busyBudget;
+    this.sizes = INPUT_SIZES.filter((s) => s >= minInputSize && s <= maxInputSize);
+    this.maxIntervalMs = maxIntervalMs;
+    this.idleAfterMs = idleAfterMs;
+    this.idleIntervalMs = idleIntervalMs;
+    this.hiddenIntervalMs = hiddenIntervalMs;
+    this.adjustEveryMs = adjustEveryMs;
+    this.initialInputSize = initialInputSize;
+    this.adaptInputSize = adaptInputSize;
+    // Tab visibility isn't measured, so it survives reset()
+    this.hidden = false;
+    this.reset();
+  }
+
+  reset() {
+    const closest = this.sizes.reduce((a, b) => (Math.abs(b - this.initialInputSize) < Math.abs(a - this.initialInputSize) ? b : a));
+    this.sizeIndex = this.sizes.indexOf(closest);
+    this.intervalMs = this.targetIntervalMs;
+    this.latencyMs = null;
+    this.lastAdjustAt = null;
+    this.lastFaceAt = null;
+    this.frames = [];
+    this.dropped = 0;
+  }
+
+  get inputSize() {
+    return this.adaptInputSize ? this.sizes[this.sizeIndex] : null;
+  }
+
+  get canShrink() {
+    return this.adaptInputSize && this.sizeIndex > 0;
+  }
+
+  get canGrow() {
+    return this.adaptInputSize && this.sizeIndex < this.sizes.length - 1;
+  }
+
+  setHidden(hidden) {
+    this.hidden = hidden;
+  }
+
+  mode(timestamp) {
+    if (this.hidden) return 'hidden';
+    if (this.lastFaceAt !== null && timestamp - this.lastFaceAt > this.idleAfterMs) return 'idle';
+    return 'active';
+  }
+
+  // Settings for the next frame
+  settings(timestamp) {
+    const mode = this.mode(timestamp);
+    let intervalMs = this.intervalMs;
+    if (mode === 'hidden') intervalMs = Math.max(intervalMs, this.hiddenIntervalMs);
+    if (mode === 'idle') intervalMs = Math.max(intervalMs, this.idleIntervalMs);
+    return { intervalMs, inputSize: this.inputSize, mode };
+  }
+
+  recordDrop() {
+    this.dropped++;
+  }
+
+  record(timestamp, inferenceMs, faceSeen) {
+    if (this.lastFaceAt === null || faceSeen) this.lastFaceAt = timestamp;
+    this.latencyMs = this.latencyMs === null ? inferenceMs : this.latencyMs + (inferenceMs - this.latencyMs) * LATENCY_SMOOTHING;
+    this.frames.push(timestamp);
+    while (this.frames.length && timestamp - this.frames[0] > FPS_WINDOW_MS) this.frames.shift();
+
+    if (this.lastAdjustAt === null) this.lastAdjustAt = timestamp;
+    if (timestamp - this.lastAdjustAt >= this.adjustEveryMs) {
+      this.adjust();
+      this.lastAdjustAt = timestamp;
+    }
+    this.emit('stats', this.stats(timestamp));
+  }
+
+  adjust() {
+    const budgetMs = this.intervalMs * this.busyBudget;
+    if (this.latencyMs > budgetMs) {
+      if (this.canShrink) this.sizeIndex--;
+      else this.intervalMs = Math.min(this.maxIntervalMs, Math.max(this.intervalMs, this.latencyMs / this.busyBudget));
+    } else if (this.latencyMs < budgetMs * 0.5) {
+      if (this.intervalMs > this.targetIntervalMs) {
+        this.intervalMs = Math.max(this.targetIntervalMs, this.latencyMs / this.busyBudget);
+      } else if (this.canGrow) {
+        this.sizeIndex++;
+      }
+    }
+  }
+
+  stats(timestamp) {
+    const span = this.frames.length > 1 ? this.frames[this.frames.length - 1] - this.frames[0] : 0;
+    return {
+      inferenceMs: this.latencyMs,
+      fps: span > 0 ? ((this.frames.length - 1) * 1000) / span : 0,
+      dropped: this.dropped,
+      ...this.settings(timestamp),
+    };
+  }
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import AdaptiveController from './AdaptiveController.js';
+
+describe('AdaptiveController', () => {
+  it('stays on the slow poll when reset while the tab is hidden', () => {
+    const controller = new AdaptiveController({ hiddenIntervalMs: 5000 });
+    controller.setHidden(true);
+    controller.reset();
+    expect(controller.settings(0)).toMatchObject({ mode: 'hidden', intervalMs: 5000 });
+  });
+
+  it('adapts only the interval for detectors without an input size', () => {
+    const controller = new AdaptiveController({ targetFps: 4, busyBudget: 0.5, adaptInputSize: false, adjustEveryMs: 0 });
+    // 400 ms inferences against a 125 ms budget
+    for (let t = 0; t <= 2000; t += 250) controller.record(t, 400, true);
+    const slow = controller.settings(2000);
+    expect(slow.inputSize).toBeNull();
+    expect(slow.intervalMs).toBe(800);
+
+    for (let t = 2250; t <= 6000; t += 250) controller.record(t, 20, true);
+    expect(controller.settings(6000)).toMatchObject({ inputSize: null, intervalMs: 250 });
+  });
+
+  it('shrinks the input before slowing down when it can', () => {
+    const controller = new AdaptiveController({ targetFps: 4, busyBudget: 0.5, initialInputSize: 320, adjustEveryMs: 0 });
+    controller.record(0, 400, true);
+    controller.record(250, 400, true);
+    expect(controller.settings(250)).toMatchObject({ inputSize: 224, intervalMs: 250 });
+  });
+});
@@ -0,0 +1,64 @@
+import { BACKENDS, DETECTORS } from './faceapiDetect.js';
+
+const WARMUP_FRAMES = 2;
+
+export function allCombos() {
+  return Object.keys(DETECTORS).flatMap((detector) => BACKENDS.map((backend) => ({ detector, backend })));
+}
+
+// Long enough for the first inference on the slowest combo (SSD on cpu)
+const FRAME_TIMEOUT_MS = 30000;
+
+async function detectFrame(detector, video, options, timeoutMs) {
+  // The slot may still be held by a frame from the live loop; wait it out, but
+  // give up if it never frees (a crashed worker, a stuck reconfigure)
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Detector gave no result within ${timeoutMs} ms`)), timeoutMs);
+  });
+  try {
+    for (;;) {
+      const started = performance.now();
+      const detections = await Promise.race([detector.detect(video, options), timeout]);
+      if (detections) return { detections, ms: detector.lastInferenceMs ?? performance.now() - started };
+      await Promise.race([new Promise((r) => setTimeout(r, 20)), timeout]);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Runs each detector/backend combo over `frames` live frames and reports mean
+// inference time and the share of frames with at least one face. The
+// detector's original configuration is restored afterwards. A frame that gets
+// no result within `frameTimeoutMs` fails its combo with an `error`.
+export async function runBenchmark({ detector, video, combos = allCombos(), frames = 20, frameTimeoutMs = FRAME_TIMEOUT_MS, onProgress = () => {} }) {
+  const original = detector.config;
+  const results = [];
+  try {
+    for (const combo of combos) {
+      const result = { ...combo, frames, meanMs: null, detectionRate: null, error: null };
+      try {
+        await detector.configure({ ...original, ...combo });
+        const options = DETECTORS[combo.detector].defaults;
+        for (let i = 0; i < WARMUP_FRAMES; i++) await detectFrame(detector, video, options, frameTimeoutMs);
+        let totalMs = 0;
+        let withFace = 0;
+        for (let i = 0; i < frames; i++) {
+          const { detections, ms } = await detectFrame(detector, video, options, frameTimeoutMs);
+          totalMs += ms;
+          if (detections.length) withFace++;
+          onProgress({ combo, frame: i + 1, frames });
+        }
+        result.meanMs = totalMs / frames;
+        result.detectionRate = withFace / frames;
+      } catch (err) {
+        result.error = err.message;
+      }
+      results.push(result);
+    }
+  } finally {
+    if (original) await detector.configure(original);
+  }
+  return results;
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { runBenchmark } from './benchmark.js';
+import FixtureDetector from '../test/fixtureDetector.js';
+import happyThenSad from '../test/fixtures/happy-then-sad.json?raw';
+
+const combos = [{ detector: 'tiny', backend: 'cpu' }];
+
+describe('runBenchmark', () => {
+  it('measures each combo and restores the original configuration', async () => {
+    const detector = FixtureDetector.fromJson(happyThenSad);
+    const original = { backend: 'webgl', detector: 'tiny', landmarks: 'off' };
+    detector.config = original;
+    const [result] = await runBenchmark({ detector, video: null, combos, frames: 4 });
+
+    expect(result).toMatchObject({ detector: 'tiny', backend: 'cpu', meanMs: 0, detectionRate: 1, error: null });
+    expect(detector.config).toBe(original);
+  });
+
+  it('fails a combo whose detector never frees up', async () => {
+    const busy = { config: null, lastInferenceMs: null, configure: async () => {}, detect: async () => null };
+    const stuck = { ...busy, detect: () => new Promise(() => {}) };
+
+    const [dropped] = await runBenchmark({ detector: busy, video: null, combos, frames: 2, frameTimeoutMs: 50 });
+    const [hung] = await runBenchmark({ detector: stuck, video: null, combos, frames: 2, frameTimeoutMs: 50 });
+    expect(dropped.error).toMatch(/no result/);
+    expect(hung.error).toMatch(/no result/);
+    expect(dropped.meanMs).toBeNull();
+  });
+});
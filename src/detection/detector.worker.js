@@ -0,0 +1,56 @@
+import * as faceapi from '@vladmandic/face-api';
+import { configure, detectFaces } from './faceapiDetect.js';
+
+// face-api only auto-configures for window or Node; give it an OffscreenCanvas
+// based environment so it can run inside this worker
+faceapi.env.setEnv({
+  Canvas: OffscreenCanvas,
+  CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+  Image: ImageBitmap,
+  ImageData,
+  Video: class {},
+  createCanvasElement: () => new OffscreenCanvas(1, 1),
+  createImageElement: () => {
+    throw new Error('createImageElement - not available in a worker');
+  },
+  createVideoElement: () => {
+    throw new Error('createVideoElement - not available in a worker');
+  },
+  fetch: self.fetch.bind(self),
+  readFile: () => {
+    throw new Error('readFile - filesystem not available in a worker');
+  },
+});
+
+let canvas = null;
+
+function drawFrame(bitmap) {
+  if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+    canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  }
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+}
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'configure') {
+    try {
+      await configure(faceapi, data.config, { modelUrl: data.modelUrl, wasmUrl: data.wasmUrl });
+      self.postMessage({ type: 'configured', id: data.id });
+    } catch (err) {
+      self.postMessage({ type: 'error', id: data.id, message: err.message });
+    }
+    return;
+  }
+
+  if (data.type === 'detect') {
+    const started = performance.now();
+    try {
+      const detections = await detectFaces(faceapi, drawFrame(data.bitmap), data.options);
+      self.postMessage({ type: 'result', id: data.id, detections, inferenceMs: performance.now() - started });
+    } catch (err) {
+      self.postMessage({ type: 'error', id: data.id, message: err.message });
+    }
+  }
+};
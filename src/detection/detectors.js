@@ -0,0 +1,166 @@
+import * as faceapi from '@vladmandic/face-api';
+import { MODEL_URL, WASM_URL, DEFAULT_DETECTOR_CONFIG, configure, detectFaces } from './faceapiDetect.js';
+
+// Both detectors share one contract: `detect(video, detectorOptions)` resolves to plain
+// detections, or to null when the frame was dropped because the previous one
+// is still being processed. Frames are never queued. `configure({ backend,
+// detector, landmarks, recognition })` switches the TF.js backend and lazily loads the models.
+
+export class MainThreadDetector {
+  constructor({ modelUrl = MODEL_URL, wasmUrl = WASM_URL, detectorOptions = {} } = {}) {
+    this.kind = 'main';
+    this.modelUrl = modelUrl;
+    this.wasmUrl = wasmUrl;
+    this.detectorOptions = detectorOptions;
+    this.config = null;
+    this.busy = false;
+    this.dropped = 0;
+    this.lastInferenceMs = null;
+  }
+
+  async init(config = DEFAULT_DETECTOR_CONFIG) {
+    await this.configure(config);
+  }
+
+  // Holds the busy flag while switching so frames are dropped, not run mid-switch
+  async configure(config) {
+    while (this.busy) await new Promise((r) => setTimeout(r, 20));
+    this.busy = true;
+    try {
+      await configure(faceapi, config, { modelUrl: this.modelUrl, wasmUrl: this.wasmUrl });
+      this.config = { backend: config.backend, detector: config.detector, landmarks: config.landmarks, recognition: config.recognition === true };
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async detect(video, detectorOptions = this.detectorOptions) {
+    if (this.busy) {
+      this.dropped++;
+      return null;
+    }
+    this.busy = true;
+    const started = performance.now();
+    try {
+      return await detectFaces(faceapi, video, { detector: this.config?.detector, landmarks: this.config?.landmarks, recognition: this.config?.recognition, ...detectorOptions });
+    } finally {
+      this.lastInferenceMs = performance.now() - started;
+      this.busy = false;
+    }
+  }
+
+  dispose() {}
+}
+
+export class WorkerDetector {
+  constructor({ modelUrl = MODEL_URL, wasmUrl = WASM_URL, detectorOptions = {} } = {}) {
+    this.kind = 'worker';
+    // Workers resolve relative URLs against their own script, not the page
+    this.modelUrl = new URL(modelUrl, document.baseURI).href;
+    this.wasmUrl = new URL(wasmUrl, document.baseURI).href;
+    this.detectorOptions = detectorOptions;
+    this.config = null;
+    this.worker = null;
+    this.pending = null;
+    this.nextId = 1;
+    this.dropped = 0;
+    this.lastInferenceMs = null;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined'
+      && typeof OffscreenCanvas !== 'undefined'
+      && typeof createImageBitmap !== 'undefined';
+  }
+
+  init(config = DEFAULT_DETECTOR_CONFIG) {
+    this.worker = new Worker(new URL('./detector.worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    const started = this.configure(config);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.fail(new Error(event.message || 'Detection worker failed to start'));
+    };
+    return started;
+  }
+
+  // Rejects whatever is in flight, e.g. when the worker script fails to load
+  fail(err) {
+    const pending = this.pending;
+    this.pending = null;
+    pending?.reject?.(err);
+  }
+
+  // Configuration goes through the same single slot as detection, so it never
+  // races a frame; callers wait for an in-flight frame to finish first
+  async configure(config) {
+    while (this.pending) await new Promise((r) => setTimeout(r, 20));
+    const id = this.nextId++;
+    await new Promise((resolve, reject) => {
+      this.pending = { id, resolve, reject };
+      this.worker.postMessage({ type: 'configure', id, config, modelUrl: this.modelUrl, wasmUrl: this.wasmUrl });
+    });
+    this.config = { backend: config.backend, detector: config.detector, landmarks: config.landmarks, recognition: config.recognition === true };
+  }
+
+  handleMessage(data) {
+    if (!this.pending || data.id !== this.pending.id) return;
+    const { resolve, reject } = this.pending;
+    this.pending = null;
+    if (data.type === 'result') {
+      this.lastInferenceMs = data.inferenceMs;
+      resolve(data.detections);
+    } else if (data.type === 'configured') {
+      resolve();
+    } else {
+      reject(new Error(data.message));
+    }
+  }
+
+  async detect(video, detectorOptions = this.detectorOptions) {
+    if (this.pending) {
+      this.dropped++;
+      return null;
+    }
+    const id = this.nextId++;
+    // Claim the slot before the async frame grab so concurrent calls drop
+    const slot = { id };
+    this.pending = slot;
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(video);
+    } catch (err) {
+      this.pending = null;
+      throw err;
+    }
+    return new Promise((resolve, reject) => {
+      Object.assign(slot, { resolve, reject });
+      const options = { detector: this.config?.detector, landmarks: this.config?.landmarks, recognition: this.config?.recognition, ...detectorOptions };
+      this.worker.postMessage({ type: 'detect', id, bitmap, options }, [bitmap]);
+    });
+  }
+
+  dispose() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.fail(new Error('Detector disposed'));
+  }
+}
+
+// Prefer the worker; fall back to main-thread inference when workers or
+// OffscreenCanvas are missing or the worker cannot load the models
+export async function createDetector({ config = DEFAULT_DETECTOR_CONFIG, ...options } = {}) {
+  if (WorkerDetector.isSupported()) {
+    const detector = new WorkerDetector(options);
+    try {
+      await detector.init(config);
+      return detector;
+    } catch (err) {
+      console.warn('Worker inference unavailable, using main thread:', err);
+      detector.dispose();
+    }
+  }
+  const detector = new MainThreadDetector(options);
+  await detector.init(config);
+  return detector;
+}
@@ -0,0 +1,93 @@
+import { detectFrame, loadImageFile, sortImageFiles } from './offlineAnalysis.js';
+import { evaluateResults } from '../engine/evaluation.js';
+
+// Evaluation harness: runs the live detector over a labelled folder of images
+// and scores the expression predictions (see engine/evaluation.js).
+
+// Path inside the chosen folder, without the folder's own name
+function relativePath(file) {
+  const path = file.webkitRelativePath || file.name;
+  return path.includes('/') ? path.slice(path.indexOf('/') + 1) : path;
+}
+
+function basename(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// Pairs images with labels by relative path, falling back to the bare file
+// name, case-insensitively. Returns the pairs plus what couldn't be matched.
+export function matchLabels(files, labels) {
+  const byPath = new Map(labels.map((label) => [label.file.toLowerCase().replace(/^\.?\//, ''), label]));
+  const byName = new Map(labels.map((label) => [basename(label.file).toLowerCase(), label]));
+  const used = new Set();
+  const pairs = [];
+  let unlabelled = 0;
+  files.forEach((file) => {
+    const path = relativePath(file);
+    const label = byPath.get(path.toLowerCase()) ?? byName.get(basename(path).toLowerCase());
+    if (!label || used.has(label)) {
+      unlabelled += 1;
+      return;
+    }
+    used.add(label);
+    pairs.push({ file, path, label });
+  });
+  const missing = labels.filter((label) => !used.has(label)).map((label) => label.file);
+  return { pairs, unlabelled, missing };
+}
+
+// The largest face in the image, with its top expression
+function predict(detections) {
+  if (!detections.length) return { predicted: null, confidence: null };
+  const area = ({ box }) => box.width * box.height;
+  const face = detections.reduce((a, b) => (area(b) > area(a) ? b : a));
+  const [predicted, confidence] = Object.entries(face.expressions).reduce((a, b) => (b[1] > a[1] ? b : a));
+  return { predicted, confidence };
+}
+
+// Resolves to { report, results, unlabelled, missing, unreadable, cancelled }.
+// Images the browser can't decode are listed in `unreadable` and left out of
+// the scores, since they say nothing about the model. Images the detector
+// failed on are scored as failures with the `error` message, so a detector
+// that keeps failing can't pass for a healthy run.
+export async function runEvaluation({ detector, files, labels, detectorOptions, threshold, onProgress, signal }) {
+  const { pairs, unlabelled, missing } = matchLabels(sortImageFiles(files), labels);
+  if (!pairs.length) throw new Error('None of the labelled images were found in the selected folder');
+
+  const results = [];
+  const unreadable = [];
+  let cancelled = false;
+  for (let i = 0; i < pairs.length; i++) {
+    if (signal?.aborted) {
+      cancelled = true;
+      break;
+    }
+    const { file, path, label } = pairs[i];
+    let image = null;
+    try {
+      image = await loadImageFile(file);
+    } catch (err) {
+      unreadable.push(path);
+      console.warn(`Skipping ${path}:`, err);
+    }
+    if (image) {
+      const result = { file: path, expected: label.emotion, tags: label.tags };
+      try {
+        results.push({ ...result, ...predict(await detectFrame(detector, image, detectorOptions)) });
+      } catch (err) {
+        console.warn(`Detector failed on ${path}:`, err);
+        results.push({ ...result, predicted: null, confidence: null, error: err?.message ?? String(err) });
+      }
+    }
+    onProgress?.({ done: i + 1, total: pairs.length });
+  }
+
+  return {
+    report: evaluateResults(results, { threshold }),
+    results,
+    unlabelled,
+    missing,
+    unreadable,
+    cancelled,
+  };
+}
@@ -0,0 +1,93 @@
+import { estimateHeadPose } from '../engine/headPose.js';
+
+// face-api calls shared by the main-thread and worker detectors. Results are
+// reduced to plain objects so they can cross postMessage.
+
+export const MODEL_URL = './models';
+export const WASM_URL = './wasm/';
+
+export const BACKENDS = ['webgl', 'wasm', 'cpu'];
+
+export const DETECTORS = {
+  tiny: {
+    label: 'Tiny Face Detector',
+    net: 'tinyFaceDetector',
+    defaults: { inputSize: 160, scoreThreshold: 0.5 },
+    createOptions: (faceapi, { inputSize, scoreThreshold }) => new faceapi.TinyFaceDetectorOptions({ inputSize, scoreThreshold }),
+  },
+  ssd: {
+    label: 'SSD MobileNet v1',
+    net: 'ssdMobilenetv1',
+    defaults: { minConfidence: 0.5, maxResults: 10 },
+    createOptions: (faceapi, { minConfidence, maxResults }) => new faceapi.SsdMobilenetv1Options({ minConfidence, maxResults }),
+  },
+};
+
+// 68-point landmark nets; 'off' skips landmarks (and head pose) entirely
+export const LANDMARK_MODELS = {
+  off: { label: 'Off', net: null },
+  tiny: { label: '68-point (tiny)', net: 'faceLandmark68TinyNet' },
+  full: { label: '68-point (full)', net: 'faceLandmark68Net' },
+};
+
+// `recognition` adds a 128-d face descriptor per face for re-identification
+export const DEFAULT_DETECTOR_CONFIG = {
+  backend: 'webgl',
+  detector: 'tiny',
+  landmarks: 'tiny',
+  recognition: false,
+  options: DETECTORS.tiny.defaults,
+};
+
+// Descriptors are computed on the aligned face, so recognition needs a
+// landmark net even when landmarks are switched off
+function alignmentLandmarks(landmarks, recognition) {
+  return recognition && !LANDMARK_MODELS[landmarks]?.net ? 'tiny' : landmarks;
+}
+
+// Switches the TF.js backend; wasm binaries are served from public/wasm
+export async function setBackend(faceapi, backend, wasmUrl = WASM_URL) {
+  if (!BACKENDS.includes(backend)) throw new Error(`Unknown TF.js backend "${backend}"`);
+  if (faceapi.tf.getBackend() === backend) return;
+  if (backend === 'wasm') faceapi.tf.setWasmPaths(wasmUrl);
+  const ok = await faceapi.tf.setBackend(backend);
+  if (!ok) throw new Error(`TF.js backend "${backend}" is not available on this device`);
+  await faceapi.tf.ready();
+}
+
+// Loads the expression net, the chosen detector and landmark net (and the
+// recognition net when asked), skipping nets already in memory
+export async function loadModels(faceapi, modelUrl = MODEL_URL, detector = 'tiny', landmarks = 'off', recognition = false) {
+  const { net } = DETECTORS[detector] ?? DETECTORS.tiny;
+  const landmarkNet = LANDMARK_MODELS[alignmentLandmarks(landmarks, recognition)]?.net;
+  for (const name of [net, landmarkNet, 'faceExpressionNet', recognition && 'faceRecognitionNet'].filter(Boolean)) {
+    if (!faceapi.nets[name].isLoaded) await faceapi.nets[name].loadFromUri(modelUrl);
+  }
+}
+
+export async function configure(faceapi, { backend, detector, landmarks, recognition = false }, { modelUrl = MODEL_URL, wasmUrl = WASM_URL } = {}) {
+  await setBackend(faceapi, backend, wasmUrl);
+  await loadModels(faceapi, modelUrl, detector, landmarks, recognition);
+}
+
+export async function detectFaces(faceapi, input, { detector = 'tiny', landmarks = 'off', recognition = false, ...options } = {}) {
+  const spec = DETECTORS[detector] ?? DETECTORS.tiny;
+  const aligned = alignmentLandmarks(landmarks, recognition);
+  let task = faceapi.detectAllFaces(input, spec.createOptions(faceapi, { ...spec.defaults, ...options }));
+  if (LANDMARK_MODELS[aligned]?.net) task = task.withFaceLandmarks(aligned === 'tiny');
+  task = task.withFaceExpressions();
+  if (recognition) task = task.withFaceDescriptors();
+  const results = await task;
+  return results.map(({ detection, expressions, landmarks: shape, descriptor }) => {
+    // Landmarks borrowed only for alignment are not reported
+    const points = shape && LANDMARK_MODELS[landmarks]?.net ? shape.positions.map(({ x, y }) => ({ x, y })) : null;
+    return {
+      box: { x: detection.box.x, y: detection.box.y, width: detection.box.width, height: detection.box.height },
+      score: detection.score,
+      expressions: { ...expressions },
+      landmarks: points,
+      pose: points ? estimateHeadPose(points) : null,
+      descriptor: descriptor ? Array.from(descriptor) : null,
+    };
+  });
+}
@@ -0,0 +1,149 @@
+import RoomSession from '../engine/RoomSession.js';
+import { SessionRecorder } from '../engine/recording.js';
+
+// Runs recorded media through the live pipeline: every sampled frame goes to
+// the detector and then a fresh RoomSession, timestamped with its media time,
+// so the recording it produces replays to the same timeline, totals and state
+// transitions a live session would have. Frames are processed back to back,
+// so analysis runs faster than real time whenever inference allows.
+
+export const IMAGE_TYPES = /\.(jpe?g|png|webp|bmp|gif)$/i;
+
+function once(target, event, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timed out waiting for "${event}"`));
+    }, timeoutMs);
+    const onEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = () => {
+      cleanup();
+      reject(new Error('Media could not be decoded'));
+    };
+    function cleanup() {
+      clearTimeout(timer);
+      target.removeEventListener(event, onEvent);
+      target.removeEventListener('error', onError);
+    }
+    target.addEventListener(event, onEvent);
+    target.addEventListener('error', onError);
+  });
+}
+
+// Sample times in ms from 0 up to the duration at `sampleFps`
+export function sampleTimes(durationMs, sampleFps) {
+  const step = 1000 / sampleFps;
+  const times = [];
+  for (let t = 0; t <= durationMs; t += step) times.push(Math.round(t));
+  return times;
+}
+
+// Image files in natural filename order, so frame_2 comes before frame_10
+export function sortImageFiles(files) {
+  return [...files]
+    .filter((file) => file.type.startsWith('image/') || IMAGE_TYPES.test(file.name))
+    .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true }));
+}
+
+// The detector drops frames while busy; offline we wait for it instead
+export async function detectFrame(detector, source, detectorOptions) {
+  for (;;) {
+    const detections = await detector.detect(source, detectorOptions);
+    if (detections) return detections;
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+// `frames` is an async iterable of { t, label, source }. Returns the recording
+// plus one result row per frame; when `signal` aborts, the frames analysed so
+// far are returned with `cancelled: true`.
+export async function analyzeFrames({ detector, frames, total, name, sessionOptions = {}, detectorOptions, onProgress, signal }) {
+  const room = new RoomSession(sessionOptions);
+  const { classifier, baseline, filterConfig } = room.aggregate;
+  const recorder = new SessionRecorder({ name, states: classifier.states, baseline, filter: filterConfig, metric: classifier.metric });
+  recorder.attach(room);
+  const rows = [];
+  let cancelled = false;
+  try {
+    for await (const { t, label, source } of frames) {
+      if (signal?.aborted) {
+        cancelled = true;
+        break;
+      }
+      const started = performance.now();
+      const detections = await detectFrame(detector, source, detectorOptions);
+      room.push(t, detections);
+      rows.push({
+        t,
+        label,
+        faces: detections.length,
+        dominant: detections.length ? room.aggregate.dominant : null,
+        state: room.aggregate.currentState,
+        confidence: room.aggregate.confidence,
+        inferenceMs: performance.now() - started,
+      });
+      onProgress?.({ done: rows.length, total });
+    }
+  } finally {
+    recorder.detach();
+  }
+  return { recording: recorder.toRecording(), rows, cancelled };
+}
+
+async function* videoFrames(video, times) {
+  for (const t of times) {
+    video.currentTime = t / 1000;
+    await once(video, 'seeked');
+    yield { t, label: `${(t / 1000).toFixed(2)}s`, source: video };
+  }
+}
+
+// Samples a local video file at `sampleFps`
+export async function analyzeVideo({ file, sampleFps = 2, ...options }) {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+  try {
+    video.src = url;
+    await once(video, 'loadeddata');
+    if (!Number.isFinite(video.duration)) throw new Error('Video has no known duration');
+    const times = sampleTimes(video.duration * 1000, sampleFps);
+    return await analyzeFrames({ ...options, name: file.name, frames: videoFrames(video, times), total: times.length });
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Decoded <img> for a local file; throws when the browser can't decode it
+export async function loadImageFile(file) {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  try {
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function* imageFrames(files, intervalMs) {
+  for (let i = 0; i < files.length; i++) {
+    yield { t: i * intervalMs, label: files[i].name, source: await loadImageFile(files[i]) };
+  }
+}
+
+// Treats a set of images as consecutive frames `intervalMs` apart
+export async function analyzeImages({ files, intervalMs = 1000, ...options }) {
+  const images = sortImageFiles(files);
+  if (!images.length) throw new Error('No images selected');
+  const folder = images[0].webkitRelativePath?.split('/')[0];
+  return analyzeFrames({ ...options, name: folder || `${images.length} images`, frames: imageFrames(images, intervalMs), total: images.length });
+}
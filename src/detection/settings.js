@@ -0,0 +1,35 @@
+import { BACKENDS, DETECTORS, LANDMARK_MODELS, DEFAULT_DETECTOR_CONFIG } from './faceapiDetect.js';
+
+const STORAGE_KEY = 'faceTracker.detector';
+
+// Falls back to defaults for anything unknown so a stale entry can't break startup
+export function normalizeDetectorConfig(config = {}) {
+  const detector = DETECTORS[config.detector] ? config.detector : DEFAULT_DETECTOR_CONFIG.detector;
+  const backend = BACKENDS.includes(config.backend) ? config.backend : DEFAULT_DETECTOR_CONFIG.backend;
+  const landmarks = LANDMARK_MODELS[config.landmarks] ? config.landmarks : DEFAULT_DETECTOR_CONFIG.landmarks;
+  const defaults = DETECTORS[detector].defaults;
+  const options = {};
+  Object.keys(defaults).forEach((key) => {
+    const value = Number(config.options?.[key]);
+    options[key] = Number.isFinite(value) ? value : defaults[key];
+  });
+  return { backend, detector, landmarks, recognition: config.recognition === true, options };
+}
+
+export function loadDetectorConfig(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return normalizeDetectorConfig(raw ? JSON.parse(raw) : DEFAULT_DETECTOR_CONFIG);
+  } catch (err) {
+    console.warn('Could not load detector settings:', err);
+    return normalizeDetectorConfig(DEFAULT_DETECTOR_CONFIG);
+  }
+}
+
+export function saveDetectorConfig(config, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (err) {
+    console.warn('Could not save detector settings:', err);
+  }
+}
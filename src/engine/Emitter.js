@@ -0,0 +1,22 @@
+// Minimal event emitter so the engine runs the same in the browser and in Node
+export default class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, fn) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(fn);
+    return () => this.off(event, fn);
+  }
+
+  off(event, fn) {
+    this.listeners.get(event)?.delete(fn);
+  }
+
+  emit(event, payload) {
+    const fns = this.listeners.get(event);
+    if (!fns) return;
+    for (const fn of [...fns]) fn(payload);
+  }
+}
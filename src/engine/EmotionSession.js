@@ -0,0 +1,155 @@
+import Emitter from './Emitter.js';
+import StateClassifier from './StateClassifier.js';
+import {
+  EMOTION_STATES,
+  emptyEmotionMap,
+  dominantEmotion,
+  calculateEmotionPercentages,
+} from './emotions.js';
+import { applyBaseline } from './calibration.js';
+import { VectorFilter, DEFAULT_FILTER_CONFIG, normalizeFilterConfig, timeConstantForFactor } from './filters.js';
+
+// Headless emotion pipeline: feed it timestamped expression vectors and listen
+// for 'dominant', 'smoothed', 'scores', 'statechange', 'stats', 'history' and 'reset'.
+// `filter` picks the signal filter (see filters.js); the older per-sample
+// `smoothingFactor` is still accepted and becomes the equivalent EMA.
+export default class EmotionSession extends Emitter {
+  constructor({ filter = null, smoothingFactor = null, historyWindowMs = 15000, states = EMOTION_STATES, classifier = {}, baseline = null } = {}) {
+    super();
+    // A calibration baseline; expressions are read relative to it from the next push
+    this.baseline = baseline;
+    this.filterConfig = normalizeFilterConfig(filter ?? (smoothingFactor !== null
+      ? { type: 'ema', timeConstantMs: timeConstantForFactor(smoothingFactor) }
+      : DEFAULT_FILTER_CONFIG));
+    this.historyWindowMs = historyWindowMs;
+    this.classifier = new StateClassifier({ ...classifier, states });
+    this.lastTick = null;
+    this.reset();
+  }
+
+  reset() {
+    this.dominant = null;
+    this.counts = emptyEmotionMap();
+    this.durationsMs = emptyEmotionMap();
+    this.percentages = {};
+    this.smoothed = {};
+    this.features = {};
+    this.evidence = 0;
+    this.createFilters();
+    this.classifier.reset();
+    this.currentState = this.classifier.state;
+    this.confidence = 0;
+    this.history = [];
+    this.emit('reset', this.getSnapshot());
+  }
+
+  // Swap the state profile; the next sample is scored against the new states
+  setStates(states) {
+    const previous = this.currentState;
+    this.classifier.setStates(states);
+    this.currentState = this.classifier.state;
+    this.confidence = 0;
+    if (previous !== this.currentState) {
+      this.emit('statechange', { state: this.currentState, previous, confidence: 0, timestamp: this.lastTick });
+    }
+  }
+
+  setMetric(metric) {
+    this.classifier.setMetric(metric);
+  }
+
+  setBaseline(baseline) {
+    this.baseline = baseline;
+  }
+
+  createFilters() {
+    this.emotionFilter = new VectorFilter(this.filterConfig);
+    this.featureFilter = new VectorFilter(this.filterConfig);
+    this.evidenceFilter = new VectorFilter(this.filterConfig);
+  }
+
+  // Swaps the filter live; the new one starts from the current smoothed values
+  // so the lines don't jump
+  setFilter(config) {
+    this.filterConfig = normalizeFilterConfig(config);
+    this.createFilters();
+    if (this.lastTick === null) return;
+    this.emotionFilter.apply(this.lastTick, this.smoothed);
+    this.featureFilter.apply(this.lastTick, this.features);
+    this.evidenceFilter.apply(this.lastTick, { evidence: this.evidence });
+  }
+
+  // Restart the time baseline, e.g. after a pause or a failed detection, so the
+  // gap is not credited to the next detected emotion
+  markGap(timestamp) {
+    this.lastTick = timestamp;
+  }
+
+  // Push one detection result; `expressions` is null when no face was found.
+  // `features` are optional extra signals such as { attention } (0–100) that
+  // states may target alongside emotions.
+  push(timestamp, rawExpressions, features = null) {
+    const expressions = applyBaseline(rawExpressions, this.baseline);
+    const prev = this.lastTick ?? timestamp;
+    const deltaMs = Math.max(0, timestamp - prev);
+    this.lastTick = timestamp;
+
+    const top = dominantEmotion(expressions);
+    if (!top) {
+      this.classify(timestamp, null);
+      return;
+    }
+
+    this.dominant = top;
+    this.emit('dominant', top);
+
+    // Update session-wide counts and accumulate time for the top emotion
+    this.counts = { ...this.counts, [top.key]: (this.counts[top.key] ?? 0) + 1 };
+    this.durationsMs = { ...this.durationsMs, [top.key]: (this.durationsMs[top.key] ?? 0) + deltaMs };
+    this.emit('stats', { counts: this.counts, durationsMs: this.durationsMs });
+
+    // Filter the non-neutral percentages and detect state from them
+    this.percentages = calculateEmotionPercentages(expressions);
+    const smoothed = this.emotionFilter.apply(timestamp, this.percentages);
+    this.smoothed = smoothed;
+    this.evidence = this.evidenceFilter.apply(timestamp, { evidence: 1 - (expressions.neutral ?? 0) }).evidence;
+    this.emit('smoothed', smoothed);
+
+    // Features are filtered the same way; without them (landmarks off) they
+    // drop out of the comparison instead of reading as zero
+    const smoothedFeatures = this.featureFilter.apply(timestamp, features);
+    this.features = smoothedFeatures;
+
+    this.classify(timestamp, Object.keys(smoothed).length ? { ...smoothed, ...smoothedFeatures } : null);
+
+    // Keep only data within the history window
+    const cutoffTime = timestamp - this.historyWindowMs;
+    this.history = [...this.history, { timestamp, emotions: { ...expressions }, features: smoothedFeatures }]
+      .filter(point => point.timestamp >= cutoffTime);
+    this.emit('history', this.history);
+  }
+
+  classify(timestamp, percentages) {
+    const result = this.classifier.update(timestamp, percentages, this.evidence);
+    this.confidence = result.confidence;
+    this.emit('scores', result);
+    if (result.state !== this.currentState) {
+      const previous = this.currentState;
+      this.currentState = result.state;
+      this.emit('statechange', { state: result.state, previous, confidence: result.confidence, timestamp });
+    }
+  }
+
+  getSnapshot() {
+    return {
+      dominant: this.dominant,
+      counts: this.counts,
+      durationsMs: this.durationsMs,
+      smoothed: this.smoothed,
+      features: this.features,
+      currentState: this.currentState,
+      confidence: this.confidence,
+      history: this.history,
+    };
+  }
+}
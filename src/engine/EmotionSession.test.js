@@ -0,0 +1,97 @@
+import { describe, expect, it, vi } from 'vitest';
+import EmotionSession from './EmotionSession.js';
+import { parseRecording } from './recording.js';
+import happyThenSad from '../test/fixtures/happy-then-sad.json?raw';
+
+const recording = parseRecording(happyThenSad);
+
+// Pushes the recorded face's expressions, and the recorded gaps, in order
+function replay(session, { samples }) {
+  samples.forEach((sample) => {
+    if (sample.gap) session.markGap(sample.t);
+    else session.push(sample.t, sample.faces[0]?.expressions ?? null);
+  });
+}
+
+describe('EmotionSession', () => {
+  it('counts detections and credits time to the dominant emotion', () => {
+    const session = new EmotionSession({ filter: { type: 'none' } });
+    replay(session, recording);
+
+    expect(session.dominant.key).toBe('sad');
+    expect(session.counts).toMatchObject({ happy: 10, sad: 10, neutral: 0 });
+    // 9 intervals of 300 ms after the first happy frame
+    expect(session.durationsMs.happy).toBe(2700);
+    // The recorded gap at 2850 ms restarts the clock, so sad only gets the
+    // 150 ms after it rather than the whole 300 ms since the last happy frame
+    expect(session.durationsMs.sad).toBe(2850);
+  });
+
+  it('does not credit paused time', () => {
+    const session = new EmotionSession();
+    const happy = recording.samples[0].faces[0].expressions;
+    session.push(0, happy);
+    session.push(1000, happy);
+    // Paused from 1000 to 61000, then resumed
+    session.markGap(61000);
+    session.push(62000, happy);
+    expect(session.durationsMs.happy).toBe(2000);
+  });
+
+  it('leaves frames without a face out of the statistics', () => {
+    const session = new EmotionSession();
+    session.push(0, { happy: 0.9, neutral: 0.1 });
+    session.push(300, null);
+    expect(session.counts.happy).toBe(1);
+    expect(session.history).toHaveLength(1);
+  });
+
+  it('smooths the percentages it classifies', () => {
+    const raw = new EmotionSession({ filter: { type: 'none' } });
+    const smoothed = new EmotionSession({ filter: { type: 'ema', timeConstantMs: 2800 } });
+    replay(raw, recording);
+    replay(smoothed, recording);
+
+    expect(raw.smoothed.sad).toBeCloseTo(raw.percentages.sad);
+    // Three seconds after the switch the filtered value is still catching up
+    expect(smoothed.smoothed.sad).toBeLessThan(raw.smoothed.sad);
+    expect(smoothed.smoothed.sad).toBeGreaterThan(smoothed.smoothed.happy);
+  });
+
+  it('accepts the old per-sample smoothing factor', () => {
+    const session = new EmotionSession({ smoothingFactor: 0.1 });
+    expect(session.filterConfig).toMatchObject({ type: 'ema', timeConstantMs: 2847 });
+  });
+
+  it('keeps only the last 15 seconds of history', () => {
+    const session = new EmotionSession();
+    const happy = recording.samples[0].faces[0].expressions;
+    for (let t = 0; t <= 20000; t += 500) session.push(t, happy);
+
+    expect(session.history[0].timestamp).toBe(5000);
+    expect(session.history[session.history.length - 1].timestamp).toBe(20000);
+    expect(session.history).toHaveLength(31);
+  });
+
+  it('resets everything and says so', () => {
+    const session = new EmotionSession();
+    replay(session, recording);
+    const onReset = vi.fn();
+    session.on('reset', onReset);
+    session.reset();
+
+    expect(onReset).toHaveBeenCalledOnce();
+    expect(onReset.mock.calls[0][0]).toMatchObject({ dominant: null, history: [], smoothed: {} });
+    expect(Object.values(session.counts).every((n) => n === 0)).toBe(true);
+    expect(Object.values(session.durationsMs).every((ms) => ms === 0)).toBe(true);
+  });
+
+  it('reports state changes as the expressions change', () => {
+    const session = new EmotionSession({ filter: { type: 'none' } });
+    const states = [];
+    session.on('statechange', ({ state }) => states.push(state));
+    replay(session, recording);
+    expect(states.length).toBeGreaterThan(0);
+    expect(states[states.length - 1]).toBe(session.currentState);
+  });
+});
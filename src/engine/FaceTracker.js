@@ -0,0 +1,71 @@
+import { iou, normalizedCentroidDistance } from './geometry.js';
+
+// Lightweight multi-face tracker: greedily matches detections to existing
+// tracks by IoU, falling back to centroid distance for fast movement, and keeps
+// unmatched tracks alive for `dropAfterMs` so people can step out and return.
+export default class FaceTracker {
+  constructor({ iouThreshold = 0.3, maxCentroidDistance = 0.6, dropAfterMs = 5000 } = {}) {
+    this.iouThreshold = iouThreshold;
+    this.maxCentroidDistance = maxCentroidDistance;
+    this.dropAfterMs = dropAfterMs;
+    this.reset();
+  }
+
+  reset() {
+    this.tracks = new Map();
+    this.nextId = 1;
+  }
+
+  matchScore(track, detection) {
+    const overlap = iou(track.box, detection.box);
+    if (overlap >= this.iouThreshold) return 1 + overlap;
+    const distance = normalizedCentroidDistance(track.box, detection.box);
+    if (distance <= this.maxCentroidDistance) return 1 - distance / this.maxCentroidDistance;
+    return -1;
+  }
+
+  // `detections` are { box, ...payload }; returns the tracks seen this frame,
+  // the ones still waiting to be dropped, and the ones dropped now
+  update(timestamp, detections) {
+    const pairs = [];
+    for (const track of this.tracks.values()) {
+      detections.forEach((detection, index) => {
+        const score = this.matchScore(track, detection);
+        if (score >= 0) pairs.push({ track, index, score });
+      });
+    }
+    pairs.sort((a, b) => b.score - a.score);
+
+    const matchedTracks = new Set();
+    const matchedDetections = new Set();
+    const seen = [];
+    for (const { track, index, score } of pairs) {
+      if (matchedTracks.has(track.id) || matchedDetections.has(index)) continue;
+      matchedTracks.add(track.id);
+      matchedDetections.add(index);
+      Object.assign(track, detections[index], { lastSeen: timestamp, matchScore: score });
+      seen.push(track);
+    }
+
+    detections.forEach((detection, index) => {
+      if (matchedDetections.has(index)) return;
+      const track = { ...detection, id: this.nextId++, firstSeen: timestamp, lastSeen: timestamp, matchScore: null };
+      this.tracks.set(track.id, track);
+      seen.push(track);
+    });
+
+    const missing = [];
+    const dropped = [];
+    for (const track of this.tracks.values()) {
+      if (track.lastSeen === timestamp) continue;
+      if (timestamp - track.lastSeen > this.dropAfterMs) {
+        this.tracks.delete(track.id);
+        dropped.push(track);
+      } else {
+        missing.push(track);
+      }
+    }
+
+    return { seen, missing, dropped };
+  }
+}
@@ -0,0 +1,99 @@
+import Emitter from './Emitter.js';
+import RoomSession from './RoomSession.js';
+
+const TICK_MS = 100;
+
+// Plays a recording back through a fresh RoomSession so the timeline, badges
+// and state banner behave exactly as they did live. The states, baseline,
+// filter and metric stored in the recording win over `sessionOptions`, which
+// only fill in for older recordings without them. Emits 'position' and 'playing'.
+export default class ReplayPlayer extends Emitter {
+  constructor(recording, sessionOptions = {}) {
+    super();
+    this.recording = recording;
+    this.room = new RoomSession({
+      ...sessionOptions,
+      states: recording.states ?? sessionOptions.states,
+      baseline: recording.baseline ?? null,
+      filter: recording.filter ?? sessionOptions.filter,
+      classifier: recording.metric ? { ...sessionOptions.classifier, metric: recording.metric } : sessionOptions.classifier,
+    });
+    this.duration = recording.durationMs;
+    this.position = 0;
+    this.cursor = 0;
+    this.annotationCursor = 0;
+    this.speed = 1;
+    this.timer = null;
+  }
+
+  feed(sample) {
+    if (sample.gap) {
+      this.room.markGap(sample.t, sample.reason ?? null);
+      return;
+    }
+    const faces = sample.faces.length || !sample.expressions
+      ? sample.faces
+      : [{ box: { x: 0, y: 0, width: 1, height: 1 }, expressions: sample.expressions, features: sample.features }];
+    this.room.push(sample.t, faces.map(({ box, expressions, features }) => ({ box, expressions, features: features ?? null })));
+  }
+
+  // Feed every sample and annotation up to and including `t`, in time order
+  advanceTo(t) {
+    const { samples } = this.recording;
+    const annotations = this.recording.annotations ?? [];
+    for (;;) {
+      const sample = samples[this.cursor];
+      const annotation = annotations[this.annotationCursor];
+      const next = Math.min(sample?.t ?? Infinity, annotation?.t ?? Infinity);
+      if (next > t) break;
+      if (annotation && annotation.t === next) {
+        this.room.annotate(annotation.t, annotation.text);
+        this.annotationCursor++;
+      } else {
+        this.feed(sample);
+        this.cursor++;
+      }
+    }
+    this.position = Math.min(t, this.duration);
+    this.emit('position', this.position);
+  }
+
+  // Seeking backwards rebuilds the session state from the start
+  seek(t) {
+    const target = Math.max(0, Math.min(t, this.duration));
+    if (target < this.position) {
+      this.room.reset();
+      this.cursor = 0;
+      this.annotationCursor = 0;
+    }
+    this.advanceTo(target);
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  play() {
+    if (this.timer) return;
+    if (this.position >= this.duration) this.seek(0);
+    let last = Date.now();
+    this.timer = setInterval(() => {
+      const now = Date.now();
+      this.advanceTo(this.position + (now - last) * this.speed);
+      last = now;
+      if (this.position >= this.duration) this.pause();
+    }, TICK_MS);
+    this.emit('playing', true);
+  }
+
+  pause() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.emit('playing', false);
+  }
+
+  dispose() {
+    this.pause();
+  }
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import ReplayPlayer from './ReplayPlayer.js';
+import RoomSession from './RoomSession.js';
+import { SessionRecorder, parseRecording, recordingToJson } from './recording.js';
+import FixtureDetector from '../test/fixtureDetector.js';
+import happyThenSad from '../test/fixtures/happy-then-sad.json?raw';
+
+const recordedFilter = { type: 'ema', timeConstantMs: 1200 };
+
+// Records the fixture through a room using `recordedFilter` and the cosine metric
+async function record() {
+  const room = new RoomSession({ filter: recordedFilter, classifier: { metric: 'cosine' } });
+  const { classifier, filterConfig } = room.aggregate;
+  const recorder = new SessionRecorder({ states: classifier.states, filter: filterConfig, metric: classifier.metric });
+  recorder.attach(room);
+  const detector = FixtureDetector.fromJson(happyThenSad);
+  for (let t = 0; t < 6000; t += 300) room.push(t, await detector.detect());
+  return parseRecording(recordingToJson(recorder.toRecording()));
+}
+
+describe('ReplayPlayer', () => {
+  it('replays with the filter and metric the recording was made with', async () => {
+    const recording = await record();
+    const player = new ReplayPlayer(recording, { filter: { type: 'none' }, classifier: { metric: 'l1' } });
+
+    expect(player.room.aggregate.filterConfig).toEqual(expect.objectContaining(recordedFilter));
+    expect(player.room.aggregate.classifier.metric).toBe('cosine');
+  });
+
+  it('uses the current settings for recordings made without them', async () => {
+    const { filter, metric, ...recording } = await record();
+    const player = new ReplayPlayer(recording, { filter: { type: 'none' }, classifier: { metric: 'l1' } });
+
+    expect(player.room.aggregate.filterConfig.type).toBe('none');
+    expect(player.room.aggregate.classifier.metric).toBe('l1');
+  });
+});
@@ -0,0 +1,309 @@
+import Emitter from './Emitter.js';
+import EmotionSession from './EmotionSession.js';
+import FaceTracker from './FaceTracker.js';
+import { EMOTIONS } from './emotions.js';
+import { UNKNOWN_STATE, NO_FACE_STATE } from './StateClassifier.js';
+import { poseFeatures } from './headPose.js';
+import { matchDescriptor, DEFAULT_MATCH_THRESHOLD } from './identity.js';
+
+function meanExpressions(detections) {
+  if (!detections.length) return null;
+  const mean = {};
+  EMOTIONS.forEach(({ key }) => {
+    mean[key] = detections.reduce((sum, d) => sum + (d.expressions[key] ?? 0), 0) / detections.length;
+  });
+  return mean;
+}
+
+// Mean of each feature over the faces that have it; null when none do
+function meanFeatures(featureSets) {
+  const sums = {};
+  const counts = {};
+  featureSets.filter(Boolean).forEach((features) => {
+    Object.entries(features).forEach(([key, value]) => {
+      sums[key] = (sums[key] ?? 0) + value;
+      counts[key] = (counts[key] ?? 0) + 1;
+    });
+  });
+  const keys = Object.keys(sums);
+  if (!keys.length) return null;
+  return Object.fromEntries(keys.map((key) => [key, sums[key] / counts[key]]));
+}
+
+// Tracks every face in view with its own EmotionSession, plus an `aggregate`
+// session fed the mean expression vector that drives the room-level timeline
+// and state. With a calibration baseline set, `raw` is a second aggregate that
+// ignores it, for comparing calibrated and raw states.
+//
+// With enrolled identities set, faces carrying descriptors are matched to them
+// and each identity keeps one session for the whole room session, so a
+// student who leaves and comes back (or is handed the device) picks up their
+// own counts again. Emits 'frame', 'gap', 'annotation', 'people', 'identities',
+// 'descriptors', 'roomstate', 'trackadded' and 'trackdropped'.
+export default class RoomSession extends Emitter {
+  constructor({ tracker = {}, confirmFrames = 3, ...sessionOptions } = {}) {
+    super();
+    this.sessionOptions = sessionOptions;
+    this.tracker = new FaceTracker(tracker);
+    this.aggregate = new EmotionSession(sessionOptions);
+    this.raw = null;
+    this.people = new Map();
+    // Enrolled identities to match against, and one session per identity seen
+    this.identities = [];
+    this.matchThreshold = DEFAULT_MATCH_THRESHOLD;
+    this.confirmFrames = confirmFrames;
+    this.identified = new Map();
+    if (sessionOptions.baseline) this.setBaseline(sessionOptions.baseline);
+  }
+
+  // Every per-person session, whether anonymous or attributed to an identity
+  personSessions() {
+    const sessions = new Set();
+    this.people.forEach((person) => sessions.add(person.anonymous));
+    this.identified.forEach(({ session }) => sessions.add(session));
+    return sessions;
+  }
+
+  setBaseline(baseline) {
+    this.aggregate.setBaseline(baseline);
+    this.personSessions().forEach((session) => session.setBaseline(baseline));
+    if (!baseline) {
+      this.raw = null;
+    } else if (!this.raw) {
+      this.raw = new EmotionSession({
+        ...this.sessionOptions,
+        baseline: null,
+        states: this.aggregate.classifier.states,
+        classifier: { ...this.sessionOptions.classifier, metric: this.aggregate.classifier.metric },
+      });
+    }
+  }
+
+  createSession() {
+    return new EmotionSession({
+      ...this.sessionOptions,
+      states: this.aggregate.classifier.states,
+      classifier: { ...this.sessionOptions.classifier, metric: this.aggregate.classifier.metric },
+      baseline: this.aggregate.baseline,
+    });
+  }
+
+  // A track starts out anonymous; `session` moves to an identity's session
+  // once the face is recognised
+  createPerson(track) {
+    const anonymous = this.createSession();
+    const person = {
+      id: track.id,
+      session: anonymous,
+      anonymous,
+      identityId: null,
+      candidate: null,
+      candidateFrames: 0,
+      box: track.box,
+      pose: null,
+      visible: true,
+    };
+    this.people.set(track.id, person);
+    this.emit('trackadded', { id: track.id });
+    return person;
+  }
+
+  // `identities` are { id, name, descriptors }; an empty list turns matching
+  // off. Tracks whose identity was removed go back to being anonymous.
+  setIdentities(identities, threshold = this.matchThreshold) {
+    this.identities = identities;
+    this.matchThreshold = threshold;
+    const known = new Set(identities.map((identity) => identity.id));
+    this.identified.forEach((entry, id) => {
+      if (known.has(id)) entry.name = identities.find((identity) => identity.id === id).name;
+      else this.identified.delete(id);
+    });
+    this.people.forEach((person) => {
+      if (person.identityId && !known.has(person.identityId)) this.assignIdentity(person, null, this.aggregate.lastTick);
+    });
+    this.emit('identities', this.getIdentities());
+  }
+
+  // A new answer has to hold for `confirmFrames` descriptors in a row before a
+  // track switches identity, so one poor frame can't move data to someone else
+  identify(person, descriptor, timestamp) {
+    if (!this.identities.length || !descriptor) return;
+    const match = matchDescriptor(descriptor, this.identities, this.matchThreshold);
+    const candidate = match?.id ?? null;
+    if (candidate === person.identityId) {
+      person.candidate = null;
+      person.candidateFrames = 0;
+      return;
+    }
+    person.candidateFrames = candidate === person.candidate ? person.candidateFrames + 1 : 1;
+    person.candidate = candidate;
+    if (person.candidateFrames < this.confirmFrames) return;
+    // Two tracks can't be the same person: a track still in view keeps the
+    // identity, one that has lost its face gives it up
+    const holder = candidate && [...this.people.values()].find((other) => other !== person && other.identityId === candidate);
+    if (holder?.visible) return;
+    if (holder) this.assignIdentity(holder, null, timestamp);
+    this.assignIdentity(person, candidate, timestamp);
+  }
+
+  assignIdentity(person, identityId, timestamp) {
+    let session = person.anonymous;
+    if (identityId) {
+      let entry = this.identified.get(identityId);
+      if (!entry) {
+        entry = { session: this.createSession(), name: this.identities.find((identity) => identity.id === identityId).name };
+        this.identified.set(identityId, entry);
+      }
+      session = entry.session;
+    }
+    // The time the session spent elsewhere is not credited to its next emotion
+    if (timestamp !== null) session.markGap(timestamp);
+    person.session = session;
+    person.identityId = identityId;
+    person.candidate = null;
+    person.candidateFrames = 0;
+  }
+
+  // `detections` are { box, expressions, pose?, landmarks? } for every face
+  // found in the frame; a pose adds the attention feature
+  push(timestamp, detections) {
+    const { seen, missing, dropped } = this.tracker.update(timestamp, detections);
+    const faces = seen.map((track) => ({ ...track, features: track.features ?? poseFeatures(track.pose) }));
+
+    faces.forEach((track) => {
+      const person = this.people.get(track.id) ?? this.createPerson(track);
+      this.identify(person, track.descriptor, timestamp);
+      person.box = track.box;
+      person.pose = track.pose ?? null;
+      person.visible = true;
+      person.session.push(timestamp, track.expressions, track.features);
+    });
+    missing.forEach((track) => {
+      const person = this.people.get(track.id);
+      if (!person) return;
+      person.visible = false;
+      person.session.push(timestamp, null);
+    });
+    dropped.forEach((track) => {
+      this.people.delete(track.id);
+      this.emit('trackdropped', { id: track.id });
+    });
+
+    const expressions = meanExpressions(detections);
+    const features = meanFeatures(faces.map((f) => f.features));
+    this.aggregate.push(timestamp, expressions, features);
+    this.raw?.push(timestamp, expressions, features);
+    this.emit('frame', {
+      timestamp,
+      expressions,
+      dominant: expressions ? this.aggregate.dominant : null,
+      // The room's non-neutral percentages before and after the signal filter
+      percentages: expressions ? this.aggregate.percentages : null,
+      smoothed: expressions ? this.aggregate.smoothed : null,
+      state: this.aggregate.currentState,
+      rawState: this.raw ? this.raw.currentState : null,
+      features,
+      faces: faces.map(({ id, box, expressions: faceExpressions, features: faceFeatures, pose, landmarks }) => ({
+        id,
+        box,
+        expressions: faceExpressions,
+        features: faceFeatures,
+        pose: pose ?? null,
+        landmarks: landmarks ?? null,
+      })),
+    });
+    // Descriptors go out on their own event so they never reach recordings
+    this.emit('descriptors', {
+      timestamp,
+      faces: faces.filter((track) => track.descriptor).map(({ id, descriptor }) => ({ id, descriptor })),
+    });
+    this.emit('people', this.getPeople());
+    if (this.identities.length) this.emit('identities', this.getIdentities());
+    this.emit('roomstate', this.getRoomState());
+  }
+
+  // `reason` says why, e.g. a frame-quality issue such as 'dark'; null for pauses
+  markGap(timestamp, reason = null) {
+    this.aggregate.markGap(timestamp);
+    this.raw?.markGap(timestamp);
+    this.personSessions().forEach((session) => session.markGap(timestamp));
+    this.emit('gap', { timestamp, reason });
+  }
+
+  // User notes such as "started quiz"; recorded and drawn on the timeline
+  annotate(timestamp, text) {
+    this.emit('annotation', { timestamp, text });
+  }
+
+  reset() {
+    this.tracker.reset();
+    this.people.clear();
+    this.identified.clear();
+    this.aggregate.reset();
+    this.raw?.reset();
+    this.emit('people', []);
+    this.emit('identities', []);
+    this.emit('roomstate', this.getRoomState());
+  }
+
+  setStates(states) {
+    this.aggregate.setStates(states);
+    this.raw?.setStates(states);
+    this.personSessions().forEach((session) => session.setStates(states));
+  }
+
+  // New people pick up the filter too
+  setFilter(filter) {
+    this.sessionOptions = { ...this.sessionOptions, filter };
+    this.aggregate.setFilter(filter);
+    this.raw?.setFilter(filter);
+    this.personSessions().forEach((session) => session.setFilter(filter));
+  }
+
+  setMetric(metric) {
+    this.aggregate.setMetric(metric);
+    this.raw?.setMetric(metric);
+    this.personSessions().forEach((session) => session.setMetric(metric));
+  }
+
+  getPeople() {
+    return [...this.people.values()].map(({ id, box, pose, visible, session, identityId }) => ({
+      id,
+      box,
+      pose,
+      visible,
+      identityId,
+      name: identityId ? this.identified.get(identityId)?.name ?? null : null,
+      ...session.getSnapshot(),
+    }));
+  }
+
+  // Per-identity totals for everyone recognised so far, in view or not
+  getIdentities() {
+    const inView = new Map([...this.people.values()].filter((p) => p.identityId).map((p) => [p.identityId, p]));
+    return [...this.identified.entries()].map(([id, { name, session }]) => ({
+      id,
+      name,
+      inView: inView.has(id),
+      visible: inView.get(id)?.visible ?? false,
+      ...session.getSnapshot(),
+    }));
+  }
+
+  // Room state is the aggregate session's state; the distribution counts how
+  // many tracked people are currently in each state
+  getRoomState() {
+    const distribution = {};
+    this.people.forEach(({ session }) => {
+      distribution[session.currentState] = (distribution[session.currentState] ?? 0) + 1;
+    });
+    const known = Object.entries(distribution).filter(([state]) => state !== UNKNOWN_STATE && state !== NO_FACE_STATE);
+    known.sort((a, b) => b[1] - a[1]);
+    return {
+      state: this.aggregate.currentState,
+      majority: known[0]?.[0] ?? null,
+      distribution,
+      people: this.people.size,
+    };
+  }
+}
@@ -0,0 +1,87 @@
+import Emitter from './Emitter.js';
+
+// Whole-session series for the timeline chart, built from a RoomSession's
+// events. Times are seconds from the first event. Each frame keeps the
+// room-level expression vector and the non-neutral percentages before (`raw`)
+// and after (`filtered`) the signal filter; both are null across gaps and
+// frames without a face so lines break there. Also keeps contiguous state
+// segments and annotations. Emits 'change' after every update and 'reset'.
+export default class SessionTimeline extends Emitter {
+  constructor() {
+    super();
+    this.unsubscribers = [];
+    this.reset();
+  }
+
+  reset() {
+    this.origin = null;
+    this.points = [];
+    this.segments = [];
+    this.annotations = [];
+    this.latest = 0;
+    this.emit('reset');
+  }
+
+  attach(room) {
+    this.detach();
+    this.unsubscribers = [
+      room.on('frame', (frame) => this.addFrame(frame)),
+      room.on('gap', ({ timestamp }) => this.addGap(timestamp)),
+      room.on('annotation', (annotation) => this.addAnnotation(annotation)),
+      room.aggregate.on('reset', () => this.reset()),
+    ];
+  }
+
+  detach() {
+    this.unsubscribers.forEach((off) => off());
+    this.unsubscribers = [];
+  }
+
+  seconds(timestamp) {
+    if (this.origin === null) this.origin = timestamp;
+    const t = (timestamp - this.origin) / 1000;
+    this.latest = Math.max(this.latest, t);
+    return t;
+  }
+
+  addFrame({ timestamp, expressions, percentages = null, smoothed = null, state }) {
+    const t = this.seconds(timestamp);
+    this.points.push({ t, emotions: expressions, raw: percentages, filtered: smoothed });
+    // A band runs until the next state starts, or until a gap closes it
+    const last = this.segments[this.segments.length - 1];
+    if (last && !last.closed) last.end = t;
+    if (!last || last.closed || last.state !== state) this.segments.push({ state, start: t, end: t, closed: false });
+    this.emit('change');
+  }
+
+  // Breaks lines and state bands across a pause
+  addGap(timestamp) {
+    if (this.origin === null) return;
+    const t = this.seconds(timestamp);
+    this.points.push({ t, emotions: null, raw: null, filtered: null });
+    const last = this.segments[this.segments.length - 1];
+    if (last) last.closed = true;
+    this.emit('change');
+  }
+
+  addAnnotation({ timestamp, text }) {
+    this.annotations.push({ t: this.seconds(timestamp), text });
+    this.emit('change');
+  }
+
+  // Points with start <= t <= end, plus one either side so lines reach the edges
+  pointsBetween(start, end) {
+    const { points } = this;
+    let lo = 0;
+    let hi = points.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].t < start) lo = mid + 1;
+      else hi = mid;
+    }
+    const from = Math.max(0, lo - 1);
+    let to = from;
+    while (to < points.length && points[to].t <= end) to++;
+    return points.slice(from, Math.min(points.length, to + 1));
+  }
+}
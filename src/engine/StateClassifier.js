@@ -0,0 +1,176 @@
+export const UNKNOWN_STATE = 'Unknown';
+export const NO_FACE_STATE = 'No face';
+
+import { FEATURE_KEYS, isComparableKey } from './emotions.js';
+
+const EPSILON = 1e-6;
+
+function keysOf(actual, target) {
+  return Object.keys(target).filter((key) => isComparableKey(key, actual));
+}
+
+// Distance metrics between observed percentages and a state's targets.
+// `scale` is the softmax temperature that turns distances into confidences.
+export const DISTANCE_METRICS = {
+  l1: {
+    label: 'L1 (mean abs)',
+    scale: 5,
+    distance(actual, target) {
+      const keys = keysOf(actual, target);
+      if (!keys.length) return Infinity;
+      const total = keys.reduce((sum, key) => sum + Math.abs(target[key] - (actual[key] || 0)), 0);
+      return total / keys.length;
+    },
+  },
+  cosine: {
+    label: 'Cosine',
+    scale: 0.05,
+    distance(actual, target) {
+      const keys = keysOf(actual, target);
+      let dot = 0;
+      let normA = 0;
+      let normT = 0;
+      keys.forEach((key) => {
+        const a = actual[key] || 0;
+        const t = target[key];
+        dot += a * t;
+        normA += a * a;
+        normT += t * t;
+      });
+      if (normA === 0 || normT === 0) return 1;
+      return 1 - dot / Math.sqrt(normA * normT);
+    },
+  },
+  kl: {
+    label: 'KL divergence',
+    scale: 0.25,
+    // KL(actual || target) over the state's emotions, both renormalised, plus
+    // the absolute gap on each feature scaled to 0–1
+    distance(actual, target) {
+      const comparable = keysOf(actual, target);
+      const keys = comparable.filter((key) => !FEATURE_KEYS.includes(key));
+      const featurePenalty = comparable
+        .filter((key) => FEATURE_KEYS.includes(key))
+        .reduce((sum, key) => sum + Math.abs(target[key] - actual[key]) / 100, 0);
+      const sumA = keys.reduce((sum, key) => sum + (actual[key] || 0), 0) + EPSILON * keys.length;
+      const sumT = keys.reduce((sum, key) => sum + target[key], 0) + EPSILON * keys.length;
+      return keys.reduce((sum, key) => {
+        const p = ((actual[key] || 0) + EPSILON) / sumA;
+        const q = (target[key] + EPSILON) / sumT;
+        return sum + p * Math.log(p / q);
+      }, featurePenalty);
+    },
+  },
+};
+
+// Distance, softmax confidence and margin (how far ahead of the nearest rival,
+// in temperature units; negative for every state but the winner) per state
+export function scoreStates(percentages, states, metric = 'l1') {
+  const { distance, scale } = DISTANCE_METRICS[metric] ?? DISTANCE_METRICS.l1;
+  const distances = states.map((state) => distance(percentages, state.targetPercentages));
+  const finite = distances.filter(Number.isFinite);
+  if (!finite.length) return [];
+
+  const best = Math.min(...finite);
+  const weights = distances.map((d) => (Number.isFinite(d) ? Math.exp(-(d - best) / scale) : 0));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  return states.map((state, i) => {
+    const others = distances.filter((_, j) => j !== i && Number.isFinite(distances[j]));
+    const rival = others.length ? Math.min(...others) : Infinity;
+    return {
+      name: state.name,
+      distance: distances[i],
+      confidence: weights[i] / totalWeight,
+      margin: Number.isFinite(rival) ? (rival - distances[i]) / scale : Infinity,
+    };
+  });
+}
+
+// Turns a stream of smoothed percentages into a stable engagement state: a new
+// state must be the candidate for `dwellMs` before it replaces the current one,
+// and weak or missing evidence yields Unknown / No face instead of a guess.
+export default class StateClassifier {
+  constructor({
+    states = [],
+    metric = 'l1',
+    dwellMs = 2000,
+    minConfidence = 0.35,
+    minMargin = 0.1,
+    minEvidence = 0.05,
+    noFaceAfterMs = 1500,
+  } = {}) {
+    this.states = states;
+    this.metric = metric;
+    this.dwellMs = dwellMs;
+    this.minConfidence = minConfidence;
+    this.minMargin = minMargin;
+    this.minEvidence = minEvidence;
+    this.noFaceAfterMs = noFaceAfterMs;
+    this.reset();
+  }
+
+  reset() {
+    this.state = UNKNOWN_STATE;
+    this.pending = null;
+    this.lastFaceAt = null;
+    this.scores = [];
+  }
+
+  setStates(states) {
+    this.states = states;
+    this.reset();
+  }
+
+  setMetric(metric) {
+    if (!DISTANCE_METRICS[metric]) throw new Error(`Unknown distance metric "${metric}"`);
+    this.metric = metric;
+    this.pending = null;
+  }
+
+  // `percentages` is null when no face was detected; `evidence` is the share of
+  // the expression vector that is not neutral (0–1)
+  update(timestamp, percentages, evidence = 1) {
+    let candidate;
+    if (!percentages) {
+      this.scores = [];
+      const absentSince = this.lastFaceAt ?? timestamp;
+      if (this.lastFaceAt === null) this.lastFaceAt = timestamp;
+      candidate = timestamp - absentSince >= this.noFaceAfterMs ? NO_FACE_STATE : this.state;
+      // The no-face timeout already acts as the dwell for this transition
+      if (candidate === NO_FACE_STATE) return this.commit(candidate);
+    } else {
+      this.lastFaceAt = timestamp;
+      this.scores = scoreStates(percentages, this.states, this.metric);
+      const best = this.scores.reduce((a, b) => (b.confidence > (a?.confidence ?? -1) ? b : a), null);
+      const weak = !best || evidence < this.minEvidence || best.confidence < this.minConfidence || best.margin < this.minMargin;
+      candidate = weak ? UNKNOWN_STATE : best.name;
+    }
+
+    if (candidate === this.state) {
+      this.pending = null;
+      return this.result();
+    }
+    if (!this.pending || this.pending.state !== candidate) {
+      this.pending = { state: candidate, since: timestamp };
+    }
+    if (timestamp - this.pending.since >= this.dwellMs) return this.commit(candidate);
+    return this.result();
+  }
+
+  commit(state) {
+    this.state = state;
+    this.pending = null;
+    return this.result();
+  }
+
+  result() {
+    const current = this.scores.find((s) => s.name === this.state);
+    return {
+      state: this.state,
+      confidence: current?.confidence ?? 0,
+      pending: this.pending?.state ?? null,
+      scores: this.scores,
+    };
+  }
+}
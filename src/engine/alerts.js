@@ -0,0 +1,193 @@
+import Emitter from './Emitter.js';
+import { EMOTIONS, findEmotion } from './emotions.js';
+
+const STORAGE_KEY = 'faceTracker.alerts';
+
+export const CONDITION_TYPES = {
+  state: 'State is',
+  emotion: 'Emotion average',
+  noFace: 'No face',
+};
+
+export const ALERT_ACTIONS = {
+  toast: 'On-screen toast',
+  vibrate: 'Vibrate',
+  sound: 'Sound',
+  notification: 'Notification',
+};
+
+export function createRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+export function createRule(patch = {}) {
+  return {
+    id: createRuleId(),
+    enabled: true,
+    type: 'state',
+    state: '',
+    emotion: 'happy',
+    comparison: 'below',
+    threshold: 10,
+    forMs: 30000,
+    cooldownMs: 60000,
+    actions: ['toast'],
+    ...patch,
+  };
+}
+
+export const DEFAULT_ALERT_RULES = [
+  createRule({ id: 'rule-confused', type: 'state', state: 'Confused / Overloaded', forMs: 30000 }),
+  createRule({ id: 'rule-happy-low', type: 'emotion', emotion: 'happy', comparison: 'below', threshold: 10, forMs: 120000 }),
+  createRule({ id: 'rule-no-face', type: 'noFace', forMs: 20000 }),
+];
+
+function seconds(ms) {
+  return ms >= 60000 && ms % 60000 === 0 ? `${ms / 60000} min` : `${Math.round(ms / 1000)}s`;
+}
+
+export function describeRule(rule) {
+  const span = seconds(rule.forMs);
+  if (rule.type === 'noFace') return `No face for ${span}`;
+  if (rule.type === 'emotion') {
+    return `${findEmotion(rule.emotion)?.label ?? rule.emotion} ${rule.comparison} ${rule.threshold}% for ${span}`;
+  }
+  return `${rule.state || 'State'} for ${span}`;
+}
+
+// Returns a list of human-readable problems; empty when the rule is usable
+export function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['Rule must be an object'];
+  if (!CONDITION_TYPES[rule.type]) errors.push(`Unknown condition "${rule.type}"`);
+  if (rule.type === 'state' && !rule.state) errors.push('Choose a state');
+  if (rule.type === 'emotion') {
+    if (!EMOTIONS.some((e) => e.key === rule.emotion)) errors.push(`Unknown emotion "${rule.emotion}"`);
+    if (rule.comparison !== 'below' && rule.comparison !== 'above') errors.push('Comparison must be below or above');
+    if (!Number.isFinite(rule.threshold) || rule.threshold < 0 || rule.threshold > 100) errors.push('Threshold must be between 0 and 100');
+  }
+  if (!Number.isFinite(rule.forMs) || rule.forMs < 1000) errors.push('Duration must be at least 1 second');
+  if (!Number.isFinite(rule.cooldownMs) || rule.cooldownMs < 0) errors.push('Cooldown cannot be negative');
+  if (!Array.isArray(rule.actions) || rule.actions.some((a) => !ALERT_ACTIONS[a])) errors.push('Unknown action');
+  return errors;
+}
+
+// A saved rule that no longer validates (saved mid-edit, or by an older
+// version) is kept but switched off, so the editor can show what is wrong
+function restoreRule(rule) {
+  const errors = validateRule(rule);
+  if (!errors.length) return rule;
+  console.warn(`Alert rule ${rule?.id ?? ''} is invalid and has been disabled:`, errors.join('; '));
+  if (!rule || typeof rule !== 'object') return null;
+  return {
+    ...rule,
+    id: typeof rule.id === 'string' ? rule.id : createRuleId(),
+    actions: Array.isArray(rule.actions) ? rule.actions : [],
+    enabled: false,
+  };
+}
+
+export function loadAlertRules(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    if (!raw) return DEFAULT_ALERT_RULES;
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.map(restoreRule).filter(Boolean) : DEFAULT_ALERT_RULES;
+  } catch (err) {
+    console.warn('Could not load alert rules:', err);
+    return DEFAULT_ALERT_RULES;
+  }
+}
+
+export function saveAlertRules(rules, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(rules));
+  } catch (err) {
+    console.warn('Could not save alert rules:', err);
+  }
+}
+
+// Watches a RoomSession's frames and emits 'alert' { rule, message, timestamp }
+// when a rule's condition has held for its duration. State and no-face rules
+// need the condition on every frame; emotion rules compare the average over
+// the rule's window so a single noisy frame doesn't restart the clock. A rule
+// that keeps holding fires again once its cooldown has passed. Pauses restart
+// every clock.
+export default class AlertEngine extends Emitter {
+  constructor({ rules = [] } = {}) {
+    super();
+    this.unsubscribers = [];
+    this.samples = [];
+    this.progress = new Map();
+    this.setRules(rules);
+  }
+
+  setRules(rules) {
+    const previous = this.progress;
+    this.rules = rules;
+    // Keep clocks for rules that still exist so editing one doesn't reset all
+    this.progress = new Map(rules.map((r) => [r.id, previous.get(r.id) ?? { since: null, lastFired: null }]));
+    this.maxWindowMs = Math.max(0, ...rules.filter((r) => r.type === 'emotion').map((r) => r.forMs));
+  }
+
+  attach(room) {
+    this.detach();
+    this.unsubscribers = [
+      room.on('frame', (frame) => this.update(frame)),
+      room.on('gap', () => this.restart()),
+      room.aggregate.on('reset', () => this.restart()),
+    ];
+  }
+
+  detach() {
+    this.unsubscribers.forEach((off) => off());
+    this.unsubscribers = [];
+  }
+
+  restart() {
+    this.samples = [];
+    this.progress.forEach((p) => {
+      p.since = null;
+    });
+  }
+
+  // Mean expression share (0–100) over frames with a face in the last `windowMs`
+  average(emotion, timestamp, windowMs) {
+    const inWindow = this.samples.filter((s) => s.timestamp >= timestamp - windowMs && s.expressions);
+    if (!inWindow.length) return null;
+    return (inWindow.reduce((sum, s) => sum + (s.expressions[emotion] ?? 0), 0) / inWindow.length) * 100;
+  }
+
+  matches(rule, frame) {
+    if (rule.type === 'noFace') return !frame.expressions;
+    if (rule.type === 'state') return frame.state === rule.state;
+    if (!frame.expressions) return false;
+    const value = this.average(rule.emotion, frame.timestamp, rule.forMs);
+    if (value === null) return false;
+    return rule.comparison === 'below' ? value < rule.threshold : value > rule.threshold;
+  }
+
+  update(frame) {
+    const { timestamp } = frame;
+    this.samples.push({ timestamp, expressions: frame.expressions });
+    // Keep one sample at or past the longest window so coverage can be checked
+    while (this.samples.length > 1 && this.samples[1].timestamp <= timestamp - this.maxWindowMs) this.samples.shift();
+
+    this.rules.forEach((rule) => {
+      const progress = this.progress.get(rule.id);
+      if (!rule.enabled || !this.matches(rule, frame)) {
+        progress.since = null;
+        return;
+      }
+      // Emotion rules hold once there is a full window of history behind them
+      if (progress.since === null) progress.since = timestamp;
+      const start = rule.type === 'emotion' ? this.samples[0].timestamp : progress.since;
+      const held = timestamp - start >= rule.forMs;
+      const cooled = progress.lastFired === null || timestamp - progress.lastFired >= rule.cooldownMs;
+      if (held && cooled) {
+        progress.lastFired = timestamp;
+        this.emit('alert', { rule, message: describeRule(rule), timestamp });
+      }
+    });
+  }
+}
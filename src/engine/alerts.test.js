@@ -0,0 +1,22 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createRule, loadAlertRules, saveAlertRules, validateRule } from './alerts.js';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('loadAlertRules', () => {
+  it('keeps invalid saved rules, switched off, and says so', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const good = createRule({ id: 'good', state: 'Highly Engaged' });
+    const halfEdited = createRule({ id: 'half', type: 'emotion', threshold: 150 });
+    saveAlertRules([good, halfEdited, 'not a rule']);
+
+    const rules = loadAlertRules();
+    expect(rules.map((r) => r.id)).toEqual(['good', 'half']);
+    expect(rules[0]).toEqual(good);
+    expect(rules[1]).toMatchObject({ enabled: false, threshold: 150 });
+    expect(validateRule(rules[1])).toContain('Threshold must be between 0 and 100');
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+});
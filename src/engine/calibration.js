@@ -0,0 +1,155 @@
+import Emitter from './Emitter.js';
+import { EMOTIONS } from './emotions.js';
+
+const STORAGE_KEY = 'faceTracker.calibration';
+
+// Guided calibration: a resting face first, then optional prompted
+// expressions. The first `settleMs` of each step gives the user time to react
+// and is not sampled.
+export const CALIBRATION_STEPS = [
+  { key: 'rest', prompt: 'Relax and look at the camera', durationMs: 6000, settleMs: 1000 },
+  { key: 'happy', prompt: 'Give a big smile', durationMs: 4000, settleMs: 1500, optional: true },
+  { key: 'surprised', prompt: 'Look surprised', durationMs: 4000, settleMs: 1500, optional: true },
+];
+
+// Fewer frames than this in a step means no face was in view long enough
+const MIN_SAMPLES = 5;
+// Keeps a face at rest from reading as "no expression at all" once its
+// resting distribution is subtracted; the state is then scored from an even spread
+const FLOOR = 0.001;
+// Prompted peaks closer to rest than this are ignored as failed prompts
+const MIN_RANGE = 0.05;
+
+export function meanExpressionVector(samples) {
+  const mean = Object.fromEntries(EMOTIONS.map(({ key }) => [key, 0]));
+  samples.forEach((expressions) => {
+    EMOTIONS.forEach(({ key }) => {
+      mean[key] += (expressions[key] ?? 0) / samples.length;
+    });
+  });
+  return mean;
+}
+
+// `captured` maps step keys to lists of expression vectors. The baseline keeps
+// the mean resting vector, and for each prompted expression how far the user's
+// face actually goes, so that expression is scaled to its full range.
+export function createBaseline(captured, createdAt = new Date().toISOString()) {
+  if (!captured.rest?.length) throw new Error('No resting samples were captured');
+  const rest = meanExpressionVector(captured.rest);
+  const peaks = {};
+  Object.entries(captured).forEach(([key, samples]) => {
+    if (key === 'rest' || !samples.length) return;
+    const peak = meanExpressionVector(samples)[key];
+    if (peak - rest[key] >= MIN_RANGE) peaks[key] = peak;
+  });
+  return { createdAt, rest, peaks };
+}
+
+// Returns the expression vector relative to the user's resting face: each
+// non-neutral emotion becomes how far it is above rest, as a share of the
+// headroom left (up to the prompted peak where there is one), and neutral takes
+// whatever is left so the vector still sums to 1.
+export function applyBaseline(expressions, baseline) {
+  if (!expressions || !baseline) return expressions;
+  const adjusted = {};
+  let total = 0;
+  EMOTIONS.forEach(({ key }) => {
+    if (key === 'neutral') return;
+    const rest = baseline.rest[key] ?? 0;
+    const top = baseline.peaks?.[key] ?? 1;
+    const range = Math.max(top - rest, MIN_RANGE);
+    const value = Math.min(1, Math.max(FLOOR, ((expressions[key] ?? 0) - rest) / range));
+    adjusted[key] = value;
+    total += value;
+  });
+  // Scaled emotions can add up past 1; shrink them back to a distribution
+  if (total > 1) {
+    Object.keys(adjusted).forEach((key) => {
+      adjusted[key] /= total;
+    });
+    total = 1;
+  }
+  adjusted.neutral = 1 - total;
+  return adjusted;
+}
+
+export function isValidBaseline(baseline) {
+  if (!baseline || typeof baseline !== 'object' || !baseline.rest || typeof baseline.rest !== 'object') return false;
+  const numbers = [...Object.values(baseline.rest), ...Object.values(baseline.peaks ?? {})];
+  return numbers.every((n) => typeof n === 'number' && Number.isFinite(n) && n >= 0 && n <= 1);
+}
+
+// Runs the calibration steps against a RoomSession's frames, timed by the
+// frame timestamps so a paused camera simply holds the countdown. Emits
+// 'progress' ({ step, index, remainingMs, settling }), 'done' with the new
+// baseline and 'error' ({ message }) when a step saw too few faces.
+export class CalibrationRun extends Emitter {
+  constructor({ steps = CALIBRATION_STEPS, includePrompts = true } = {}) {
+    super();
+    this.steps = includePrompts ? steps : steps.filter((step) => !step.optional);
+    this.index = 0;
+    this.stepStart = null;
+    this.captured = {};
+    this.unsubscribe = null;
+  }
+
+  attach(room) {
+    this.detach();
+    this.unsubscribe = room.on('frame', (frame) => this.addFrame(frame));
+  }
+
+  detach() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  addFrame({ timestamp, faces, expressions }) {
+    const step = this.steps[this.index];
+    if (!step) return;
+    if (this.stepStart === null) this.stepStart = timestamp;
+    const elapsed = timestamp - this.stepStart;
+    const samples = this.captured[step.key] ?? (this.captured[step.key] = []);
+    // One face only, so another person walking past doesn't skew the baseline
+    if (elapsed >= step.settleMs && elapsed < step.durationMs && faces.length === 1 && expressions) samples.push(expressions);
+    this.emit('progress', { step, index: this.index, remainingMs: Math.max(0, step.durationMs - elapsed), settling: elapsed < step.settleMs });
+    if (elapsed < step.durationMs) return;
+
+    if (samples.length < MIN_SAMPLES) {
+      this.detach();
+      this.emit('error', { message: `Not enough frames with exactly one face during "${step.prompt}"` });
+      return;
+    }
+    this.index += 1;
+    this.stepStart = null;
+    if (this.index < this.steps.length) return;
+    this.detach();
+    this.emit('done', createBaseline(this.captured));
+  }
+}
+
+// `apply` switches the stored baseline on or off to compare against raw output
+export const DEFAULT_CALIBRATION_SETTINGS = {
+  apply: true,
+  includePrompts: true,
+  onSessionStart: false,
+};
+
+export function loadCalibrationSettings(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return Object.fromEntries(Object.entries(DEFAULT_CALIBRATION_SETTINGS)
+      .map(([key, fallback]) => [key, typeof parsed[key] === 'boolean' ? parsed[key] : fallback]));
+  } catch (err) {
+    console.warn('Could not load calibration settings:', err);
+    return { ...DEFAULT_CALIBRATION_SETTINGS };
+  }
+}
+
+export function saveCalibrationSettings(settings, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save calibration settings:', err);
+  }
+}
@@ -0,0 +1,189 @@
+export const EMOTIONS = [
+  { key: 'angry', label: 'Angry', emoji: '😠' },
+  { key: 'disgusted', label: 'Disgusted', emoji: '🤢' },
+  { key: 'fearful', label: 'Fearful', emoji: '😨' },
+  { key: 'happy', label: 'Happy', emoji: '😃' },
+  { key: 'neutral', label: 'Neutral', emoji: '😐' },
+  { key: 'sad', label: 'Sad', emoji: '😢' },
+  { key: 'surprised', label: 'Surprised', emoji: '😮' },
+];
+
+// Color mapping for emotions
+export const EMOTION_COLORS = {
+  angry: '#ef4444',
+  disgusted: '#10b981',
+  fearful: '#8b5cf6',
+  happy: '#f59e0b',
+  neutral: '#6b7280',
+  sad: '#3b82f6',
+  surprised: '#ec4899'
+};
+
+// Palette for engagement states, assigned by each state's position in its
+// profile; anything outside the profile (Unknown, No face) is grey
+export const STATE_COLORS = ['#6366f1', '#f59e0b', '#ec4899', '#3b82f6', '#ef4444', '#10b981', '#8b5cf6'];
+
+export function stateColor(index) {
+  return index >= 0 ? STATE_COLORS[index % STATE_COLORS.length] : '#6b7280';
+}
+
+// Non-emotion signals a state can also target, on the same 0–100 scale
+export const STATE_FEATURES = [
+  { key: 'attention', label: 'Attention', emoji: '👀' },
+];
+
+export const FEATURE_KEYS = STATE_FEATURES.map((f) => f.key);
+
+// Emotion state definitions (excluding neutral from calculations). Attention
+// only counts when landmarks are available to measure it.
+export const EMOTION_STATES = [
+  {
+    name: 'Highly Engaged',
+    targetPercentages: {
+      happy: 35,
+      surprised: 20,
+      fearful: 0,
+      angry: 0,
+      disgusted: 0,
+      sad: 0,
+      attention: 90
+    }
+  },
+  {
+    name: 'Constructively Struggling',
+    targetPercentages: {
+      happy: 15,
+      surprised: 10,
+      fearful: 10,
+      angry: 10,
+      disgusted: 0,
+      sad: 10,
+      attention: 80
+    }
+  },
+  {
+    name: 'Confused / Overloaded',
+    targetPercentages: {
+      happy: 5,
+      surprised: 15,
+      fearful: 15,
+      angry: 10,
+      disgusted: 5,
+      sad: 10,
+      attention: 70
+    }
+  },
+  {
+    name: 'Disengaged / Distracted',
+    targetPercentages: {
+      happy: 5,
+      surprised: 5,
+      fearful: 5,
+      angry: 5,
+      disgusted: 5,
+      sad: 20,
+      attention: 25
+    }
+  },
+  {
+    name: 'Actively Resistant',
+    targetPercentages: {
+      happy: 0,
+      surprised: 5,
+      fearful: 5,
+      angry: 40,
+      disgusted: 25,
+      sad: 10,
+      attention: 60
+    }
+  }
+];
+
+export function emptyEmotionMap() {
+  return Object.fromEntries(EMOTIONS.map((e) => [e.key, 0]));
+}
+
+export function findEmotion(key) {
+  return EMOTIONS.find((e) => e.key === key);
+}
+
+// Highest scoring expression, or null for an empty vector
+export function dominantEmotion(expressions) {
+  const entries = Object.entries(expressions || {});
+  if (!entries.length) return null;
+  entries.sort((a, b) => b[1] - a[1]);
+  const [key, score] = entries[0];
+  return { key, score };
+}
+
+// Helper function to calculate emotion percentages (excluding neutral)
+export function calculateEmotionPercentages(expressions) {
+  const { neutral, ...nonNeutralEmotions } = expressions;
+  const total = Object.values(nonNeutralEmotions).reduce((sum, val) => sum + val, 0);
+
+  if (total === 0) return {};
+
+  const percentages = {};
+  Object.keys(nonNeutralEmotions).forEach(emotion => {
+    percentages[emotion] = (nonNeutralEmotions[emotion] / total) * 100;
+  });
+
+  return percentages;
+}
+
+// Whether a state target can be scored against the observed values: neutral
+// never is, and features only when they were measured
+export function isComparableKey(key, observed) {
+  if (key === 'neutral') return false;
+  return !FEATURE_KEYS.includes(key) || observed[key] !== undefined;
+}
+
+// Helper function to detect current state based on emotion percentages
+export function detectCurrentState(emotionPercentages, states = EMOTION_STATES) {
+  if (Object.keys(emotionPercentages).length === 0) return '';
+
+  let bestMatch = { state: '', score: Infinity };
+
+  states.forEach(state => {
+    let totalDifference = 0;
+    let comparedEmotions = 0;
+
+    Object.keys(state.targetPercentages).filter(key => isComparableKey(key, emotionPercentages)).forEach(emotion => {
+      const target = state.targetPercentages[emotion];
+      const actual = emotionPercentages[emotion] || 0;
+      const difference = Math.abs(target - actual);
+      totalDifference += difference;
+      comparedEmotions++;
+    });
+
+    if (comparedEmotions > 0) {
+      const avgDifference = totalDifference / comparedEmotions;
+      if (avgDifference < bestMatch.score) {
+        bestMatch = { state: state.name, score: avgDifference };
+      }
+    }
+  });
+
+  return bestMatch.state;
+}
+
+// Emotion with the most detections, or null before anything was counted
+export function overallEmotion(counts) {
+  let maxKey = null;
+  let maxVal = -1;
+  for (const e of EMOTIONS) {
+    const v = counts[e.key] ?? 0;
+    if (v > maxVal) {
+      maxVal = v;
+      maxKey = e.key;
+    }
+  }
+  return maxVal > 0 ? maxKey : null;
+}
+
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateEmotionPercentages,
+  detectCurrentState,
+  dominantEmotion,
+  overallEmotion,
+  formatDuration,
+  emptyEmotionMap,
+} from './emotions.js';
+
+describe('calculateEmotionPercentages', () => {
+  it('shares 100% among the non-neutral expressions', () => {
+    const percentages = calculateEmotionPercentages({ neutral: 0.5, happy: 0.3, sad: 0.1, angry: 0.1 });
+    expect(percentages).not.toHaveProperty('neutral');
+    expect(percentages.happy).toBeCloseTo(60);
+    expect(percentages.sad).toBeCloseTo(20);
+    expect(percentages.angry).toBeCloseTo(20);
+  });
+
+  it('returns nothing for a purely neutral face', () => {
+    expect(calculateEmotionPercentages({ neutral: 1, happy: 0, sad: 0 })).toEqual({});
+  });
+});
+
+describe('detectCurrentState', () => {
+  it('picks the state with the closest targets', () => {
+    expect(detectCurrentState({ happy: 60, surprised: 30, sad: 5, angry: 5, fearful: 0, disgusted: 0 })).toBe('Highly Engaged');
+    expect(detectCurrentState({ angry: 50, disgusted: 30, sad: 10, surprised: 10, happy: 0, fearful: 0 })).toBe('Actively Resistant');
+  });
+
+  it('returns an empty state without percentages', () => {
+    expect(detectCurrentState({})).toBe('');
+  });
+
+  it('leaves attention out unless it was measured', () => {
+    const percentages = { sad: 30, happy: 20, surprised: 15, fearful: 10, angry: 15, disgusted: 10 };
+    expect(detectCurrentState(percentages)).toBe('Constructively Struggling');
+    expect(detectCurrentState({ ...percentages, attention: 20 })).toBe('Disengaged / Distracted');
+  });
+
+  it('scores against the states it is given', () => {
+    const states = [
+      { name: 'Only happy', targetPercentages: { happy: 100 } },
+      { name: 'Only sad', targetPercentages: { sad: 100 } },
+    ];
+    expect(detectCurrentState({ sad: 90, happy: 10 }, states)).toBe('Only sad');
+  });
+});
+
+describe('summaries', () => {
+  it('finds the top expression and the most counted emotion', () => {
+    expect(dominantEmotion({ happy: 0.2, sad: 0.7 })).toEqual({ key: 'sad', score: 0.7 });
+    expect(dominantEmotion({})).toBeNull();
+    expect(overallEmotion({ ...emptyEmotionMap(), happy: 3, sad: 5 })).toBe('sad');
+    expect(overallEmotion(emptyEmotionMap())).toBeNull();
+  });
+
+  it('formats durations as minutes and seconds', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(65_400)).toBe('1:05');
+  });
+});
@@ -0,0 +1,233 @@
+import { EMOTIONS } from './emotions.js';
+
+// Scoring for the evaluation harness: parses a labelled image set and turns
+// per-image predictions into precision/recall, a confusion matrix and
+// breakdowns by tag. Framework-free so it runs the same in Node.
+
+export const EMOTION_KEYS = EMOTIONS.map((e) => e.key);
+
+// Common dataset spellings (FER, AffectNet, CK+) mapped onto the model's keys
+const ALIASES = {
+  happiness: 'happy',
+  joy: 'happy',
+  sadness: 'sad',
+  anger: 'angry',
+  fear: 'fearful',
+  afraid: 'fearful',
+  disgust: 'disgusted',
+  surprise: 'surprised',
+  calm: 'neutral',
+};
+
+const FILE_COLUMNS = ['file', 'filename', 'image', 'path'];
+const LABEL_COLUMNS = ['emotion', 'label', 'expression'];
+
+export function normalizeEmotion(value) {
+  const key = String(value ?? '').trim().toLowerCase();
+  const emotion = ALIASES[key] ?? key;
+  return EMOTION_KEYS.includes(emotion) ? emotion : null;
+}
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+// Tags arrive as { lighting: 'dim' }, ['glasses'] or 'glasses;dim' and all
+// end up as { name: value } (bare tags get the value 'yes')
+function normalizeTags(tags) {
+  if (!tags) return {};
+  if (typeof tags === 'string') tags = tags.split(/[;|]/);
+  if (Array.isArray(tags)) {
+    return Object.fromEntries(tags.map((t) => String(t).trim()).filter(Boolean).map((t) => [t, 'yes']));
+  }
+  return Object.fromEntries(Object.entries(tags)
+    .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+    .map(([key, value]) => [key.trim(), String(value).trim()]));
+}
+
+// Accepts JSON ([{ file, emotion, tags }] or { "file.jpg": "happy" }) or CSV
+// with a header row: a file column, an emotion column, and every other column
+// taken as a tag. Returns { labels, errors }; bad rows are reported, not fatal.
+export function parseLabels(text, filename = '') {
+  const labels = [];
+  const errors = [];
+  const add = (file, emotion, tags, where) => {
+    const key = normalizeEmotion(emotion);
+    if (!file) errors.push(`${where}: missing file name`);
+    else if (!key) errors.push(`${where}: unknown emotion "${emotion}"`);
+    else labels.push({ file: String(file).trim(), emotion: key, tags: normalizeTags(tags) });
+  };
+
+  const trimmed = text.trim();
+  if (/\.json$/i.test(filename) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch {
+      throw new Error('Labels file is not valid JSON');
+    }
+    if (Array.isArray(parsed)) {
+      parsed.forEach((entry, i) => add(entry?.file ?? entry?.image, entry?.emotion ?? entry?.label, entry?.tags, `Entry ${i + 1}`));
+    } else if (parsed && typeof parsed === 'object') {
+      Object.entries(parsed).forEach(([file, value]) => {
+        if (value && typeof value === 'object') add(file, value.emotion ?? value.label, value.tags, file);
+        else add(file, value, null, file);
+      });
+    } else {
+      throw new Error('Labels JSON must be a list or an object');
+    }
+    return { labels, errors };
+  }
+
+  const [header, ...rows] = parseCsv(trimmed);
+  if (!header) throw new Error('Labels file is empty');
+  const columns = header.map((h) => h.trim());
+  const lower = columns.map((h) => h.toLowerCase());
+  const fileIndex = lower.findIndex((h) => FILE_COLUMNS.includes(h));
+  const labelIndex = lower.findIndex((h) => LABEL_COLUMNS.includes(h));
+  if (fileIndex < 0 || labelIndex < 0) throw new Error('Labels CSV needs a "file" and an "emotion" column');
+  rows.forEach((row, i) => {
+    const tags = {};
+    columns.forEach((name, c) => {
+      if (c !== fileIndex && c !== labelIndex) tags[name] = row[c];
+    });
+    add(row[fileIndex], row[labelIndex], tags, `Row ${i + 2}`);
+  });
+  return { labels, errors };
+}
+
+function ratio(part, whole) {
+  return whole ? part / whole : null;
+}
+
+function tally(results) {
+  const detected = results.filter((r) => r.predicted);
+  return {
+    total: results.length,
+    detected: detected.length,
+    errors: results.filter((r) => r.error).length,
+    correct: detected.filter((r) => r.predicted === r.expected).length,
+  };
+}
+
+function summarize(results) {
+  const { total, detected, errors, correct } = tally(results);
+  return {
+    total,
+    detected,
+    errors,
+    // Detector errors are failures too, so they count here as well as in `errors`
+    failureRate: ratio(total - detected, total),
+    // Accuracy counts only images where a face was found; failures are reported apart
+    accuracy: ratio(correct, detected),
+  };
+}
+
+// `results` are { file, expected, predicted (null when no face was found or
+// the detector failed), error (the failure's message, if any), tags }. Emotions whose recall is below `threshold` (0–1) are flagged, as
+// long as the set has at least `minSupport` detected images of them.
+export function evaluateResults(results, { threshold = 0.6, minSupport = 1 } = {}) {
+  const confusion = Object.fromEntries(EMOTION_KEYS.map((e) => [e, Object.fromEntries(EMOTION_KEYS.map((p) => [p, 0]))]));
+  const failures = Object.fromEntries(EMOTION_KEYS.map((e) => [e, 0]));
+  const errors = Object.fromEntries(EMOTION_KEYS.map((e) => [e, 0]));
+  results.forEach(({ expected, predicted, error }) => {
+    if (predicted) confusion[expected][predicted] += 1;
+    else if (error) errors[expected] += 1;
+    else failures[expected] += 1;
+  });
+
+  const perEmotion = {};
+  EMOTION_KEYS.forEach((key) => {
+    const tp = confusion[key][key];
+    const support = EMOTION_KEYS.reduce((sum, p) => sum + confusion[key][p], 0);
+    const predictedCount = EMOTION_KEYS.reduce((sum, e) => sum + confusion[e][key], 0);
+    const precision = ratio(tp, predictedCount);
+    const recall = ratio(tp, support);
+    perEmotion[key] = {
+      support,
+      failures: failures[key],
+      errors: errors[key],
+      tp,
+      fp: predictedCount - tp,
+      fn: support - tp,
+      precision,
+      recall,
+      f1: precision !== null && recall !== null && precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : null,
+    };
+  });
+
+  // One group per tag value, e.g. "lighting: dim", plus one per bare tag
+  const groups = new Map();
+  results.forEach((result) => {
+    Object.entries(result.tags ?? {}).forEach(([name, value]) => {
+      const label = value === 'yes' ? name : `${name}: ${value}`;
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(result);
+    });
+  });
+  const byTag = [...groups.entries()]
+    .map(([tag, members]) => ({ tag, ...summarize(members) }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+
+  const flagged = EMOTION_KEYS.filter((key) => perEmotion[key].support >= minSupport && perEmotion[key].recall < threshold);
+
+  return { threshold, ...summarize(results), perEmotion, confusion, byTag, flagged };
+}
+
+function percentCell(value) {
+  return value === null ? '' : (value * 100).toFixed(1);
+}
+
+// Spreadsheet-friendly report: the per-emotion table, then the confusion
+// matrix, then the tag breakdown, separated by blank lines
+export function evaluationToCsv(report) {
+  const lines = [
+    ['emotion', 'support', 'no_face', 'errors', 'precision_pct', 'recall_pct', 'f1_pct', 'flagged'],
+    ...EMOTION_KEYS.map((key) => {
+      const m = report.perEmotion[key];
+      return [key, m.support, m.failures, m.errors, percentCell(m.precision), percentCell(m.recall), percentCell(m.f1), report.flagged.includes(key) ? 1 : 0];
+    }),
+    [],
+    ['expected \\ predicted', ...EMOTION_KEYS],
+    ...EMOTION_KEYS.map((key) => [key, ...EMOTION_KEYS.map((p) => report.confusion[key][p])]),
+    [],
+    ['tag', 'images', 'faces_found', 'errors', 'failure_rate_pct', 'accuracy_pct'],
+    ...report.byTag.map((g) => [g.tag, g.total, g.detected, g.errors, percentCell(g.failureRate), percentCell(g.accuracy)]),
+  ];
+  return lines.map((row) => row.map((cell) => (/[",\n]/.test(String(cell)) ? `"${String(cell).replace(/"/g, '""')}"` : cell)).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateResults, evaluationToCsv } from './evaluation.js';
+
+describe('evaluateResults', () => {
+  it('counts detector errors as failures and reports them apart', () => {
+    const results = [
+      { file: 'a.jpg', expected: 'happy', predicted: 'happy', tags: { lighting: 'dim' } },
+      { file: 'b.jpg', expected: 'happy', predicted: null, tags: {} },
+      { file: 'c.jpg', expected: 'sad', predicted: null, error: 'Worker crashed', tags: { lighting: 'dim' } },
+      { file: 'd.jpg', expected: 'sad', predicted: null, error: 'Worker crashed', tags: {} },
+    ];
+    const report = evaluateResults(results);
+
+    expect(report).toMatchObject({ total: 4, detected: 1, errors: 2, failureRate: 0.75, accuracy: 1 });
+    expect(report.perEmotion.happy).toMatchObject({ failures: 1, errors: 0 });
+    expect(report.perEmotion.sad).toMatchObject({ failures: 0, errors: 2 });
+    expect(report.byTag).toEqual([expect.objectContaining({ tag: 'lighting: dim', total: 2, errors: 1, failureRate: 0.5 })]);
+
+    const csv = evaluationToCsv(report).split('\n');
+    expect(csv[0]).toBe('emotion,support,no_face,errors,precision_pct,recall_pct,f1_pct,flagged');
+    expect(csv).toContain('sad,0,0,2,,,,0');
+    expect(csv).toContain('lighting: dim,2,1,1,50.0,100.0');
+  });
+});
@@ -0,0 +1,213 @@
+const STORAGE_KEY = 'faceTracker.filter';
+
+// Signal filters for the emotion percentages and features a session scores.
+// All of them work from timestamps rather than sample counts, so the same
+// settings behave alike at 2 fps and 30 fps and across dropped frames.
+
+export const NOMINAL_INTERVAL_MS = 300;
+
+// Time constant equivalent to a per-sample EMA factor at `intervalMs`, for
+// callers that still pass `smoothingFactor`
+export function timeConstantForFactor(factor, intervalMs = NOMINAL_INTERVAL_MS) {
+  if (factor >= 1) return FILTER_PARAMS.timeConstantMs.min;
+  return Math.round(-intervalMs / Math.log(1 - factor));
+}
+
+// Tunable parameters per filter type, with the ranges the settings panel offers.
+// The time constant defaults to what the old per-detection factor of 0.1 gave
+// at the nominal detection interval.
+export const FILTER_PARAMS = {
+  timeConstantMs: { label: 'Time constant', unit: 'ms', min: 100, max: 10000, step: 100, default: timeConstantForFactor(0.1) },
+  windowMs: { label: 'Window', unit: 'ms', min: 200, max: 10000, step: 100, default: 3000 },
+  minCutoff: { label: 'Min cutoff', unit: 'Hz', min: 0.01, max: 5, step: 0.01, default: 0.3 },
+  beta: { label: 'Speed coefficient', unit: '', min: 0, max: 0.2, step: 0.001, default: 0.01 },
+  dCutoff: { label: 'Derivative cutoff', unit: 'Hz', min: 0.1, max: 5, step: 0.1, default: 1 },
+};
+
+export const FILTER_TYPES = {
+  none: { label: 'Off (raw)', params: [] },
+  ema: { label: 'Exponential moving average', params: ['timeConstantMs'] },
+  mean: { label: 'Sliding-window mean', params: ['windowMs'] },
+  median: { label: 'Sliding-window median', params: ['windowMs'] },
+  oneEuro: { label: 'One-Euro', params: ['minCutoff', 'beta', 'dCutoff'] },
+};
+
+export const DEFAULT_FILTER_CONFIG = {
+  type: 'ema',
+  ...Object.fromEntries(Object.entries(FILTER_PARAMS).map(([key, spec]) => [key, spec.default])),
+};
+
+// Falls back to defaults for anything unknown and clamps every parameter to its range
+export function normalizeFilterConfig(config = {}) {
+  const type = FILTER_TYPES[config.type] ? config.type : DEFAULT_FILTER_CONFIG.type;
+  const normalized = { type };
+  Object.entries(FILTER_PARAMS).forEach(([key, spec]) => {
+    const value = Number(config[key]);
+    normalized[key] = Number.isFinite(value) ? Math.min(spec.max, Math.max(spec.min, value)) : spec.default;
+  });
+  return normalized;
+}
+
+export class EmaFilter {
+  constructor({ timeConstantMs }) {
+    this.timeConstantMs = timeConstantMs;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.last = null;
+  }
+
+  filter(timestamp, value) {
+    if (this.value === null) {
+      this.value = value;
+    } else {
+      const dt = Math.max(0, timestamp - this.last);
+      this.value += (value - this.value) * (1 - Math.exp(-dt / this.timeConstantMs));
+    }
+    this.last = timestamp;
+    return this.value;
+  }
+}
+
+// Mean or median over the last `windowMs`. Each reading is weighted by the
+// time since the one before it, so a burst of fast frames counts no more than
+// one slow frame covering the same stretch.
+export class WindowFilter {
+  constructor({ windowMs, statistic = 'mean' }) {
+    this.windowMs = windowMs;
+    this.statistic = statistic;
+    this.reset();
+  }
+
+  reset() {
+    this.samples = [];
+    this.before = null;
+  }
+
+  filter(timestamp, value) {
+    this.samples.push({ timestamp, value });
+    const cutoff = timestamp - this.windowMs;
+    while (this.samples[0].timestamp < cutoff) this.before = this.samples.shift().timestamp;
+    const weighted = this.samples.map((sample, i) => {
+      const previous = i > 0 ? this.samples[i - 1].timestamp : this.before ?? sample.timestamp;
+      return { value: sample.value, weight: sample.timestamp - Math.max(previous, cutoff) };
+    });
+    const total = weighted.reduce((sum, w) => sum + w.weight, 0);
+    // Readings with no time between them (the very first ones) count equally
+    if (total <= 0) weighted.forEach((w) => { w.weight = 1; });
+    const totalWeight = total > 0 ? total : weighted.length;
+
+    if (this.statistic === 'mean') return weighted.reduce((sum, w) => sum + w.value * w.weight, 0) / totalWeight;
+    weighted.sort((a, b) => a.value - b.value);
+    let seen = 0;
+    for (const w of weighted) {
+      seen += w.weight;
+      if (seen >= totalWeight / 2) return w.value;
+    }
+    return weighted[weighted.length - 1].value;
+  }
+}
+
+function smoothingAlpha(cutoffHz, dtSeconds) {
+  const tau = 1 / (2 * Math.PI * cutoffHz);
+  return 1 / (1 + tau / dtSeconds);
+}
+
+// Casiez et al.'s One-Euro filter: heavy smoothing while the value holds
+// still, less lag when it moves quickly. `beta` sets how much speed (units
+// per second) opens the cutoff.
+export class OneEuroFilter {
+  constructor({ minCutoff, beta, dCutoff }) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.last = null;
+  }
+
+  filter(timestamp, value) {
+    if (this.value === null) {
+      this.value = value;
+      this.last = timestamp;
+      return value;
+    }
+    const dt = (timestamp - this.last) / 1000;
+    if (dt <= 0) return this.value;
+    const rawDerivative = (value - this.value) / dt;
+    this.derivative += (rawDerivative - this.derivative) * smoothingAlpha(this.dCutoff, dt);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    this.value += (value - this.value) * smoothingAlpha(cutoff, dt);
+    this.last = timestamp;
+    return this.value;
+  }
+}
+
+class PassThroughFilter {
+  reset() {}
+
+  filter(_timestamp, value) {
+    return value;
+  }
+}
+
+export function createFilter(config = DEFAULT_FILTER_CONFIG) {
+  const { type, ...params } = normalizeFilterConfig(config);
+  switch (type) {
+    case 'none':
+      return new PassThroughFilter();
+    case 'mean':
+    case 'median':
+      return new WindowFilter({ windowMs: params.windowMs, statistic: type });
+    case 'oneEuro':
+      return new OneEuroFilter(params);
+    default:
+      return new EmaFilter(params);
+  }
+}
+
+// One filter per key of a { key: number } map, created on first sight. Only
+// the keys in each sample are returned.
+export class VectorFilter {
+  constructor(config = DEFAULT_FILTER_CONFIG) {
+    this.config = config;
+    this.filters = new Map();
+  }
+
+  reset() {
+    this.filters.clear();
+  }
+
+  apply(timestamp, values) {
+    const filtered = {};
+    Object.entries(values ?? {}).forEach(([key, value]) => {
+      if (!this.filters.has(key)) this.filters.set(key, createFilter(this.config));
+      filtered[key] = this.filters.get(key).filter(timestamp, value);
+    });
+    return filtered;
+  }
+}
+
+export function loadFilterConfig(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return normalizeFilterConfig(raw ? JSON.parse(raw) : DEFAULT_FILTER_CONFIG);
+  } catch (err) {
+    console.warn('Could not load filter settings:', err);
+    return normalizeFilterConfig(DEFAULT_FILTER_CONFIG);
+  }
+}
+
+export function saveFilterConfig(config, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (err) {
+    console.warn('Could not save filter settings:', err);
+  }
+}
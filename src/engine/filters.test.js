@@ -0,0 +1,111 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  EmaFilter,
+  WindowFilter,
+  OneEuroFilter,
+  VectorFilter,
+  createFilter,
+  normalizeFilterConfig,
+  timeConstantForFactor,
+  loadFilterConfig,
+  saveFilterConfig,
+  DEFAULT_FILTER_CONFIG,
+} from './filters.js';
+
+// Feeds a step from 0 to 100 at `intervalMs` and returns the output `afterMs` in
+function stepResponse(filter, intervalMs, afterMs) {
+  filter.filter(0, 0);
+  let value = 0;
+  for (let t = intervalMs; t <= afterMs; t += intervalMs) value = filter.filter(t, 100);
+  return value;
+}
+
+describe('EmaFilter', () => {
+  it('reaches 63% of a step after one time constant', () => {
+    expect(stepResponse(new EmaFilter({ timeConstantMs: 1000 }), 100, 1000)).toBeCloseTo(63.2, 1);
+  });
+
+  it('behaves the same at any frame rate', () => {
+    const slow = stepResponse(new EmaFilter({ timeConstantMs: 1000 }), 500, 2000);
+    const fast = stepResponse(new EmaFilter({ timeConstantMs: 1000 }), 50, 2000);
+    expect(fast).toBeCloseTo(slow, 6);
+  });
+
+  it('matches the old per-sample factor at the nominal interval', () => {
+    const filter = new EmaFilter({ timeConstantMs: timeConstantForFactor(0.1) });
+    filter.filter(0, 0);
+    expect(filter.filter(300, 100)).toBeCloseTo(10, 1);
+  });
+
+  it('defaults to the old per-sample factor', () => {
+    expect(DEFAULT_FILTER_CONFIG.timeConstantMs).toBe(timeConstantForFactor(0.1));
+  });
+});
+
+describe('WindowFilter', () => {
+  it('averages over the window by time, not by sample count', () => {
+    const filter = new WindowFilter({ windowMs: 1000 });
+    filter.filter(0, 0);
+    // 900 ms of 0 followed by a burst of fast 100s covering 100 ms
+    filter.filter(900, 0);
+    [925, 950, 975].forEach((t) => filter.filter(t, 100));
+    expect(filter.filter(1000, 100)).toBeCloseTo(10);
+  });
+
+  it('drops readings older than the window', () => {
+    const filter = new WindowFilter({ windowMs: 500, statistic: 'median' });
+    [0, 100, 200].forEach((t) => filter.filter(t, 100));
+    [300, 400, 500, 600, 700, 800].forEach((t) => filter.filter(t, 0));
+    expect(filter.filter(900, 0)).toBe(0);
+  });
+
+  it('ignores a single outlier with the median', () => {
+    const filter = new WindowFilter({ windowMs: 1000, statistic: 'median' });
+    [0, 100, 200, 300].forEach((t) => filter.filter(t, 10));
+    expect(filter.filter(400, 90)).toBe(10);
+  });
+});
+
+describe('OneEuroFilter', () => {
+  it('holds a steady value and follows fast movement', () => {
+    const filter = new OneEuroFilter({ minCutoff: 0.3, beta: 0.05, dCutoff: 1 });
+    for (let t = 0; t <= 3000; t += 100) filter.filter(t, 20);
+    expect(filter.value).toBeCloseTo(20);
+    const slow = new OneEuroFilter({ minCutoff: 0.3, beta: 0, dCutoff: 1 });
+    for (let t = 0; t <= 3000; t += 100) slow.filter(t, 20);
+    expect(filter.filter(3100, 80)).toBeGreaterThan(slow.filter(3100, 80));
+  });
+});
+
+describe('configuration', () => {
+  it('clamps parameters and falls back for unknown types', () => {
+    const config = normalizeFilterConfig({ type: 'kalman', timeConstantMs: 1, windowMs: 'x' });
+    expect(config.type).toBe(DEFAULT_FILTER_CONFIG.type);
+    expect(config.timeConstantMs).toBe(100);
+    expect(config.windowMs).toBe(DEFAULT_FILTER_CONFIG.windowMs);
+  });
+
+  it('passes values straight through when off', () => {
+    const filter = createFilter({ type: 'none' });
+    filter.filter(0, 0);
+    expect(filter.filter(10, 42)).toBe(42);
+  });
+
+  it('filters each key of a vector independently', () => {
+    const vector = new VectorFilter({ type: 'mean', windowMs: 1000 });
+    vector.apply(0, { happy: 0, sad: 100 });
+    const out = vector.apply(1000, { happy: 100 });
+    expect(Object.keys(out)).toEqual(['happy']);
+    expect(out.happy).toBeCloseTo(100);
+  });
+
+  it('round-trips through storage and survives bad data', () => {
+    saveFilterConfig({ type: 'median', windowMs: 2000 });
+    expect(loadFilterConfig()).toMatchObject({ type: 'median', windowMs: 2000 });
+    localStorage.setItem('faceTracker.filter', '{');
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(loadFilterConfig()).toEqual(normalizeFilterConfig(DEFAULT_FILTER_CONFIG));
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,211 @@
+import Emitter from './Emitter.js';
+
+const STORAGE_KEY = 'faceTracker.quality';
+
+// Frame-quality checks: lighting, contrast, blur, face size and position, and
+// detection score. Poor frames are left out of the statistics (the room marks
+// a gap instead of scoring them) and the worst problem becomes a prompt.
+// Framework-free; the pixels come from media/frameSampler.js.
+
+// Brightness and contrast are 0–1 luma mean and standard deviation; sharpness
+// is the variance of the Laplacian on 0–255 luma; face size is the box height
+// as a share of the frame height
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  minBrightness: 0.2,
+  maxBrightness: 0.9,
+  minContrast: 0.05,
+  minSharpness: 15,
+  minFaceSize: 0.12,
+  maxFaceSize: 0.85,
+  edgeMargin: 0.01,
+  minScore: 0.55,
+};
+
+// In priority order: when a face has several problems, the first is shown
+export const QUALITY_ISSUES = {
+  dark: 'Too dark: turn on a light or face a window',
+  bright: 'Too bright: move out of direct light',
+  contrast: 'Face is washed out or backlit: light it from the front',
+  offscreen: 'Face is partly off-screen: move to the middle',
+  far: 'Move closer to the camera',
+  near: 'Move back a little',
+  blur: 'Image is blurry: hold still or clean the lens',
+  occluded: 'Face is partly hidden: keep hands and hair clear',
+};
+
+// Rec. 601 luma, one byte per pixel
+export function lumaFromRgba(data, width, height) {
+  const luma = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    luma[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  return luma;
+}
+
+// Stats over a region of a sample ({ width, height, luma }); `region` is in
+// sample pixels and is clipped to the sample. Null when nothing is left.
+export function regionStats({ width, height, luma }, region = { x: 0, y: 0, width, height }) {
+  const x0 = Math.max(0, Math.floor(region.x));
+  const y0 = Math.max(0, Math.floor(region.y));
+  const x1 = Math.min(width, Math.ceil(region.x + region.width));
+  const y1 = Math.min(height, Math.ceil(region.y + region.height));
+  if (x1 - x0 < 3 || y1 - y0 < 3) return null;
+
+  let sum = 0;
+  let sumSq = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const v = luma[y * width + x];
+      sum += v;
+      sumSq += v * v;
+    }
+  }
+  const count = (x1 - x0) * (y1 - y0);
+  const mean = sum / count;
+
+  // 4-neighbour Laplacian over the interior; its variance falls as edges soften
+  let lapSum = 0;
+  let lapSq = 0;
+  let lapCount = 0;
+  for (let y = y0 + 1; y < y1 - 1; y++) {
+    for (let x = x0 + 1; x < x1 - 1; x++) {
+      const i = y * width + x;
+      const lap = luma[i - 1] + luma[i + 1] + luma[i - width] + luma[i + width] - 4 * luma[i];
+      lapSum += lap;
+      lapSq += lap * lap;
+      lapCount += 1;
+    }
+  }
+  const lapMean = lapSum / lapCount;
+
+  return {
+    brightness: mean / 255,
+    contrast: Math.sqrt(Math.max(0, sumSq / count - mean * mean)) / 255,
+    sharpness: lapSq / lapCount - lapMean * lapMean,
+  };
+}
+
+function lightingIssues(stats, t) {
+  const issues = [];
+  if (stats.brightness < t.minBrightness) issues.push('dark');
+  else if (stats.brightness > t.maxBrightness) issues.push('bright');
+  else if (stats.contrast < t.minContrast) issues.push('contrast');
+  return issues;
+}
+
+// Measures one detected face against the thresholds; `box` is in frame pixels
+export function assessFace(sample, { box, score }, thresholds = DEFAULT_QUALITY_THRESHOLDS) {
+  const t = { ...DEFAULT_QUALITY_THRESHOLDS, ...thresholds };
+  const { frameWidth, frameHeight, scale } = sample;
+  const region = { x: box.x * scale, y: box.y * scale, width: box.width * scale, height: box.height * scale };
+  const stats = regionStats(sample, region);
+  const size = box.height / frameHeight;
+  const margin = t.edgeMargin * Math.max(frameWidth, frameHeight);
+  const offscreen = box.x < margin || box.y < margin
+    || box.x + box.width > frameWidth - margin || box.y + box.height > frameHeight - margin;
+
+  const issues = stats ? lightingIssues(stats, t) : [];
+  if (offscreen) issues.push('offscreen');
+  if (size < t.minFaceSize) issues.push('far');
+  else if (size > t.maxFaceSize) issues.push('near');
+  // Blur is judged only on faces big enough to have detail to lose
+  if (stats && size >= t.minFaceSize && stats.sharpness < t.minSharpness) issues.push('blur');
+  if (typeof score === 'number' && score < t.minScore) issues.push('occluded');
+
+  const ordered = Object.keys(QUALITY_ISSUES).filter((key) => issues.includes(key));
+  return { ...(stats ?? {}), size, score: score ?? null, issues: ordered };
+}
+
+// Splits a frame's detections into usable and poor faces. The frame is
+// unusable when every face is poor, or when there is no face and the frame
+// itself is too dark, bright or flat to have shown one; a plain empty room is
+// still usable (it scores as "no face"). `issue` is the one to prompt about.
+export function assessFrame(sample, detections, thresholds = DEFAULT_QUALITY_THRESHOLDS) {
+  const t = { ...DEFAULT_QUALITY_THRESHOLDS, ...thresholds };
+  if (!detections.length) {
+    const stats = regionStats(sample);
+    const issues = stats ? lightingIssues(stats, t) : [];
+    return { usable: issues.length === 0, issue: issues[0] ?? null, detections, faces: [], frame: stats };
+  }
+
+  const faces = detections.map((detection) => ({ detection, quality: assessFace(sample, detection, t) }));
+  const good = faces.filter(({ quality }) => quality.issues.length === 0).map(({ detection }) => detection);
+  // Prompt about the largest poor face, usually the person at the device
+  const poor = faces
+    .filter(({ quality }) => quality.issues.length > 0)
+    .sort((a, b) => b.quality.size - a.quality.size)[0];
+  return {
+    usable: good.length > 0,
+    issue: poor?.quality.issues[0] ?? null,
+    detections: good,
+    faces: faces.map(({ quality }) => quality),
+    frame: null,
+  };
+}
+
+// Turns per-frame assessments into a steady prompt: an issue has to persist
+// for `holdMs` before it is shown, and be gone as long before it clears.
+// Also counts excluded frames. Emits 'issue' with the key (or null) on change.
+export class QualityMonitor extends Emitter {
+  constructor({ holdMs = 1000 } = {}) {
+    super();
+    this.holdMs = holdMs;
+    this.reset();
+  }
+
+  reset() {
+    this.issue = null;
+    this.pending = null;
+    this.pendingSince = null;
+    this.frames = 0;
+    this.excluded = 0;
+    this.emit('issue', null);
+  }
+
+  update(timestamp, assessment) {
+    this.frames += 1;
+    if (!assessment.usable) this.excluded += 1;
+    const next = assessment.issue;
+    if (next === this.issue) {
+      this.pending = null;
+      this.pendingSince = null;
+      return;
+    }
+    if (this.pendingSince === null || next !== this.pending) {
+      this.pending = next;
+      this.pendingSince = timestamp;
+    }
+    if (timestamp - this.pendingSince < this.holdMs) return;
+    this.issue = next;
+    this.pending = null;
+    this.pendingSince = null;
+    this.emit('issue', next);
+  }
+}
+
+// `prompts` only controls the on-screen guidance; poor frames are excluded
+// whenever `enabled` is on
+export const DEFAULT_QUALITY_SETTINGS = {
+  enabled: true,
+  prompts: true,
+};
+
+export function loadQualitySettings(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return Object.fromEntries(Object.entries(DEFAULT_QUALITY_SETTINGS)
+      .map(([key, fallback]) => [key, typeof parsed[key] === 'boolean' ? parsed[key] : fallback]));
+  } catch (err) {
+    console.warn('Could not load frame-quality settings:', err);
+    return { ...DEFAULT_QUALITY_SETTINGS };
+  }
+}
+
+export function saveQualitySettings(settings, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save frame-quality settings:', err);
+  }
+}
@@ -0,0 +1,56 @@
+// Box helpers shared by the tracker and the video overlays. Boxes are
+// { x, y, width, height } in source video pixels.
+
+export function iou(a, b) {
+  const x1 = Math.max(a.x, b.x);
+  const y1 = Math.max(a.y, b.y);
+  const x2 = Math.min(a.x + a.width, b.x + b.width);
+  const y2 = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+export function centroid(box) {
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+// Centroid distance in units of the boxes' mean diagonal, so it is scale-free
+export function normalizedCentroidDistance(a, b) {
+  const ca = centroid(a);
+  const cb = centroid(b);
+  const diagonal = (Math.hypot(a.width, a.height) + Math.hypot(b.width, b.height)) / 2;
+  return diagonal > 0 ? Math.hypot(ca.x - cb.x, ca.y - cb.y) / diagonal : Infinity;
+}
+
+// Scale and offset of a video rendered with `objectFit: cover` in its element
+function coverTransform(videoSize, displaySize) {
+  const { width: vw, height: vh } = videoSize;
+  const { width: dw, height: dh } = displaySize;
+  if (!vw || !vh || !dw || !dh) return null;
+  const scale = Math.max(dw / vw, dh / vh);
+  return { scale, offsetX: (dw - vw * scale) / 2, offsetY: (dh - vh * scale) / 2, width: dw };
+}
+
+// Maps a box from video pixels to the element box of a video rendered with
+// `objectFit: cover`, optionally mirrored like the selfie preview
+export function videoToDisplayBox(box, videoSize, displaySize, mirrored = true) {
+  const t = coverTransform(videoSize, displaySize);
+  if (!t) return null;
+  const x = t.offsetX + box.x * t.scale;
+  const width = box.width * t.scale;
+  return {
+    x: mirrored ? t.width - x - width : x,
+    y: t.offsetY + box.y * t.scale,
+    width,
+    height: box.height * t.scale,
+  };
+}
+
+// Same mapping for a single point, e.g. a landmark
+export function videoToDisplayPoint(point, videoSize, displaySize, mirrored = true) {
+  const t = coverTransform(videoSize, displaySize);
+  if (!t) return null;
+  const x = t.offsetX + point.x * t.scale;
+  return { x: mirrored ? t.width - x : x, y: t.offsetY + point.y * t.scale };
+}
@@ -0,0 +1,72 @@
+// Head pose and attention cues from the 68-point landmark layout
+// (iBUG 300-W indices: jaw 0–16, nose 27–35, eyes 36–47, mouth 48–67).
+// Angles are rough geometric estimates, good enough to tell "facing the
+// screen" from "looking away" without a 3D model.
+
+const RIGHT_EYE = [36, 37, 38, 39, 40, 41];
+const LEFT_EYE = [42, 43, 44, 45, 46, 47];
+const NOSE_TIP = 30;
+const CHIN = 8;
+
+// Vertical nose position between the eye line and chin when facing forward
+const NEUTRAL_NOSE_RATIO = 0.42;
+// Eye aspect ratio below which an eye is treated as closed
+const CLOSED_EAR = 0.18;
+const OPEN_EAR = 0.3;
+
+export const GAZE_LIMITS = { yaw: 25, pitch: 20 };
+
+function mid(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function dist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Eye aspect ratio: eyelid gap over eye width
+function eyeAspectRatio(points, [p1, p2, p3, p4, p5, p6]) {
+  const width = dist(points[p1], points[p4]);
+  if (!width) return 0;
+  return (dist(points[p2], points[p6]) + dist(points[p3], points[p5])) / (2 * width);
+}
+
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+// `points` are 68 { x, y } landmarks in video pixels (as seen by the camera,
+// not mirrored). Returns null for anything that isn't a 68-point set.
+export function estimateHeadPose(points) {
+  if (!Array.isArray(points) || points.length !== 68) return null;
+  const rightEyeOuter = points[36];
+  const leftEyeOuter = points[45];
+  const eyeMid = mid(rightEyeOuter, leftEyeOuter);
+  const eyeDistance = dist(rightEyeOuter, leftEyeOuter);
+  if (!eyeDistance) return null;
+
+  const nose = points[NOSE_TIP];
+  // The nose tip drifts sideways from the eye midpoint as the head turns
+  const yaw = toDegrees(Math.asin(clamp((2 * (nose.x - eyeMid.x)) / eyeDistance, -1, 1)));
+  const faceHeight = points[CHIN].y - eyeMid.y;
+  const noseRatio = faceHeight > 0 ? (nose.y - eyeMid.y) / faceHeight : NEUTRAL_NOSE_RATIO;
+  const pitch = clamp((noseRatio - NEUTRAL_NOSE_RATIO) * 180, -90, 90);
+  const roll = toDegrees(Math.atan2(leftEyeOuter.y - rightEyeOuter.y, leftEyeOuter.x - rightEyeOuter.x));
+
+  const ear = (eyeAspectRatio(points, RIGHT_EYE) + eyeAspectRatio(points, LEFT_EYE)) / 2;
+  const eyeOpenness = clamp((ear - CLOSED_EAR) / (OPEN_EAR - CLOSED_EAR), 0, 1);
+  const gazeAway = Math.abs(yaw) > GAZE_LIMITS.yaw || Math.abs(pitch) > GAZE_LIMITS.pitch;
+
+  // 1 when facing the screen with open eyes, falling off as the head turns
+  const facing = 1 - clamp(Math.max(Math.abs(yaw) / (GAZE_LIMITS.yaw * 2), Math.abs(pitch) / (GAZE_LIMITS.pitch * 2)), 0, 1);
+  const attention = facing * (0.3 + 0.7 * eyeOpenness);
+
+  return { yaw, pitch, roll, eyeOpenness, gazeAway, attention };
+}
+
+// State features derived from a pose, on the 0–100 scale state targets use
+export function poseFeatures(pose) {
+  return pose ? { attention: pose.attention * 100 } : null;
+}
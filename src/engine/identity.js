@@ -0,0 +1,162 @@
+import Emitter from './Emitter.js';
+
+const STORAGE_KEY = 'faceTracker.identities';
+
+export const DESCRIPTOR_LENGTH = 128;
+
+// Euclidean distance between face descriptors; face-api's FaceMatcher uses
+// 0.6 by default, lower is stricter
+export const DEFAULT_MATCH_THRESHOLD = 0.55;
+export const MIN_MATCH_THRESHOLD = 0.3;
+export const MAX_MATCH_THRESHOLD = 0.8;
+
+// Enrolment keeps a handful of descriptors from different frames, so small
+// changes in pose and lighting still match
+export const ENROLMENT_SAMPLES = 8;
+const ENROLMENT_TIMEOUT_MS = 20000;
+// Frames closer together than this add little variety
+const ENROLMENT_SPACING_MS = 250;
+
+export function isValidDescriptor(descriptor) {
+  return Array.isArray(descriptor)
+    && descriptor.length === DESCRIPTOR_LENGTH
+    && descriptor.every((n) => typeof n === 'number' && Number.isFinite(n));
+}
+
+export function descriptorDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum);
+}
+
+// The enrolled identity nearest to `descriptor`, as { id, name, distance },
+// or null when none is within `threshold`. Each identity scores by its
+// closest enrolled sample.
+export function matchDescriptor(descriptor, identities, threshold = DEFAULT_MATCH_THRESHOLD) {
+  if (!descriptor) return null;
+  let best = null;
+  identities.forEach(({ id, name, descriptors }) => {
+    descriptors.forEach((sample) => {
+      const distance = descriptorDistance(descriptor, sample);
+      if (distance <= threshold && (!best || distance < best.distance)) best = { id, name, distance };
+    });
+  });
+  return best;
+}
+
+export function createIdentityId() {
+  return `identity-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// Stand-in name for pseudonymous enrolment, e.g. "Student 4"
+export function nextPseudonym(identities) {
+  const taken = new Set(identities.map((identity) => identity.name));
+  let n = identities.length + 1;
+  while (taken.has(`Student ${n}`)) n += 1;
+  return `Student ${n}`;
+}
+
+// Four decimals is well below the distances that matter and keeps the stored
+// entry small
+export function createIdentity(name, descriptors, createdAt = new Date().toISOString()) {
+  return {
+    id: createIdentityId(),
+    name: name.trim(),
+    createdAt,
+    descriptors: descriptors.map((d) => d.map((n) => Math.round(n * 1e4) / 1e4)),
+  };
+}
+
+function normalizeThreshold(value) {
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold)) return DEFAULT_MATCH_THRESHOLD;
+  return Math.min(MAX_MATCH_THRESHOLD, Math.max(MIN_MATCH_THRESHOLD, threshold));
+}
+
+// Drops anything malformed so a stale entry can't break matching
+export function normalizeIdentityStore(store = {}) {
+  const identities = Array.isArray(store.identities) ? store.identities : [];
+  return {
+    threshold: normalizeThreshold(store.threshold),
+    identities: identities
+      .filter((identity) => identity && typeof identity.id === 'string' && typeof identity.name === 'string' && identity.name.trim())
+      .map((identity) => ({
+        id: identity.id,
+        name: identity.name.trim(),
+        createdAt: identity.createdAt ?? null,
+        descriptors: Array.isArray(identity.descriptors) ? identity.descriptors.filter(isValidDescriptor) : [],
+      }))
+      .filter((identity) => identity.descriptors.length > 0),
+  };
+}
+
+// Descriptors live only in this browser's localStorage and are never
+// exported, recorded or sent to a classroom relay
+export function loadIdentityStore(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return normalizeIdentityStore(raw ? JSON.parse(raw) : {});
+  } catch (err) {
+    console.warn('Could not load enrolled faces:', err);
+    return normalizeIdentityStore();
+  }
+}
+
+export function saveIdentityStore(store, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch (err) {
+    console.warn('Could not save enrolled faces:', err);
+  }
+}
+
+export function wipeIdentityStore(storage = globalThis.localStorage) {
+  try {
+    storage?.removeItem(STORAGE_KEY);
+  } catch (err) {
+    console.warn('Could not delete enrolled faces:', err);
+  }
+}
+
+// Collects descriptors for one new identity from a RoomSession's
+// 'descriptors' events, only while exactly one face is in view. Emits
+// 'progress' ({ count, total }), 'done' with the descriptors and 'error'
+// ({ message }) when too few were captured in time.
+export class EnrolmentRun extends Emitter {
+  constructor({ samples = ENROLMENT_SAMPLES, timeoutMs = ENROLMENT_TIMEOUT_MS } = {}) {
+    super();
+    this.samples = samples;
+    this.timeoutMs = timeoutMs;
+    this.startedAt = null;
+    this.lastSampleAt = null;
+    this.descriptors = [];
+    this.unsubscribe = null;
+  }
+
+  attach(room) {
+    this.detach();
+    this.unsubscribe = room.on('descriptors', (event) => this.addFaces(event));
+  }
+
+  detach() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  addFaces({ timestamp, faces }) {
+    if (this.startedAt === null) this.startedAt = timestamp;
+    const spaced = this.lastSampleAt === null || timestamp - this.lastSampleAt >= ENROLMENT_SPACING_MS;
+    if (faces.length === 1 && spaced) {
+      this.descriptors.push(faces[0].descriptor);
+      this.lastSampleAt = timestamp;
+      this.emit('progress', { count: this.descriptors.length, total: this.samples });
+    }
+    if (this.descriptors.length >= this.samples) {
+      this.detach();
+      this.emit('done', this.descriptors);
+    } else if (timestamp - this.startedAt > this.timeoutMs) {
+      this.detach();
+      this.emit('error', { message: 'Not enough frames with exactly one face' });
+    }
+  }
+}
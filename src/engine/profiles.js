@@ -0,0 +1,128 @@
+import { EMOTIONS, EMOTION_STATES, FEATURE_KEYS } from './emotions.js';
+import { isValidBaseline } from './calibration.js';
+
+const STORAGE_KEY = 'faceTracker.profiles';
+
+// Emotions a state can target (neutral is excluded from state calculations)
+export const STATE_EMOTION_KEYS = EMOTIONS.map((e) => e.key).filter((key) => key !== 'neutral');
+
+// Everything a state may target; feature targets are optional per state
+export const STATE_TARGET_KEYS = [...STATE_EMOTION_KEYS, ...FEATURE_KEYS];
+
+export const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  states: EMOTION_STATES,
+};
+
+export function createProfileId() {
+  return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+export function createState(name = 'New State') {
+  return {
+    name,
+    targetPercentages: Object.fromEntries(STATE_EMOTION_KEYS.map((key) => [key, 0])),
+  };
+}
+
+// Returns a list of human-readable problems; empty when the profile is usable
+export function validateProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object') return ['Profile must be an object'];
+  if (typeof profile.name !== 'string' || !profile.name.trim()) errors.push('Profile name is required');
+  if (!Array.isArray(profile.states) || profile.states.length === 0) {
+    errors.push('Profile needs at least one state');
+    return errors;
+  }
+
+  const seen = new Set();
+  profile.states.forEach((state, i) => {
+    const label = state?.name?.trim() || `State ${i + 1}`;
+    if (typeof state?.name !== 'string' || !state.name.trim()) errors.push(`State ${i + 1} needs a name`);
+    else if (seen.has(state.name.trim())) errors.push(`Duplicate state name "${label}"`);
+    else seen.add(state.name.trim());
+
+    const targets = state?.targetPercentages;
+    if (!targets || typeof targets !== 'object') {
+      errors.push(`${label}: target percentages are missing`);
+      return;
+    }
+    Object.entries(targets).forEach(([key, value]) => {
+      if (!STATE_TARGET_KEYS.includes(key)) errors.push(`${label}: unknown target "${key}"`);
+      else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100) {
+        errors.push(`${label}: ${key} must be between 0 and 100`);
+      }
+    });
+    if (Object.keys(targets).length === 0) errors.push(`${label}: needs at least one target`);
+  });
+
+  return errors;
+}
+
+// A damaged baseline is dropped rather than losing the whole profile
+function normalizeProfile(profile) {
+  return {
+    id: profile.id || createProfileId(),
+    name: profile.name.trim(),
+    states: profile.states.map((state) => ({
+      name: state.name.trim(),
+      targetPercentages: { ...state.targetPercentages },
+    })),
+    baseline: isValidBaseline(profile.baseline) ? profile.baseline : null,
+  };
+}
+
+// The default profile's states always come from the code, so changes to
+// EMOTION_STATES reach everyone; only its calibration baseline is stored
+function restoreDefaultProfile(stored) {
+  return { ...DEFAULT_PROFILE, baseline: isValidBaseline(stored?.baseline) ? stored.baseline : null };
+}
+
+export function loadProfiles(storage = globalThis.localStorage) {
+  const fallback = { activeId: DEFAULT_PROFILE.id, profiles: [DEFAULT_PROFILE] };
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    if (!raw) return fallback;
+    const parsed = JSON.parse(raw);
+    const stored = Array.isArray(parsed.profiles) ? parsed.profiles : [];
+    const profiles = stored
+      .filter((p) => p?.id !== DEFAULT_PROFILE.id && validateProfile(p).length === 0)
+      .map(normalizeProfile);
+    profiles.unshift(restoreDefaultProfile(stored.find((p) => p?.id === DEFAULT_PROFILE.id)));
+    const activeId = profiles.some((p) => p.id === parsed.activeId) ? parsed.activeId : DEFAULT_PROFILE.id;
+    return { activeId, profiles };
+  } catch (err) {
+    console.warn('Could not load state profiles:', err);
+    return fallback;
+  }
+}
+
+// The default profile is stored as just its baseline; see restoreDefaultProfile
+export function saveProfiles({ activeId, profiles }, storage = globalThis.localStorage) {
+  const stored = profiles.map((p) => (p.id === DEFAULT_PROFILE.id ? { id: p.id, baseline: p.baseline ?? null } : p));
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify({ activeId, profiles: stored }));
+  } catch (err) {
+    console.warn('Could not save state profiles:', err);
+  }
+}
+
+// The calibration baseline belongs to whoever calibrated, so it isn't shared
+export function exportProfile(profile) {
+  const { name, states } = profile;
+  return JSON.stringify({ name, states }, null, 2);
+}
+
+// Parses an exported profile and assigns it a fresh id; throws on invalid input
+export function importProfile(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  const errors = validateProfile(parsed);
+  if (errors.length) throw new Error(errors.join('; '));
+  return normalizeProfile({ ...parsed, id: createProfileId() });
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_PROFILE, createState, loadProfiles, saveProfiles } from './profiles.js';
+
+const baseline = { rest: { happy: 0.1, sad: 0.05 }, peaks: { happy: 0.9 } };
+
+describe('loadProfiles', () => {
+  it('rebuilds the default profile from the code, keeping only its baseline', () => {
+    const staleDefault = { id: 'default', name: 'Default', states: [createState('Old State')], baseline };
+    const custom = { id: 'custom', name: 'Lecture', states: [createState('Listening')], baseline: null };
+    localStorage.setItem('faceTracker.profiles', JSON.stringify({ activeId: 'default', profiles: [custom, staleDefault] }));
+
+    const { activeId, profiles } = loadProfiles();
+    expect(activeId).toBe('default');
+    expect(profiles.map((p) => p.id)).toEqual(['default', 'custom']);
+    expect(profiles[0]).toEqual({ ...DEFAULT_PROFILE, baseline });
+    expect(profiles[1].states.map((s) => s.name)).toEqual(['Listening']);
+  });
+});
+
+describe('saveProfiles', () => {
+  it('stores only the baseline of the default profile', () => {
+    const custom = { id: 'custom', name: 'Lecture', states: [createState('Listening')], baseline: null };
+    saveProfiles({ activeId: 'default', profiles: [{ ...DEFAULT_PROFILE, baseline }, custom] });
+
+    const stored = JSON.parse(localStorage.getItem('faceTracker.profiles'));
+    expect(stored.profiles).toEqual([{ id: 'default', baseline }, custom]);
+    expect(loadProfiles().profiles[0]).toEqual({ ...DEFAULT_PROFILE, baseline });
+  });
+});
@@ -0,0 +1,171 @@
+import { EMOTIONS, FEATURE_KEYS } from './emotions.js';
+import { isValidBaseline } from './calibration.js';
+import { normalizeFilterConfig } from './filters.js';
+import { DISTANCE_METRICS } from './StateClassifier.js';
+
+export const RECORDING_VERSION = 1;
+
+// Keeps every frame, pause gap, annotation and state transition a RoomSession produces, with
+// times relative to the first event so recordings replay from zero
+export class SessionRecorder {
+  constructor({ id = null, name = '', states = null, baseline = null, filter = null, metric = null } = {}) {
+    this.id = id;
+    this.name = name;
+    this.states = states;
+    // The calibration baseline, signal filter and distance metric in use, so
+    // replays score the same way
+    this.baseline = baseline;
+    this.filter = filter;
+    this.metric = metric;
+    this.unsubscribers = [];
+    this.clear();
+  }
+
+  clear() {
+    this.startedAt = new Date().toISOString();
+    this.origin = null;
+    this.samples = [];
+    this.transitions = [];
+    this.annotations = [];
+  }
+
+  // Begin a fresh recording under a new identity
+  start({ id = null, name = '' } = {}) {
+    this.id = id;
+    this.name = name;
+    this.clear();
+  }
+
+  relative(timestamp) {
+    if (this.origin === null) this.origin = timestamp;
+    return Math.round(timestamp - this.origin);
+  }
+
+  attach(room) {
+    this.detach();
+    this.unsubscribers = [
+      room.on('frame', (frame) => this.recordFrame(frame)),
+      room.on('gap', ({ timestamp, reason }) => this.recordGap(timestamp, reason)),
+      room.on('annotation', ({ timestamp, text }) => this.annotations.push({ t: this.relative(timestamp), text })),
+      room.aggregate.on('statechange', (change) => this.recordTransition(change)),
+    ];
+  }
+
+  detach() {
+    this.unsubscribers.forEach((off) => off());
+    this.unsubscribers = [];
+  }
+
+  // Landmarks are not kept; the derived features are enough to replay states
+  recordFrame({ timestamp, expressions, features, dominant, state, faces }) {
+    this.samples.push({
+      t: this.relative(timestamp),
+      expressions: expressions ? { ...expressions } : null,
+      features: features ? { ...features } : null,
+      dominant: dominant ? { ...dominant } : null,
+      state,
+      faces: faces.map(({ id, box, expressions: faceExpressions, features: faceFeatures }) => ({
+        id,
+        box: { ...box },
+        expressions: { ...faceExpressions },
+        features: faceFeatures ? { ...faceFeatures } : null,
+      })),
+    });
+  }
+
+  recordGap(timestamp, reason = null) {
+    // A gap before the first frame carries no information
+    if (this.origin === null) return;
+    this.samples.push(reason ? { t: this.relative(timestamp), gap: true, reason } : { t: this.relative(timestamp), gap: true });
+  }
+
+  recordTransition({ state, previous, confidence, timestamp }) {
+    this.transitions.push({ t: this.relative(timestamp), state, previous, confidence });
+  }
+
+  toRecording() {
+    const last = this.samples[this.samples.length - 1];
+    return {
+      version: RECORDING_VERSION,
+      id: this.id,
+      name: this.name,
+      startedAt: this.startedAt,
+      durationMs: last ? last.t : 0,
+      states: this.states,
+      baseline: this.baseline,
+      filter: this.filter,
+      metric: this.metric,
+      samples: this.samples,
+      transitions: this.transitions,
+      annotations: this.annotations,
+    };
+  }
+}
+
+export function recordingToJson(recording) {
+  return JSON.stringify(recording);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per frame with the room-level expression vector; gaps are rows with
+// only the time and a `gap` flag so pauses survive a round trip through a sheet
+export function recordingToCsv(recording) {
+  const header = ['t_ms', 'gap', 'faces', 'dominant', 'dominant_score', 'state', ...EMOTIONS.map((e) => e.key), ...FEATURE_KEYS];
+  const rows = recording.samples.map((sample) => {
+    if (sample.gap) return [sample.t, 1];
+    return [
+      sample.t,
+      0,
+      sample.faces.length,
+      sample.dominant?.key,
+      sample.dominant?.score?.toFixed(4),
+      sample.state,
+      ...EMOTIONS.map((e) => (sample.expressions ? sample.expressions[e.key]?.toFixed(4) : '')),
+      ...FEATURE_KEYS.map((key) => sample.features?.[key]?.toFixed(1)),
+    ];
+  });
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Parses an exported JSON recording; throws with a readable message when the
+// file is not one
+export function parseRecording(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.samples)) {
+    throw new Error('File is not a session recording');
+  }
+  if (parsed.version > RECORDING_VERSION) {
+    throw new Error(`Recording version ${parsed.version} is newer than this app supports`);
+  }
+  const samples = parsed.samples
+    .filter((s) => s && Number.isFinite(s.t))
+    .map((s) => {
+      if (!s.gap) return { ...s, faces: Array.isArray(s.faces) ? s.faces : [] };
+      return typeof s.reason === 'string' ? { t: s.t, gap: true, reason: s.reason } : { t: s.t, gap: true };
+    })
+    .sort((a, b) => a.t - b.t);
+  const last = samples[samples.length - 1];
+  return {
+    ...parsed,
+    samples,
+    transitions: Array.isArray(parsed.transitions) ? parsed.transitions : [],
+    annotations: Array.isArray(parsed.annotations)
+      ? parsed.annotations.filter((a) => a && Number.isFinite(a.t) && typeof a.text === 'string').sort((a, b) => a.t - b.t)
+      : [],
+    baseline: isValidBaseline(parsed.baseline) ? parsed.baseline : null,
+    // Older recordings have neither; replays then use the current settings
+    filter: parsed.filter && typeof parsed.filter === 'object' ? normalizeFilterConfig(parsed.filter) : null,
+    metric: DISTANCE_METRICS[parsed.metric] ? parsed.metric : null,
+    durationMs: last ? last.t : 0,
+  };
+}
@@ -0,0 +1,72 @@
+import { emptyEmotionMap, overallEmotion } from './emotions.js';
+
+// Longest unbroken run per key; a run ends when the key changes or at a gap
+function createStreaks() {
+  const longest = {};
+  let current = null;
+  return {
+    longest,
+    add(key, delta) {
+      if (!key) {
+        current = null;
+        return;
+      }
+      if (current?.key === key) current.ms += delta;
+      else current = { key, ms: delta };
+      longest[key] = Math.max(longest[key] ?? 0, current.ms);
+    },
+    break() {
+      current = null;
+    },
+  };
+}
+
+// Totals for a recording, credited the same way EmotionSession does live: each
+// frame's time since the previous frame goes to that frame's dominant emotion
+// and state, and pause gaps are never credited.
+export function summarizeRecording(recording) {
+  const counts = emptyEmotionMap();
+  const emotionDurationsMs = emptyEmotionMap();
+  const stateDurationsMs = {};
+  const emotionStreaks = createStreaks();
+  const stateStreaks = createStreaks();
+  let facePresentMs = 0;
+  let faceAbsentMs = 0;
+  let prevT = null;
+
+  recording.samples.forEach((sample) => {
+    if (sample.gap) {
+      prevT = sample.t;
+      emotionStreaks.break();
+      stateStreaks.break();
+      return;
+    }
+    const delta = prevT === null ? 0 : Math.max(0, sample.t - prevT);
+    prevT = sample.t;
+
+    if (sample.dominant) {
+      counts[sample.dominant.key] = (counts[sample.dominant.key] ?? 0) + 1;
+      emotionDurationsMs[sample.dominant.key] = (emotionDurationsMs[sample.dominant.key] ?? 0) + delta;
+    }
+    emotionStreaks.add(sample.dominant?.key, delta);
+    if (sample.state) stateDurationsMs[sample.state] = (stateDurationsMs[sample.state] ?? 0) + delta;
+    stateStreaks.add(sample.state, delta);
+    if (sample.faces?.length || sample.expressions) facePresentMs += delta;
+    else faceAbsentMs += delta;
+  });
+
+  return {
+    durationMs: recording.durationMs,
+    activeMs: facePresentMs + faceAbsentMs,
+    facePresentMs,
+    faceAbsentMs,
+    counts,
+    emotionDurationsMs,
+    stateDurationsMs,
+    longestEmotionStreakMs: emotionStreaks.longest,
+    longestStateStreakMs: stateStreaks.longest,
+    overallKey: overallEmotion(counts),
+    transitions: recording.transitions.length,
+    annotations: recording.annotations?.length ?? 0,
+  };
+}
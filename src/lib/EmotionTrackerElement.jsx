@@ -0,0 +1,158 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import App from '../App.jsx';
+import { validateProfile } from '../engine/profiles.js';
+import { bridgeRoomEvents } from './events.js';
+
+function parseJson(name, value) {
+  if (value === null || value === '') return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.warn(`<emotion-tracker>: ignoring "${name}", it is not valid JSON`);
+    return null;
+  }
+}
+
+function checkProfile(profile) {
+  if (!profile) return null;
+  const errors = validateProfile(profile);
+  if (!errors.length) return { id: 'embedded', ...profile };
+  console.warn(`<emotion-tracker>: ignoring profile: ${errors.join('; ')}`);
+  return null;
+}
+
+function checkSmoothing(value) {
+  const n = Number(value);
+  return value !== null && value !== '' && n > 0 && n <= 1 ? n : undefined;
+}
+
+// Attribute → how it is read. Every attribute also has a property of the
+// camel-cased name that accepts the parsed value directly.
+const ATTRIBUTES = {
+  'models-path': { prop: 'modelsPath', parse: (v) => v || undefined },
+  'wasm-path': { prop: 'wasmPath', parse: (v) => v || undefined },
+  detector: { prop: 'detector', parse: (v) => parseJson('detector', v) },
+  'detector-options': { prop: 'detectorOptions', parse: (v) => parseJson('detector-options', v) },
+  profile: { prop: 'profile', parse: (v) => parseJson('profile', v) },
+  smoothing: { prop: 'smoothing', parse: (v) => v },
+  chrome: { prop: 'chrome', parse: (v) => v !== null },
+};
+
+// <emotion-tracker> renders the tracker into its shadow root. Methods
+// start(), pause() and reset() match the Pause/Resume and Reset buttons, and
+// it fires bubbling `emotion`, `statechange` and `facelost` events (see
+// events.js for their detail). Model paths, detector and smoothing are read
+// when the tracker starts; changing them later restarts it.
+export default class EmotionTrackerElement extends HTMLElement {
+  static get observedAttributes() {
+    return Object.keys(ATTRIBUTES);
+  }
+
+  constructor() {
+    super();
+    this.config = {};
+    this.handle = null;
+    this.unbridge = null;
+    this.root = null;
+    this.refCallback = (handle) => this.setHandle(handle);
+    this.profileSource = null;
+    this.checkedProfile = null;
+  }
+
+  connectedCallback() {
+    if (!this.root) {
+      const mount = document.createElement('div');
+      mount.style.height = '100%';
+      (this.shadowRoot ?? this.attachShadow({ mode: 'open' })).replaceChildren(mount);
+      this.root = createRoot(mount);
+    }
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+    this.setHandle(null);
+  }
+
+  attributeChangedCallback(name, _previous, value) {
+    const { prop, parse } = ATTRIBUTES[name];
+    this.config[prop] = parse(value);
+    this.render();
+  }
+
+  start() {
+    this.handle?.start();
+  }
+
+  pause() {
+    this.handle?.pause();
+  }
+
+  reset() {
+    this.handle?.reset();
+  }
+
+  get running() {
+    return this.handle?.isRunning() ?? false;
+  }
+
+  // The tracker's RoomSession, for embedders who want more than the DOM events
+  get room() {
+    return this.handle?.room ?? null;
+  }
+
+  setHandle(handle) {
+    if (handle === this.handle) return;
+    this.unbridge?.();
+    this.unbridge = null;
+    this.handle = handle;
+    if (handle) {
+      this.unbridge = bridgeRoomEvents(handle.room, (type, detail) => {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+      });
+    }
+  }
+
+  render() {
+    if (!this.root) return;
+    const { modelsPath, wasmPath, detector, detectorOptions, profile, smoothing, chrome } = this.config;
+    const detectorConfig = detector || detectorOptions
+      ? { ...detector, options: { ...detector?.options, ...detectorOptions } }
+      : null;
+    const smoothingFactor = checkSmoothing(smoothing);
+    // Validated once per value so the tracker isn't handed a new profile every render
+    if (profile !== this.profileSource) {
+      this.profileSource = profile;
+      this.checkedProfile = checkProfile(profile);
+    }
+    // These are only read on startup, so a change remounts the tracker
+    const key = JSON.stringify([modelsPath, wasmPath, detectorConfig, smoothingFactor]);
+    this.root.render(
+      <App
+        key={key}
+        ref={this.refCallback}
+        modelUrl={modelsPath}
+        wasmUrl={wasmPath}
+        detectorConfig={detectorConfig}
+        profile={this.checkedProfile}
+        smoothingFactor={smoothingFactor}
+        chrome={Boolean(chrome)}
+        standalone={false}
+      />,
+    );
+  }
+}
+
+Object.values(ATTRIBUTES).forEach(({ prop }) => {
+  Object.defineProperty(EmotionTrackerElement.prototype, prop, {
+    get() {
+      return this.config[prop];
+    },
+    set(value) {
+      this.config[prop] = value;
+      this.render();
+    },
+  });
+});
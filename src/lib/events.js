@@ -0,0 +1,22 @@
+// Maps a RoomSession's events onto the widget's public events:
+//   emotion     every frame with a face: { timestamp, dominant, expressions, state, faces }
+//   statechange the room state changed: { state, previous, confidence, timestamp }
+//   facelost    the last face left the frame: { timestamp }
+// Returns an unsubscribe function.
+export function bridgeRoomEvents(room, dispatch) {
+  let hadFace = false;
+  const unsubscribers = [
+    room.on('frame', ({ timestamp, expressions, dominant, state, faces }) => {
+      if (faces.length) {
+        dispatch('emotion', { timestamp, dominant, expressions, state, faces: faces.length });
+      } else if (hadFace) {
+        dispatch('facelost', { timestamp });
+      }
+      hadFace = faces.length > 0;
+    }),
+    room.aggregate.on('statechange', ({ state, previous, confidence, timestamp }) => {
+      dispatch('statechange', { state, previous, confidence, timestamp });
+    }),
+  ];
+  return () => unsubscribers.forEach((off) => off());
+}
@@ -0,0 +1,21 @@
+// Library entry (built by `npm run build:lib` into dist-lib/). Importing it
+// registers <emotion-tracker>; the headless engine is exported too for apps
+// that bring their own UI.
+import EmotionTrackerElement from './EmotionTrackerElement.jsx';
+
+// Safe to call more than once, e.g. when two bundles include the library
+export function defineEmotionTracker() {
+  if (!customElements.get('emotion-tracker')) customElements.define('emotion-tracker', EmotionTrackerElement);
+  return customElements.get('emotion-tracker');
+}
+
+defineEmotionTracker();
+
+export { EmotionTrackerElement };
+export { bridgeRoomEvents } from './events.js';
+export { default as RoomSession } from '../engine/RoomSession.js';
+export { default as EmotionSession } from '../engine/EmotionSession.js';
+export { DEFAULT_PROFILE, validateProfile } from '../engine/profiles.js';
+export { EMOTIONS, EMOTION_STATES } from '../engine/emotions.js';
+export { createDetector } from '../detection/detectors.js';
+export { DEFAULT_DETECTOR_CONFIG } from '../detection/faceapiDetect.js';
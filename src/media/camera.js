@@ -0,0 +1,135 @@
+// Camera discovery, constraints and getUserMedia error classification
+
+const STORAGE_KEY = 'faceTracker.camera';
+
+export const RESOLUTIONS = {
+  auto: { label: 'Auto' },
+  '480p': { label: '640 × 480', width: 640, height: 480 },
+  '720p': { label: '1280 × 720', width: 1280, height: 720 },
+  '1080p': { label: '1920 × 1080', width: 1920, height: 1080 },
+};
+
+export const FRAME_RATES = [null, 15, 24, 30];
+
+// An empty deviceId means "the default front camera"
+export const DEFAULT_CAMERA_SETTINGS = { deviceId: '', resolution: 'auto', frameRate: null };
+
+// `kind` is one of insecure, unsupported, denied, notfound, inuse,
+// constraints or unknown; the UI picks its guidance from it
+export class CameraError extends Error {
+  constructor(kind, message) {
+    super(message);
+    this.name = 'CameraError';
+    this.kind = kind;
+  }
+}
+
+export function classifyCameraError(err) {
+  if (err instanceof CameraError) return err;
+  switch (err?.name) {
+    case 'NotAllowedError':
+    case 'PermissionDeniedError':
+    case 'SecurityError':
+      return new CameraError('denied', 'Camera permission was denied');
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+      return new CameraError('notfound', 'No camera was found');
+    case 'NotReadableError':
+    case 'TrackStartError':
+    case 'AbortError':
+      return new CameraError('inuse', 'The camera could not be started; it may be in use by another app');
+    case 'OverconstrainedError':
+    case 'ConstraintNotSatisfiedError':
+      return new CameraError('constraints', `The camera does not support the selected ${err.constraint || 'settings'}`);
+    default:
+      return new CameraError('unknown', err?.message || 'The camera could not be started');
+  }
+}
+
+function facingFromLabel(label) {
+  if (/front|user|face|selfie/i.test(label)) return 'front';
+  if (/back|rear|environment|world/i.test(label)) return 'back';
+  return 'external';
+}
+
+// Labels are empty until camera permission has been granted once
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((d) => d.kind === 'videoinput')
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}`, facing: facingFromLabel(d.label) }));
+}
+
+export function buildConstraints({ deviceId, resolution, frameRate } = DEFAULT_CAMERA_SETTINGS) {
+  const video = deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' };
+  const size = RESOLUTIONS[resolution];
+  if (size?.width) {
+    video.width = { ideal: size.width };
+    video.height = { ideal: size.height };
+  }
+  if (frameRate) video.frameRate = { ideal: frameRate };
+  return { video, audio: false };
+}
+
+export async function openCamera(settings = DEFAULT_CAMERA_SETTINGS) {
+  if (typeof window !== 'undefined' && window.isSecureContext === false) {
+    throw new CameraError('insecure', 'Camera access needs HTTPS or localhost');
+  }
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new CameraError('unsupported', 'This browser does not support camera access');
+  }
+  try {
+    return await navigator.mediaDevices.getUserMedia(buildConstraints(settings));
+  } catch (err) {
+    throw classifyCameraError(err);
+  }
+}
+
+// Opens the saved camera, or the default front camera when the saved one is
+// gone: unplugged, or its id rotated by the browser. Resolves to { stream,
+// settings, fallback } with the settings that actually opened.
+export async function openCameraWithFallback(settings = DEFAULT_CAMERA_SETTINGS) {
+  try {
+    return { stream: await openCamera(settings), settings, fallback: false };
+  } catch (err) {
+    if (!settings.deviceId || (err.kind !== 'notfound' && err.kind !== 'constraints')) throw err;
+    const fallback = { ...settings, deviceId: DEFAULT_CAMERA_SETTINGS.deviceId };
+    return { stream: await openCamera(fallback), settings: fallback, fallback: true };
+  }
+}
+
+export function stopStream(stream) {
+  stream?.getTracks().forEach((t) => t.stop());
+}
+
+// Only selfie-style cameras are shown mirrored
+export function isMirrored(track) {
+  return track?.getSettings?.().facingMode !== 'environment';
+}
+
+export function normalizeCameraSettings(settings = {}) {
+  return {
+    deviceId: typeof settings.deviceId === 'string' ? settings.deviceId : '',
+    resolution: RESOLUTIONS[settings.resolution] ? settings.resolution : DEFAULT_CAMERA_SETTINGS.resolution,
+    frameRate: FRAME_RATES.includes(settings.frameRate) ? settings.frameRate : null,
+  };
+}
+
+export function loadCameraSettings(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return normalizeCameraSettings(raw ? JSON.parse(raw) : DEFAULT_CAMERA_SETTINGS);
+  } catch (err) {
+    console.warn('Could not load camera settings:', err);
+    return { ...DEFAULT_CAMERA_SETTINGS };
+  }
+}
+
+export function saveCameraSettings(settings, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save camera settings:', err);
+  }
+}
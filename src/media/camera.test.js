@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { openCameraWithFallback } from './camera.js';
+import { fakeStream } from '../test/setup.js';
+
+function mediaError(name) {
+  return Object.assign(new Error(name), { name });
+}
+
+describe('openCameraWithFallback', () => {
+  it('opens the saved camera when it is there', async () => {
+    const opened = await openCameraWithFallback({ deviceId: 'usb-cam', resolution: 'auto', frameRate: null });
+    expect(opened.fallback).toBe(false);
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenLastCalledWith(
+      expect.objectContaining({ video: expect.objectContaining({ deviceId: { exact: 'usb-cam' } }) }),
+    );
+  });
+
+  it.each(['OverconstrainedError', 'NotFoundError'])('falls back to the front camera on %s', async (name) => {
+    navigator.mediaDevices.getUserMedia
+      .mockRejectedValueOnce(mediaError(name))
+      .mockResolvedValueOnce(fakeStream());
+    const opened = await openCameraWithFallback({ deviceId: 'gone', resolution: '720p', frameRate: null });
+
+    expect(opened.fallback).toBe(true);
+    expect(opened.settings).toEqual({ deviceId: '', resolution: '720p', frameRate: null });
+    expect(navigator.mediaDevices.getUserMedia).toHaveBeenLastCalledWith(
+      expect.objectContaining({ video: expect.objectContaining({ facingMode: 'user' }) }),
+    );
+  });
+
+  it('does not retry other failures or the default camera', async () => {
+    navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(mediaError('NotAllowedError'));
+    await expect(openCameraWithFallback({ deviceId: 'usb-cam', resolution: 'auto', frameRate: null }))
+      .rejects.toMatchObject({ kind: 'denied' });
+
+    navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(mediaError('NotFoundError'));
+    const calls = navigator.mediaDevices.getUserMedia.mock.calls.length;
+    await expect(openCameraWithFallback({ deviceId: '', resolution: 'auto', frameRate: null }))
+      .rejects.toMatchObject({ kind: 'notfound' });
+    expect(navigator.mediaDevices.getUserMedia.mock.calls.length).toBe(calls + 1);
+  });
+});
@@ -0,0 +1,33 @@
+import { lumaFromRgba } from '../engine/frameQuality.js';
+
+// Grabs a downscaled grayscale copy of the current video frame for the
+// frame-quality checks. Taken when the frame goes to the detector, so the
+// face boxes that come back line up with it.
+export default class FrameSampler {
+  constructor({ width = 320 } = {}) {
+    this.width = width;
+    this.canvas = null;
+    this.context = null;
+  }
+
+  // Returns the sample as { width, height, luma, scale, frameWidth,
+  // frameHeight }, or null before the video has any frames
+  capture(video) {
+    const { videoWidth, videoHeight } = video;
+    if (!videoWidth || !videoHeight) return null;
+    const scale = Math.min(1, this.width / videoWidth);
+    const width = Math.round(videoWidth * scale);
+    const height = Math.round(videoHeight * scale);
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+      this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    this.context.drawImage(video, 0, 0, width, height);
+    const { data } = this.context.getImageData(0, 0, width, height);
+    return { width, height, luma: lumaFromRgba(data, width, height), scale, frameWidth: videoWidth, frameHeight: videoHeight };
+  }
+}
@@ -0,0 +1,52 @@
+// Google Analytics, loaded only after the user opts in and only when a
+// measurement ID was set at build time. Only the coarse events below can be
+// sent, with whitelisted primitive parameters; frames, expressions, states and
+// session names never reach this module.
+
+const GA_ID = import.meta.env.VITE_GA_MEASUREMENT_ID;
+
+const EVENTS = {
+  session_started: [],
+  session_stopped: ['duration_min'],
+  report_opened: [],
+  media_analysed: ['source'],
+};
+
+let loaded = false;
+
+export function isAnalyticsAvailable() {
+  return Boolean(GA_ID);
+}
+
+export function enableAnalytics() {
+  if (!GA_ID || loaded) return;
+  loaded = true;
+  window[`ga-disable-${GA_ID}`] = false;
+  const gtagScript = document.createElement('script');
+  gtagScript.async = true;
+  gtagScript.src = `https://www.googletagmanager.com/gtag/js?id=${GA_ID}`;
+  document.head.appendChild(gtagScript);
+
+  window.dataLayer = window.dataLayer || [];
+  // gtag.js expects the arguments object itself, not an array
+  window.gtag = function gtag() {
+    window.dataLayer.push(arguments);
+  };
+  window.gtag('js', new Date());
+  window.gtag('config', GA_ID, { anonymize_ip: true, allow_google_signals: false, allow_ad_personalization_signals: false });
+}
+
+// The script can't be unloaded, but GA honours this flag for later hits
+export function disableAnalytics() {
+  if (GA_ID) window[`ga-disable-${GA_ID}`] = true;
+}
+
+export function trackEvent(name, params = {}) {
+  if (!loaded || window[`ga-disable-${GA_ID}`] || !EVENTS[name]) return;
+  const allowed = {};
+  EVENTS[name].forEach((key) => {
+    const value = params[key];
+    if (typeof value === 'number' || typeof value === 'string') allowed[key] = value;
+  });
+  window.gtag?.('event', name, allowed);
+}
@@ -0,0 +1,54 @@
+const STORAGE_KEY = 'faceTracker.privacy';
+
+// How the camera preview is shown. Detection always sees the full frame; these
+// only change what is on screen.
+export const PREVIEW_MODES = {
+  visible: 'Camera',
+  blurred: 'Blurred',
+  pixelated: 'Pixelated',
+  boxes: 'Face boxes only',
+  avatar: 'Avatar',
+};
+
+// `consented` gates getUserMedia; `analytics` gates loading analytics at all;
+// `retentionDays` of null keeps saved sessions until deleted by hand
+export const DEFAULT_PRIVACY_SETTINGS = {
+  consented: false,
+  analytics: false,
+  preview: 'visible',
+  retentionDays: null,
+};
+
+export function normalizePrivacySettings(settings = {}) {
+  const days = Number(settings.retentionDays);
+  return {
+    consented: settings.consented === true,
+    analytics: settings.analytics === true,
+    preview: PREVIEW_MODES[settings.preview] ? settings.preview : DEFAULT_PRIVACY_SETTINGS.preview,
+    retentionDays: settings.retentionDays !== null && Number.isInteger(days) && days > 0 ? days : null,
+  };
+}
+
+export function loadPrivacySettings(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return normalizePrivacySettings(raw ? JSON.parse(raw) : DEFAULT_PRIVACY_SETTINGS);
+  } catch (err) {
+    console.warn('Could not load privacy settings:', err);
+    return { ...DEFAULT_PRIVACY_SETTINGS };
+  }
+}
+
+export function savePrivacySettings(settings, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save privacy settings:', err);
+  }
+}
+
+// ISO time before which saved sessions have expired, or null to keep them all
+export function retentionCutoff(retentionDays, now = Date.now()) {
+  if (!retentionDays) return null;
+  return new Date(now - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
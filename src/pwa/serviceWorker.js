@@ -0,0 +1,33 @@
+// Registers the service worker emitted by build/serviceWorkerPlugin.js. Only
+// production builds have one. `onUpdate` is called with a function that
+// switches to a newly installed version and reloads the page.
+export function registerServiceWorker({ onUpdate }) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  let updating = false;
+  // The first install also claims the page; only reload when we asked for it
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updating) window.location.reload();
+  });
+
+  function offer(worker) {
+    onUpdate(() => {
+      updating = true;
+      worker.postMessage({ type: 'skipWaiting' });
+    });
+  }
+
+  navigator.serviceWorker.register('./sw.js')
+    .then((registration) => {
+      if (registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+        });
+      });
+      // Classroom tabs stay open for hours; look for a new version now and then
+      setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    })
+    .catch((err) => console.warn('Service worker registration failed:', err));
+}
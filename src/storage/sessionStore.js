@@ -0,0 +1,160 @@
+import { summarizeRecording } from '../engine/summary.js';
+
+const DB_NAME = 'face-tracker';
+const DB_VERSION = 1;
+const META_STORE = 'sessions';
+const RECORDING_STORE = 'recordings';
+
+// Raised when the browser refuses a write because the origin is out of space
+export class StorageQuotaError extends Error {
+  constructor(message = 'Device storage is full. Delete old sessions to keep saving.') {
+    super(message);
+    this.name = 'StorageQuotaError';
+  }
+}
+
+function isQuotaError(err) {
+  return err?.name === 'QuotaExceededError' || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let dbPromise = null;
+
+export function openDb(factory = globalThis.indexedDB) {
+  if (!factory) return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = factory.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'id' }).createIndex('startedAt', 'startedAt');
+        }
+        if (!db.objectStoreNames.contains(RECORDING_STORE)) {
+          db.createObjectStore(RECORDING_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgraded the schema; reopen lazily next time
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(isQuotaError(tx.error) ? new StorageQuotaError() : tx.error);
+    tx.onerror = () => reject(isQuotaError(tx.error) ? new StorageQuotaError() : tx.error);
+  });
+}
+
+export function createSessionId() {
+  return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+}
+
+// Writes the recording and its list-view summary in one transaction
+export async function saveSession(recording) {
+  if (!recording.id) throw new Error('Recording needs an id to be saved');
+  const db = await openDb();
+  const meta = {
+    id: recording.id,
+    name: recording.name,
+    startedAt: recording.startedAt,
+    updatedAt: new Date().toISOString(),
+    summary: summarizeRecording(recording),
+  };
+  try {
+    const tx = db.transaction([META_STORE, RECORDING_STORE], 'readwrite');
+    tx.objectStore(META_STORE).put(meta);
+    tx.objectStore(RECORDING_STORE).put(recording);
+    await transactionDone(tx);
+  } catch (err) {
+    throw isQuotaError(err) ? new StorageQuotaError() : err;
+  }
+  return meta;
+}
+
+// Session summaries, newest first, without loading the full recordings
+export async function listSessions() {
+  const db = await openDb();
+  const sessions = await promisify(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+  return sessions.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+// Resolves to null when the recording is gone, e.g. evicted by the browser
+export async function loadSession(id) {
+  const db = await openDb();
+  return (await promisify(db.transaction(RECORDING_STORE).objectStore(RECORDING_STORE).get(id))) ?? null;
+}
+
+export async function deleteSession(id) {
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, RECORDING_STORE], 'readwrite');
+  tx.objectStore(META_STORE).delete(id);
+  tx.objectStore(RECORDING_STORE).delete(id);
+  await transactionDone(tx);
+}
+
+// Retention: removes sessions last written before `cutoff` (an ISO string),
+// except `keepId` (the session being recorded). Resolves to the number removed.
+export async function deleteSessionsBefore(cutoff, { keepId = null } = {}) {
+  const sessions = await listSessions();
+  const expired = sessions.filter((s) => s.id !== keepId && (s.updatedAt ?? s.startedAt) < cutoff);
+  if (!expired.length) return 0;
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, RECORDING_STORE], 'readwrite');
+  expired.forEach(({ id }) => {
+    tx.objectStore(META_STORE).delete(id);
+    tx.objectStore(RECORDING_STORE).delete(id);
+  });
+  await transactionDone(tx);
+  return expired.length;
+}
+
+export async function deleteAllSessions() {
+  const db = await openDb();
+  const tx = db.transaction([META_STORE, RECORDING_STORE], 'readwrite');
+  tx.objectStore(META_STORE).clear();
+  tx.objectStore(RECORDING_STORE).clear();
+  await transactionDone(tx);
+}
+
+// Usage/quota in bytes where the Storage API exists, plus whether the browser
+// agreed not to evict our data under pressure
+export async function getStorageStatus() {
+  const storage = globalThis.navigator?.storage;
+  if (!storage?.estimate) return null;
+  const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+    storage.estimate(),
+    storage.persisted ? storage.persisted() : Promise.resolve(false),
+  ]);
+  return { usage, quota, persisted };
+}
+
+export async function requestPersistence() {
+  const storage = globalThis.navigator?.storage;
+  if (!storage?.persist) return false;
+  try {
+    return await storage.persist();
+  } catch {
+    return false;
+  }
+}
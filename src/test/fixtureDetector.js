@@ -0,0 +1,50 @@
+import { parseRecording } from '../engine/recording.js';
+
+// Stands in for the face-api detectors in tests: each detect() call replays
+// the faces of the next sample of a recorded session, in the same plain shape
+// the real detectors resolve to. Gap samples are skipped. Once the recording
+// runs out it reports no faces, or starts over when `loop` is set.
+export default class FixtureDetector {
+  constructor(recording, { loop = false } = {}) {
+    this.kind = 'fixture';
+    this.frames = recording.samples.filter((sample) => !sample.gap).map((sample) => sample.faces);
+    this.loop = loop;
+    this.index = 0;
+    this.calls = 0;
+    this.config = null;
+    this.dropped = 0;
+    this.lastInferenceMs = 0;
+  }
+
+  static fromJson(json, options) {
+    return new FixtureDetector(parseRecording(json), options);
+  }
+
+  async init(config) {
+    await this.configure(config);
+  }
+
+  async configure(config) {
+    this.config = config;
+  }
+
+  nextFaces() {
+    if (this.index >= this.frames.length) {
+      if (!this.loop || !this.frames.length) return [];
+      this.index = 0;
+    }
+    return this.frames[this.index++];
+  }
+
+  async detect() {
+    this.calls += 1;
+    return this.nextFaces().map(({ box, score, expressions, features }) => ({
+      box: { ...box },
+      score: score ?? 0.95,
+      expressions: { ...expressions },
+      ...(features ? { features: { ...features } } : {}),
+    }));
+  }
+
+  dispose() {}
+}
@@ -0,0 +1,59 @@
+import '@testing-library/jest-dom/vitest';
+import 'vitest-canvas-mock';
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// jsdom has no camera, media playback or layout observers; these stand-ins
+// are just enough for the app to start, open a "camera" and run its loop.
+
+function fakeTrack() {
+  return {
+    kind: 'video',
+    label: 'Test camera',
+    readyState: 'live',
+    muted: false,
+    getSettings: () => ({ width: 640, height: 480, facingMode: 'user' }),
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    stop() {
+      this.readyState = 'ended';
+    },
+  };
+}
+
+export function fakeStream() {
+  const tracks = [fakeTrack()];
+  return {
+    getTracks: () => tracks,
+    getVideoTracks: () => tracks,
+  };
+}
+
+Object.defineProperty(navigator, 'mediaDevices', {
+  configurable: true,
+  value: {
+    getUserMedia: vi.fn(async () => fakeStream()),
+    enumerateDevices: vi.fn(async () => [{ kind: 'videoinput', deviceId: 'test', label: 'Test camera', groupId: '' }]),
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  },
+});
+
+// A "playing" video element; its size stays 0 so nothing tries to read pixels
+Object.defineProperty(HTMLMediaElement.prototype, 'paused', { configurable: true, get: () => false });
+HTMLMediaElement.prototype.play = vi.fn(async () => {});
+HTMLMediaElement.prototype.pause = vi.fn();
+
+if (!globalThis.ResizeObserver) {
+  globalThis.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  vi.useRealTimers();
+});
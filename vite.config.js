@@ -1,7 +1,13 @@
 import { defineConfig } from 'vite';
+import serviceWorkerPlugin from './build/serviceWorkerPlugin.js';
 
 export default defineConfig({
   base: './',
+  plugins: [serviceWorkerPlugin()],
+  // Unit and component tests run headless in jsdom; see src/test/setup.js
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx}'],
+    setupFiles: ['./src/test/setup.js'],
+  },
 });
-
-
@@ -0,0 +1,21 @@
+import { defineConfig } from 'vite';
+
+// Library build: one ES module that registers <emotion-tracker>, with React
+// bundled in so host pages need nothing else. Models are not bundled; serve
+// public/models (and public/wasm for the WASM backend) and point the
+// element's models-path / wasm-path attributes at them.
+export default defineConfig({
+  base: './',
+  publicDir: false,
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  build: {
+    outDir: 'dist-lib',
+    lib: {
+      entry: 'src/lib/index.js',
+      formats: ['es'],
+      fileName: 'emotion-tracker',
+    },
+  },
+});